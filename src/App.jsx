@@ -1,5 +1,4 @@
-import React, { useEffect, useMemo, useRef, useState } from "react";
-import Papa from "papaparse";
+import React, { useCallback, useEffect, useId, useMemo, useRef, useState } from "react";
 import { GoogleGenerativeAI } from "@google/generative-ai";
 import { createClient } from "@supabase/supabase-js";
 
@@ -19,6 +18,8 @@ import {
   CartesianGrid,
   Tooltip,
   Legend,
+  ReferenceLine,
+  Sankey,
 } from "recharts";
 
 import {
@@ -39,8 +40,133 @@ import {
   Layers,
   AlertCircle,
   X,
+  Upload,
+  RotateCcw,
+  FileSpreadsheet,
+  ShieldAlert,
+  Download,
+  SlidersHorizontal,
+  Filter,
+  ChevronLeft,
+  ChevronRight,
+  ChevronsDown,
+  Search,
+  Columns3,
+  ChevronUp,
+  ChevronDown,
+  Eye,
+  EyeOff,
+  GripVertical,
+  MoveHorizontal,
+  MoveVertical,
+  LayoutGrid,
+  Plus,
+  Pencil,
+  Copy,
+  Link2,
+  Share2,
+  Wrench,
+  Crosshair,
+  Grid3x3,
+  MapPinned,
+  ArrowLeftRight,
+  Waypoints,
 } from "lucide-react";
 
+import {
+  DEFAULT_CLEANING_RULES,
+  DEFAULT_SAMPLING,
+  DOW_SHORT,
+  EMPTY_DASHBOARD_FILTERS,
+  SAMPLING_MODES,
+  clamp,
+  dashboardFilterTree,
+  deriveFilteredAggregates,
+  deriveSubsetAggregates,
+  describeCleaningRules,
+  describeDashboardFilters,
+  hasDashboardFilters,
+  normalizeDashboardFilters,
+  normalizeCleaningRules,
+  normalizeSampling,
+  safeDate,
+  shortText,
+} from "./localAggregates.js";
+import {
+  LOAD_ALL_MAX,
+  AGGREGATE_FNS,
+  FILTER_OPERATORS,
+  PAGE_LIMITS,
+  applyLocalOrder,
+  applySupabaseFilters,
+  compareValues,
+  executeLocalSelect,
+  isGroupedAction,
+  pickColumns,
+  queryResultColumns,
+  resolvePage,
+} from "./localQuery.js";
+import { DERIVED_COLUMNS } from "./derivedColumns.js";
+import { decodeRows } from "./columnarRows.js";
+import {
+  DRILL_COLUMNS,
+  drillHighlight,
+  drillRows,
+  drillSelection,
+  drillSummary,
+  selectionStation,
+} from "./drillDown.js";
+import { DEFAULT_CATALOG, buildCatalogWidget, followsSelectedStation, loadWidgetCatalog } from "./widgetCatalog.js";
+import {
+  STATION_FLOW_TOOL,
+  executeStationFlow,
+  isStationFlowAction,
+  normalizeFlowAction,
+  stationFlowResultColumns,
+} from "./stationFlow.js";
+import {
+  EXPORT_FORMATS,
+  buildStandaloneSvg,
+  exportFileName,
+  rowsToCsv,
+  rowsToJson,
+  svgToPngBlob,
+} from "./widgetExport.js";
+import { getDashboardsFromStorage, saveDashboardsToStorage } from "./widgetStore.js";
+import { projectStations } from "./stationMap.js";
+import {
+  activeDashboard,
+  createDashboard,
+  deleteDashboard,
+  duplicateDashboard,
+  findDashboardByName,
+  initialDashboards,
+  openDashboardView,
+  patchDashboard,
+  renameDashboard,
+  uniqueDashboardName,
+} from "./dashboards.js";
+import { buildDashboardSpec, checkSpecColumns, parseDashboardSpec } from "./dashboardSpec.js";
+import { decodeUrlState, encodeUrlState } from "./urlState.js";
+import {
+  BUILDER_CHART_TYPES,
+  DEFAULT_BUILDER_SPEC,
+  Y_CHART_TYPES,
+  buildBuilderPayload,
+  builderKind,
+  describeBuilder,
+  normalizeBuilderSpec,
+} from "./widgetBuilder.js";
+import {
+  LAYOUT_COLUMNS,
+  LAYOUT_HEIGHTS,
+  moveLayoutItem,
+  nextHeight,
+  reconcileLayout,
+  stepLayoutItem,
+  updateLayoutItem,
+} from "./dashboardLayout.js";
+
 // -------------------- CONFIG --------------------
 const GEMINI_KEY_ENV = import.meta.env.VITE_GEMINI_API_KEY;
 const SUPABASE_URL = import.meta.env.VITE_SUPABASE_URL;
@@ -73,6 +199,30 @@ function clearGeminiKeyFromStorage() {
   }
 }
 
+// Cleaning rules are remembered per dataset: { [datasetKey]: rules }
+const CLEANING_RULES_STORAGE = "dashpilot_cleaning_rules";
+
+function datasetKey(meta) {
+  return `${meta?.source || "upload"}:${meta?.name || ""}`;
+}
+function getCleaningRulesFromStorage(key) {
+  try {
+    const all = JSON.parse(localStorage.getItem(CLEANING_RULES_STORAGE) || "{}");
+    return all?.[key] ? normalizeCleaningRules(all[key]) : DEFAULT_CLEANING_RULES;
+  } catch {
+    return DEFAULT_CLEANING_RULES;
+  }
+}
+function saveCleaningRulesToStorage(key, rules) {
+  try {
+    const all = JSON.parse(localStorage.getItem(CLEANING_RULES_STORAGE) || "{}");
+    all[key] = rules;
+    localStorage.setItem(CLEANING_RULES_STORAGE, JSON.stringify(all));
+  } catch {
+    // ignore
+  }
+}
+
 const supabase =
   SUPABASE_URL && SUPABASE_KEY ? createClient(SUPABASE_URL, SUPABASE_KEY) : null;
 
@@ -97,30 +247,6 @@ const THEME = {
 const shadow = "0 16px 50px rgba(0,0,0,0.38)";
 const softShadow = "0 10px 28px rgba(0,0,0,0.28)";
 
-const DOW_SHORT = ["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"];
-const DOW_FULL = ["Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday", "Sunday"];
-
-function clamp(n, a, b) {
-  return Math.min(b, Math.max(a, n));
-}
-function safeDate(x) {
-  const d = new Date(x);
-  return Number.isNaN(d.getTime()) ? null : d;
-}
-function monthKey(d) {
-  const y = d.getFullYear();
-  const m = String(d.getMonth() + 1).padStart(2, "0");
-  return `${y}-${m}`;
-}
-function dowIndex(d) {
-  // JS: Sun=0..Sat=6 -> Mon=0..Sun=6
-  return (d.getDay() + 6) % 7;
-}
-function shortText(s, max = 28) {
-  const t = String(s ?? "").trim();
-  if (!t) return "Unknown";
-  return t.length > max ? t.slice(0, max) + "…" : t;
-}
 function tryParseJson(s) {
   try {
     return JSON.parse(s);
@@ -131,225 +257,196 @@ function tryParseJson(s) {
 function stripCodeFences(s) {
   return String(s || "").replace(/```json|```/g, "").trim();
 }
-
-// -------------------- LOCAL QUERY ENGINE (FALLBACK) --------------------
-function normalizeOperator(op) {
-  return String(op || "").toLowerCase().trim();
+function downloadFile(filename, content, mime = "text/plain") {
+  const url = URL.createObjectURL(content instanceof Blob ? content : new Blob([content], { type: mime }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
 }
-function ilike(haystack, pattern) {
-  const hs = String(haystack ?? "");
-  const p = String(pattern ?? "");
-  const escaped = p.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
-  const reStr = "^" + escaped.replaceAll("%", ".*") + "$";
-  try {
-    return new RegExp(reStr, "i").test(hs);
-  } catch {
-    return hs.toLowerCase().includes(p.toLowerCase().replaceAll("%", ""));
-  }
+function baseName(filename) {
+  return String(filename || "dataset").replace(/\.[^.]+$/, "");
 }
-function applyLocalFilters(rows, filters) {
-  const fs = Array.isArray(filters) ? filters : filters ? [filters] : [];
-  if (!fs.length) return rows;
-
-  return rows.filter((r) => {
-    for (const f of fs) {
-      const col = f?.column;
-      const op = normalizeOperator(f?.operator);
-      const val = f?.value;
-      if (!col || !op) continue;
-
-      const cell = r?.[col];
-
-      if (op === "eq") {
-        if (cell !== val) return false;
-      } else if (op === "neq") {
-        if (cell === val) return false;
-      } else if (op === "gt") {
-        if (!(Number(cell) > Number(val))) return false;
-      } else if (op === "gte") {
-        if (!(Number(cell) >= Number(val))) return false;
-      } else if (op === "lt") {
-        if (!(Number(cell) < Number(val))) return false;
-      } else if (op === "lte") {
-        if (!(Number(cell) <= Number(val))) return false;
-      } else if (op === "ilike") {
-        if (!ilike(cell, val)) return false;
-      } else if (op === "in") {
-        const arr = Array.isArray(val)
-          ? val.map(String)
-          : typeof val === "string"
-          ? val.split(",").map((x) => x.trim())
-          : [];
-        if (!arr.includes(String(cell))) return false;
-      } else {
-        continue;
-      }
-    }
-    return true;
-  });
+
+// -------------------- QUERY RESULTS --------------------
+function queryResultTitle(label, result) {
+  const n = result?.rows?.length || 0;
+  const total = result?.total;
+  const fmt = (x) => Number(x).toLocaleString();
+  if (total == null) return `${label} (${fmt(n)} rows)`;
+  if (result.all) return n < total ? `${label} (first ${fmt(n)} of ${fmt(total)} rows)` : `${label} (all ${fmt(total)} rows)`;
+  if (!n) return `${label} (0 of ${fmt(total)} rows)`;
+  return `${label} (rows ${fmt(result.offset + 1)}–${fmt(result.offset + n)} of ${fmt(total)})`;
 }
-function applyLocalOrder(rows, orderBy) {
-  const col = orderBy?.column;
-  if (!col) return rows;
-  const asc = !!orderBy?.ascending;
 
-  const sorted = [...rows].sort((a, b) => {
-    const av = a?.[col];
-    const bv = b?.[col];
+function sourceLabel(source) {
+  return source === "local" ? "Local" : source === "supabase" ? "Supabase" : "Custom";
+}
 
-    const ad = safeDate(av);
-    const bd = safeDate(bv);
-    if (ad && bd) return ad - bd;
+// Chat table content for a query; keeps the action so the pager can re-run it.
+function queryResultContent(label, source, action, result) {
+  return {
+    title: queryResultTitle(label, result),
+    label,
+    source,
+    action,
+    page: { total: result.total, offset: result.offset, pageSize: result.pageSize, all: result.all },
+    payload: { columns: resultColumns(action), rows: result.rows },
+  };
+}
 
-    const an = Number(av);
-    const bn = Number(bv);
-    if (!Number.isNaN(an) && !Number.isNaN(bn)) return an - bn;
+// Station flow actions have their own engine and result columns; anything else is a local_select.
+function resultColumns(action) {
+  return isStationFlowAction(action) ? stationFlowResultColumns(action) : queryResultColumns(action);
+}
+function executeLocalAction(action, local, page) {
+  return isStationFlowAction(action)
+    ? executeStationFlow(action, local, page)
+    : executeLocalSelect(action, local, page);
+}
 
-    return String(av ?? "").localeCompare(String(bv ?? ""));
-  });
+// -------------------- DATASET LOADING --------------------
+const DEFAULT_DATASET = { name: "trips_rows.csv", source: "default" };
 
-  return asc ? sorted : sorted.reverse();
+function isCsvFile(file) {
+  const name = String(file?.name || "").toLowerCase();
+  return name.endsWith(".csv") || file?.type === "text/csv";
 }
-function pickColumns(rows, columns) {
-  const cols = Array.isArray(columns) && columns.length ? columns : null;
-  if (!cols) return rows;
-  return rows.map((r) => {
-    const out = {};
-    for (const c of cols) out[c] = r?.[c];
-    return out;
+function formatBytes(n) {
+  const b = Number(n) || 0;
+  if (b < 1024) return `${b} B`;
+  if (b < 1024 * 1024) return `${(b / 1024).toFixed(1)} KB`;
+  return `${(b / (1024 * 1024)).toFixed(1)} MB`;
+}
+// Parses + aggregates in csvWorker.js so big exports don't freeze the UI.
+// input: { file } | { url }. Returns { promise, cancel }; cancel() rejects with err.cancelled = true.
+function loadCsvInWorker(input, { onProgress } = {}) {
+  const worker = new Worker(new URL("./csvWorker.js", import.meta.url), { type: "module" });
+  let rejectLoad = () => {};
+
+  const promise = new Promise((resolve, reject) => {
+    rejectLoad = reject;
+    worker.onmessage = (e) => {
+      const msg = e.data || {};
+      if (msg.type === "progress") {
+        onProgress?.(msg.progress);
+        return;
+      }
+      worker.terminate();
+      if (msg.type === "done") resolve({ ...msg.agg, __rows: decodeRows(msg.rows) });
+      else reject(new Error(msg.message || "CSV worker failed."));
+    };
+    worker.onerror = (e) => {
+      worker.terminate();
+      reject(new Error(e?.message || "CSV worker failed."));
+    };
+    worker.postMessage(input);
   });
+
+  return {
+    promise,
+    cancel: () => {
+      worker.terminate();
+      const err = new Error("Loading cancelled.");
+      err.cancelled = true;
+      rejectLoad(err);
+    },
+  };
 }
-async function executeLocalSelect(action, localAgg) {
-  if (!localAgg?.__rows?.length) return [];
-  let rows = localAgg.__rows;
 
-  rows = applyLocalFilters(rows, action.filters);
-  rows = applyLocalOrder(rows, action.orderBy);
+// -------------------- WIDGET CATALOG (LOCAL DASHBOARD) --------------------
+// Entries are declarative (see widgetCatalog.js); public/widget-catalog.json adds to the built-ins.
+const CATALOG_URL = `${import.meta.env.BASE_URL || "/"}widget-catalog.json`;
+const CATALOG_ICONS = {
+  TrendingUp,
+  Calendar,
+  BarChart3,
+  Layers,
+  Route,
+  Sparkles,
+  Table2,
+  Grid3x3,
+  MapPinned,
+  ArrowLeftRight,
+  Waypoints,
+};
+
+function catalogIcon(def) {
+  return CATALOG_ICONS[def?.icon] || (def?.kind === "table" ? Table2 : def ? BarChart3 : PlusCircle);
+}
 
-  const limit = action.limit ? clamp(Number(action.limit) || 10, 1, 500) : 50;
-  rows = rows.slice(0, limit);
+// Fetched once per page load; every dataset load waits for it before restoring dashboards.
+let catalogLoad = null;
+function widgetCatalogOnce() {
+  catalogLoad ||= loadWidgetCatalog(CATALOG_URL);
+  return catalogLoad;
+}
 
-  rows = pickColumns(rows, action.columns);
+// Catalog and builder widgets are rebuilt from the active dataset; everything else is a snapshot.
+// station: the cross-filter's selected station, for catalog widgets that follow it.
+function resolveWidgetPayload(widget, local, catalog, station = null) {
+  const def = widget?.catalogId ? catalog.find((w) => w.id === widget.catalogId) : null;
+  if (!local || !(def || widget?.builder)) return widget?.payload;
+  try {
+    return def ? buildCatalogWidget(def, local, station) : buildBuilderPayload(widget.builder, local.__rows);
+  } catch {
+    return null;
+  }
+}
 
-  return rows;
+// Import dialog state for a dashboard spec: { parsed, check } or { error }.
+function specImportState(text, datasetColumns, catalog) {
+  try {
+    const parsed = parseDashboardSpec(text);
+    return { parsed, check: checkSpecColumns(parsed, datasetColumns, new Map(catalog.map((w) => [w.id, w]))) };
+  } catch (e) {
+    return { error: e?.message || String(e) };
+  }
 }
 
-// -------------------- WIDGET CATALOG (LOCAL DASHBOARD) --------------------
-const WIDGET_CATALOG = [
-  // Charts
-  {
-    id: "w_trips_by_month",
-    kind: "chart",
-    title: "Trips by Month (Area)",
-    icon: TrendingUp,
-    build: (local) => ({
-      chartType: "area",
-      data: local?.tripsByMonth ?? [],
-      xKey: "name",
-      series: [{ key: "value", label: "Trips" }],
-    }),
-  },
-  {
-    id: "w_trips_by_dow",
-    kind: "chart",
-    title: "Trips by Day of Week (Bar)",
-    icon: Calendar,
-    build: (local) => ({
-      chartType: "bar",
-      data: local?.tripsByDOW ?? [],
-      xKey: "name",
-      series: [{ key: "value", label: "Trips" }],
-    }),
-  },
-  {
-    id: "w_duration_dist",
-    kind: "chart",
-    title: "Duration Distribution (Histogram)",
-    icon: BarChart3,
-    build: (local) => ({
-      chartType: "bar",
-      data: local?.durationBuckets ?? [],
-      xKey: "name",
-      series: [{ key: "value", label: "Trips" }],
-    }),
-  },
-  {
-    id: "w_bike_type_split",
-    kind: "chart",
-    title: "Bike Type Split (Donut)",
-    icon: Layers,
-    build: (local) => ({
-      chartType: "pie",
-      data: local?.rideableSplit ?? [],
-      donut: true,
-      nameKey: "name",
-      valueKey: "value",
-    }),
-  },
-  {
-    id: "w_top_routes",
-    kind: "chart",
-    title: "Top Routes (Bar)",
-    icon: Route,
-    build: (local) => ({
-      chartType: "bar",
-      data: local?.topRoutes ?? [],
-      xKey: "name",
-      series: [{ key: "value", label: "Trips" }],
-    }),
-  },
-  {
-    id: "w_member_vs_casual_dow",
-    kind: "chart",
-    title: "Member vs Casual by Day (Stacked)",
-    icon: Sparkles,
-    build: (local) => ({
-      chartType: "stackedBar",
-      data: local?.dowMemberCasual ?? [],
-      xKey: "name",
-      series: [
-        { key: "member", label: "Member" },
-        { key: "casual", label: "Casual" },
-      ],
-    }),
-  },
-  // Tables
-  {
-    id: "t_latest_local_trips",
-    kind: "table",
-    title: "Latest Trips (Local CSV)",
-    icon: Table2,
-    build: (local) => ({
-      columns: [
-        { key: "started_at", label: "Started" },
-        { key: "start_station_name", label: "Start" },
-        { key: "end_station_name", label: "End" },
-        { key: "member_casual", label: "Rider" },
-        { key: "rideable_type", label: "Bike" },
-      ],
-      rows: local?.latestTrips ?? [],
-    }),
-  },
-  {
-    id: "t_top_stations_local",
-    kind: "table",
-    title: "Top Stations (Local CSV)",
-    icon: Table2,
-    build: (local) => ({
-      columns: [
-        { key: "fullName", label: "Station" },
-        { key: "value", label: "Trips" },
-      ],
-      rows: local?.topStationsRaw ?? [],
-    }),
-  },
-];
+// The KPIs and the rider split count "member" (any case) as member and every other rider as casual.
+const MEMBER_FILTER = { column: "member_casual", operator: "ilike", value: "member" };
+
+// The two fixed dashboard charts, from the active (filtered) aggregates.
+function buildBaseCharts(view) {
+  return [
+    {
+      id: "base_hourly",
+      title: "Hourly Trips (Local)",
+      kind: "chart",
+      payload: {
+        chartType: "line",
+        data: view.hourly,
+        xKey: "name",
+        series: [{ key: "value", label: "Trips" }],
+        drill: { x: "start_hour", xValues: view.hourly.map((_, h) => h) },
+      },
+    },
+    {
+      id: "base_rider_split",
+      title: "Rider Split (Local)",
+      kind: "chart",
+      payload: {
+        chartType: "pie",
+        data: view.riderSplit,
+        donut: true,
+        nameKey: "name",
+        valueKey: "value",
+        drill: { x: "member_casual", xValues: ["member", "casual"], xFilters: [MEMBER_FILTER, { not: MEMBER_FILTER }] },
+      },
+    },
+  ];
+}
 
 // -------------------- COMPONENTS --------------------
-const IconButton = ({ title, onClick, children, tone = "default" }) => (
+const IconButton = ({ title, onClick, children, tone = "default", disabled = false }) => (
   <button
     title={title}
     onClick={onClick}
+    disabled={disabled}
     style={{
       border: `1px solid ${THEME.border}`,
       background:
@@ -359,7 +456,8 @@ const IconButton = ({ title, onClick, children, tone = "default" }) => (
           ? "rgba(255,92,122,0.12)"
           : "rgba(255,255,255,0.04)",
       color: THEME.text,
-      cursor: "pointer",
+      cursor: disabled ? "not-allowed" : "pointer",
+      opacity: disabled ? 0.45 : 1,
       padding: "8px 10px",
       borderRadius: 12,
       display: "inline-flex",
@@ -442,8 +540,9 @@ const StatCard = ({ title, value, meta, icon }) => (
   </div>
 );
 
-const Panel = ({ title, right, children }) => (
+const Panel = ({ title, right, exportable, collapsed = false, children }) => (
   <div
+    data-export-root={exportable ? "" : undefined}
     style={{
       background: THEME.card,
       border: `1px solid ${THEME.border}`,
@@ -453,233 +552,2371 @@ const Panel = ({ title, right, children }) => (
       backdropFilter: "blur(14px)",
     }}
   >
-    <div style={{ display: "flex", justifyContent: "space-between", gap: 12, alignItems: "center" }}>
+    <div style={{ display: "flex", justifyContent: "space-between", gap: 12, alignItems: "center", flexWrap: "wrap" }}>
       <div style={{ fontWeight: 900, color: THEME.text, fontSize: 15 }}>{title}</div>
-      {right}
+      {exportable ? (
+        <div style={{ display: "flex", gap: 10, alignItems: "center" }}>
+          <ExportMenu title={title} {...exportable} />
+          {right}
+        </div>
+      ) : (
+        right
+      )}
     </div>
-    <div style={{ marginTop: 14 }}>{children}</div>
+    {collapsed ? null : <div style={{ marginTop: 14 }}>{children}</div>}
   </div>
 );
 
-function ChartRenderer({ config, height = 280 }) {
-  if (!config) return null;
-  const { chartType, data, xKey, series, donut, nameKey, valueKey } = config;
-
-  const commonTooltip = (
-    <Tooltip
-      contentStyle={{
-        background: "rgba(10,15,25,0.92)",
-        border: `1px solid ${THEME.borderStrong}`,
-        borderRadius: 12,
-        color: THEME.text,
-      }}
-      labelStyle={{ color: THEME.muted }}
-    />
-  );
+// Tab strip for named dashboards; the open one also gets rename / duplicate / delete.
+function DashboardTabs({ boards, onSwitch, onCreate, onRename, onDuplicate, onDelete, onExport, onImportFile }) {
+  const [renaming, setRenaming] = useState(null); // { id, draft }
+  const [notice, setNotice] = useState("");
+  const importRef = useRef(null);
+  const [confirmDelete, setConfirmDelete] = useState(null);
+  const active = boards.dashboards.find((d) => d.id === boards.activeId);
+
+  function commitRename() {
+    if (renaming) onRename(renaming.id, renaming.draft);
+    setRenaming(null);
+  }
 
   return (
-    <div style={{ width: "100%", height }}>
-      <ResponsiveContainer width="100%" height="100%">
-        {chartType === "line" ? (
-          <LineChart data={data}>
-            <CartesianGrid strokeDasharray="3 3" stroke="rgba(148,163,184,0.15)" />
-            <XAxis dataKey={xKey} stroke={THEME.muted} tick={{ fontSize: 12 }} />
-            <YAxis stroke={THEME.muted} tick={{ fontSize: 12 }} />
-            {commonTooltip}
-            <Legend />
-            {(series || []).map((s, i) => (
-              <Line
-                key={s.key}
-                type="monotone"
-                dataKey={s.key}
-                name={s.label}
-                stroke={THEME.chart[i % THEME.chart.length]}
-                strokeWidth={2.5}
-                dot={false}
-              />
-            ))}
-          </LineChart>
-        ) : chartType === "area" ? (
-          <AreaChart data={data}>
-            <defs>
-              {(series || []).map((s, i) => (
-                <linearGradient key={s.key} id={`g_${s.key}`} x1="0" y1="0" x2="0" y2="1">
-                  <stop offset="0%" stopColor={THEME.chart[i % THEME.chart.length]} stopOpacity={0.35} />
-                  <stop offset="95%" stopColor={THEME.chart[i % THEME.chart.length]} stopOpacity={0.04} />
-                </linearGradient>
-              ))}
-            </defs>
-            <CartesianGrid strokeDasharray="3 3" stroke="rgba(148,163,184,0.15)" />
-            <XAxis dataKey={xKey} stroke={THEME.muted} tick={{ fontSize: 12 }} />
-            <YAxis stroke={THEME.muted} tick={{ fontSize: 12 }} />
-            {commonTooltip}
-            <Legend />
-            {(series || []).map((s, i) => (
-              <Area
-                key={s.key}
-                type="monotone"
-                dataKey={s.key}
-                name={s.label}
-                stroke={THEME.chart[i % THEME.chart.length]}
-                fill={`url(#g_${s.key})`}
-                strokeWidth={2}
-                dot={false}
-              />
-            ))}
-          </AreaChart>
-        ) : chartType === "stackedBar" ? (
-          <BarChart data={data}>
-            <CartesianGrid strokeDasharray="3 3" stroke="rgba(148,163,184,0.15)" />
-            <XAxis dataKey={xKey} stroke={THEME.muted} tick={{ fontSize: 12 }} />
-            <YAxis stroke={THEME.muted} tick={{ fontSize: 12 }} />
-            {commonTooltip}
-            <Legend />
-            {(series || []).map((s, i) => (
-              <Bar
-                key={s.key}
-                dataKey={s.key}
-                name={s.label}
-                stackId="a"
-                fill={THEME.chart[i % THEME.chart.length]}
-                radius={i === series.length - 1 ? [10, 10, 0, 0] : [0, 0, 0, 0]}
-              />
-            ))}
-          </BarChart>
-        ) : chartType === "bar" ? (
-          <BarChart data={data}>
-            <CartesianGrid strokeDasharray="3 3" stroke="rgba(148,163,184,0.15)" />
-            <XAxis
-              dataKey={xKey}
-              stroke={THEME.muted}
-              tick={{ fontSize: 11 }}
-              interval={0}
-              angle={-16}
-              textAnchor="end"
-              height={64}
+    <div style={{ display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap", marginBottom: 14 }}>
+      {boards.dashboards.map((d) => {
+        const isActive = d.id === boards.activeId;
+        if (renaming?.id === d.id) {
+          return (
+            <input
+              key={d.id}
+              autoFocus
+              value={renaming.draft}
+              onChange={(e) => setRenaming({ id: d.id, draft: e.target.value })}
+              onBlur={commitRename}
+              onKeyDown={(e) => {
+                if (e.key === "Enter") commitRename();
+                if (e.key === "Escape") setRenaming(null);
+              }}
+              style={{ ...fieldStyle, width: 180 }}
             />
-            <YAxis stroke={THEME.muted} tick={{ fontSize: 12 }} />
-            {commonTooltip}
-            <Legend />
-            {(series || []).map((s, i) => (
-              <Bar
-                key={s.key}
-                dataKey={s.key}
-                name={s.label}
-                fill={THEME.chart[i % THEME.chart.length]}
-                radius={[10, 10, 0, 0]}
-              />
-            ))}
-          </BarChart>
-        ) : chartType === "pie" ? (
-          <PieChart>
-            {commonTooltip}
-            <Legend />
-            <Pie
-              data={data}
-              dataKey={valueKey || "value"}
-              nameKey={nameKey || "name"}
-              innerRadius={donut ? 62 : 0}
-              outerRadius={96}
-              paddingAngle={2}
-              stroke="rgba(255,255,255,0.05)"
+          );
+        }
+        return (
+          <button
+            key={d.id}
+            onClick={() => onSwitch(d.id)}
+            onDoubleClick={() => setRenaming({ id: d.id, draft: d.name })}
+            title={isActive ? "Double-click to rename" : `Open ${d.name}`}
+            style={{
+              padding: "8px 14px",
+              borderRadius: 12,
+              border: `1px solid ${isActive ? THEME.accent : THEME.border}`,
+              background: isActive
+                ? "linear-gradient(135deg, rgba(77,163,255,0.20), rgba(124,92,255,0.12))"
+                : "rgba(255,255,255,0.03)",
+              color: isActive ? THEME.text : THEME.muted,
+              fontWeight: 800,
+              cursor: "pointer",
+            }}
+          >
+            {d.name}
+            <span style={{ marginLeft: 8, fontSize: 11, color: THEME.muted }}>{d.widgets.length}</span>
+          </button>
+        );
+      })}
+
+      <IconButton title="New dashboard" onClick={onCreate}>
+        <Plus size={16} />
+      </IconButton>
+
+      {active ? (
+        <div style={{ marginLeft: "auto", display: "flex", gap: 8 }}>
+          <IconButton
+            title="Export dashboard spec (JSON, no rows)"
+            onClick={() => {
+              const skipped = onExport();
+              setNotice(skipped.length ? `Not exported (no catalog id or query): ${skipped.join(", ")}` : "");
+            }}
+          >
+            <Download size={14} />
+          </IconButton>
+          <IconButton title="Import dashboard spec" onClick={() => importRef.current?.click()}>
+            <Upload size={14} />
+          </IconButton>
+          <input
+            ref={importRef}
+            type="file"
+            accept=".json,application/json"
+            style={{ display: "none" }}
+            onChange={async (e) => {
+              const file = e.target.files?.[0];
+              e.target.value = "";
+              if (file) onImportFile(await file.text());
+            }}
+          />
+          <IconButton title="Rename dashboard" onClick={() => setRenaming({ id: active.id, draft: active.name })}>
+            <Pencil size={14} />
+          </IconButton>
+          <IconButton title="Duplicate dashboard" onClick={() => onDuplicate(active.id)}>
+            <Copy size={14} />
+          </IconButton>
+          {confirmDelete === active.id ? (
+            <IconButton
+              title="Delete this dashboard and its widgets"
+              tone="danger"
+              onClick={() => {
+                setConfirmDelete(null);
+                onDelete(active.id);
+              }}
             >
-              {(data || []).map((_, i) => (
-                <Cell key={i} fill={THEME.chart[i % THEME.chart.length]} />
-              ))}
-            </Pie>
-          </PieChart>
-        ) : null}
-      </ResponsiveContainer>
+              <Trash2 size={14} />
+              Delete “{shortText(active.name, 20)}”?
+            </IconButton>
+          ) : (
+            <IconButton
+              title={boards.dashboards.length > 1 ? "Delete dashboard" : "The last dashboard can't be deleted"}
+              tone="danger"
+              disabled={boards.dashboards.length <= 1}
+              onClick={() => setConfirmDelete(active.id)}
+            >
+              <Trash2 size={14} />
+            </IconButton>
+          )}
+        </div>
+      ) : null}
+
+      {notice ? (
+        <div style={{ width: "100%", color: THEME.warn, fontSize: 12, display: "flex", gap: 8, alignItems: "center" }}>
+          {notice}
+          <IconButton title="Dismiss" onClick={() => setNotice("")}>
+            <X size={12} />
+          </IconButton>
+        </div>
+      ) : null}
     </div>
   );
 }
 
-function TableRenderer({ columns, rows, maxHeight = 320 }) {
-  const cols =
-    columns && columns.length
-      ? columns
-      : Object.keys(rows?.[0] || {}).slice(0, 6).map((k) => ({ key: k, label: k }));
+// Validation report for an imported dashboard spec, then import as a new dashboard.
+function ImportDashboardModal({ state, datasetName, onImport, onClose }) {
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+  const { parsed, check } = state;
+
+  async function run() {
+    setBusy(true);
+    setError("");
+    try {
+      await onImport(parsed);
+    } catch (e) {
+      setError(e?.message || String(e));
+      setBusy(false);
+    }
+  }
+
+  const listStyle = { margin: "6px 0 0 18px", fontSize: 13, lineHeight: 1.5 };
 
   return (
-    <div
-      style={{
-        border: `1px solid ${THEME.border}`,
-        borderRadius: 14,
-        overflow: "hidden",
-        background: "rgba(0,0,0,0.18)",
-      }}
-    >
-      <div style={{ overflowX: "auto", maxHeight, overflowY: "auto" }}>
-        <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 12 }}>
-          <thead
-            style={{
-              position: "sticky",
-              top: 0,
-              background: "rgba(10,15,25,0.92)",
-              backdropFilter: "blur(8px)",
-              zIndex: 1,
-            }}
-          >
-            <tr>
-              {cols.map((c) => (
-                <th
-                  key={c.key}
-                  style={{
-                    textAlign: "left",
-                    padding: "10px 12px",
-                    color: THEME.muted,
-                    borderBottom: `1px solid ${THEME.border}`,
-                    fontWeight: 900,
-                    whiteSpace: "nowrap",
-                  }}
-                >
-                  {c.label}
-                </th>
-              ))}
+    <ModalShell title={parsed ? `Import “${parsed.name}”` : "Import dashboard"} width={620} onClose={onClose}>
+      {state.error ? (
+        <div style={{ marginTop: 12, color: THEME.bad, fontSize: 13 }}>{state.error}</div>
+      ) : (
+        <>
+          <div style={{ marginTop: 10, color: THEME.muted, fontSize: 13, lineHeight: 1.35 }}>
+            {parsed.widgets.length} widget{parsed.widgets.length === 1 ? "" : "s"}, rebuilt against{" "}
+            <b style={{ color: THEME.text }}>{datasetName || "the current dataset"}</b> — no rows come from the file.
+          </div>
+
+          {parsed.problems.length ? (
+            <div style={{ marginTop: 12 }}>
+              <div style={{ ...fieldLabelStyle, color: THEME.bad }}>Invalid (skipped)</div>
+              <ul style={listStyle}>
+                {parsed.problems.map((p, i) => (
+                  <li key={i}>
+                    <b>{p.title}</b>: {p.message}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          ) : null}
+
+          {check.unknown.length ? (
+            <div style={{ marginTop: 12 }}>
+              <div style={{ ...fieldLabelStyle, color: THEME.bad }}>Unknown catalog widgets (skipped)</div>
+              <ul style={listStyle}>
+                {check.unknown.map((t) => (
+                  <li key={t}>{t}</li>
+                ))}
+              </ul>
+            </div>
+          ) : null}
+
+          {check.missing.length ? (
+            <div style={{ marginTop: 12 }}>
+              <div style={{ ...fieldLabelStyle, color: THEME.warn }}>Columns this dataset lacks (will show empty)</div>
+              <ul style={listStyle}>
+                {check.missing.map((m, i) => (
+                  <li key={i}>
+                    <b>{m.title}</b>: {m.columns.join(", ")}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          ) : (
+            <div style={{ marginTop: 12, color: THEME.good, fontSize: 13 }}>
+              Every widget's columns exist in this dataset.
+            </div>
+          )}
+
+          {error ? <div style={{ marginTop: 12, color: THEME.bad, fontSize: 13 }}>{error}</div> : null}
+
+          <div style={{ marginTop: 14, display: "flex", gap: 10 }}>
+            <IconButton title="Import as a new dashboard" tone="accent" disabled={busy} onClick={run}>
+              <Upload size={16} />
+              {busy ? "Importing…" : "Import"}
+            </IconButton>
+            <IconButton title="Cancel" onClick={onClose}>
+              Cancel
+            </IconButton>
+          </div>
+        </>
+      )}
+    </ModalShell>
+  );
+}
+
+// Picking a two-dimension chart type fills in a sensible y (and, for a sankey, station x) if none is set.
+function builderTypeDefaults(chartType, spec) {
+  if (spec.y) return {};
+  if (chartType === "heatmap") return { y: spec.x === "start_hour" ? "start_dow" : "start_hour" };
+  if (chartType === "sankey") return { x: "start_station_name", y: "end_station_name" };
+  return {};
+}
+
+// Custom chart / table from the loaded rows without the AI. Pinned widgets keep the builder spec
+// and are rebuilt from the filtered rows like catalog widgets.
+function WidgetBuilderModal({ columns, rows, onPin, onClose }) {
+  const [spec, setSpec] = useState(DEFAULT_BUILDER_SPEC);
+  const [title, setTitle] = useState("");
+  const set = (patch) => setSpec((s) => ({ ...s, ...patch }));
+  const setItem = (field, i, patch) =>
+    setSpec((s) => ({ ...s, [field]: s[field].map((x, j) => (j === i ? { ...x, ...patch } : x)) }));
+  const removeItem = (field, i) => setSpec((s) => ({ ...s, [field]: s[field].filter((_, j) => j !== i) }));
+
+  const kind = builderKind(spec);
+  const preview = useMemo(() => {
+    try {
+      return { payload: buildBuilderPayload(spec, rows) };
+    } catch (e) {
+      return { error: e?.message || String(e) };
+    }
+  }, [spec, rows]);
+
+  const columnOptions = columns.map((c) => (
+    <option key={c} value={c}>
+      {c}
+    </option>
+  ));
+  const rowStyle = { display: "flex", gap: 6, alignItems: "center", marginTop: 6 };
+  const sectionStyle = { ...fieldLabelStyle, display: "block", marginTop: 12 };
+
+  function pin() {
+    onPin({
+      type: kind,
+      content: { title: title.trim() || describeBuilder(spec), source: "local", builder: normalizeBuilderSpec(spec) },
+    });
+  }
+
+  return (
+    <ModalShell title="Build a widget" width={980} onClose={onClose}>
+      <div style={{ marginTop: 12, display: "grid", gridTemplateColumns: "minmax(280px, 360px) 1fr", gap: 16 }}>
+        <div>
+          <div style={fieldLabelStyle}>Chart type</div>
+          <div style={{ marginTop: 6, display: "flex", gap: 6, flexWrap: "wrap" }}>
+            {BUILDER_CHART_TYPES.map((t) => (
+              <button
+                key={t.id}
+                onClick={() => set({ chartType: t.id, ...builderTypeDefaults(t.id, spec) })}
+                style={{
+                  padding: "6px 10px",
+                  borderRadius: 999,
+                  border: `1px solid ${spec.chartType === t.id ? THEME.accent : THEME.border}`,
+                  background: spec.chartType === t.id ? "rgba(77,163,255,0.12)" : "rgba(255,255,255,0.03)",
+                  color: THEME.text,
+                  fontSize: 12,
+                  cursor: "pointer",
+                }}
+              >
+                {t.label}
+              </button>
+            ))}
+          </div>
+
+          <label style={sectionStyle}>
+            {spec.chartType === "sankey" ? "Origin (x)" : "X dimension"}
+            <select value={spec.x} onChange={(e) => set({ x: e.target.value })} style={{ ...fieldStyle, marginTop: 4 }}>
+              {columnOptions}
+            </select>
+          </label>
+          {Y_CHART_TYPES.includes(spec.chartType) ? (
+            <label style={sectionStyle}>
+              {spec.chartType === "sankey" ? "Destination (y)" : "Y dimension (columns)"}
+              <select value={spec.y} onChange={(e) => set({ y: e.target.value })} style={{ ...fieldStyle, marginTop: 4 }}>
+                {columnOptions}
+              </select>
+            </label>
+          ) : null}
+
+          <div style={sectionStyle}>
+            Measures
+            {spec.splitBy || ["pie", "heatmap", "sankey"].includes(spec.chartType) ? " (first one is plotted)" : ""}
+          </div>
+          {spec.measures.map((m, i) => (
+            <div key={i} style={rowStyle}>
+              <select
+                value={m.fn}
+                onChange={(e) => setItem("measures", i, { fn: e.target.value })}
+                style={{ ...fieldStyle, width: 130 }}
+              >
+                {AGGREGATE_FNS.map((fn) => (
+                  <option key={fn} value={fn}>
+                    {fn}
+                  </option>
+                ))}
+              </select>
+              <select
+                value={m.column || ""}
+                onChange={(e) => setItem("measures", i, { column: e.target.value || null })}
+                style={fieldStyle}
+              >
+                <option value="">{m.fn === "count" ? "(rows)" : "— column —"}</option>
+                {columnOptions}
+              </select>
+              <IconButton title="Remove measure" disabled={spec.measures.length <= 1} onClick={() => removeItem("measures", i)}>
+                <X size={14} />
+              </IconButton>
+            </div>
+          ))}
+          <div style={{ marginTop: 6 }}>
+            <IconButton title="Add measure" onClick={() => set({ measures: [...spec.measures, { fn: "avg", column: null }] })}>
+              <Plus size={14} />
+              Measure
+            </IconButton>
+          </div>
+
+          <label style={sectionStyle}>
+            Split by{" "}
+            {spec.chartType === "heatmap" ? "(one grid each)" : spec.chartType === "sankey" ? "(link color)" : "(series)"}
+            <select
+              value={spec.splitBy}
+              disabled={spec.chartType === "pie"}
+              onChange={(e) => set({ splitBy: e.target.value })}
+              style={{ ...fieldStyle, marginTop: 4 }}
+            >
+              <option value="">None</option>
+              {columnOptions}
+            </select>
+          </label>
+
+          <div style={sectionStyle}>Filters (all must match)</div>
+          {spec.filters.map((f, i) => (
+            <div key={i} style={rowStyle}>
+              <select value={f.column} onChange={(e) => setItem("filters", i, { column: e.target.value })} style={fieldStyle}>
+                {columnOptions}
+              </select>
+              <select
+                value={f.operator}
+                onChange={(e) => setItem("filters", i, { operator: e.target.value })}
+                style={{ ...fieldStyle, width: 110 }}
+              >
+                {FILTER_OPERATORS.map((op) => (
+                  <option key={op} value={op}>
+                    {op}
+                  </option>
+                ))}
+              </select>
+              <input
+                value={f.value ?? ""}
+                disabled={f.operator === "is_null" || f.operator === "not_null"}
+                onChange={(e) => setItem("filters", i, { value: e.target.value })}
+                placeholder={["in", "not_in", "between"].includes(f.operator) ? "a, b" : "value"}
+                style={{ ...fieldStyle, width: 110 }}
+              />
+              <IconButton title="Remove filter" onClick={() => removeItem("filters", i)}>
+                <X size={14} />
+              </IconButton>
+            </div>
+          ))}
+          <div style={{ marginTop: 6 }}>
+            <IconButton
+              title="Add filter"
+              onClick={() => set({ filters: [...spec.filters, { column: spec.x, operator: "eq", value: "" }] })}
+            >
+              <Filter size={14} />
+              Filter
+            </IconButton>
+          </div>
+
+          <div style={{ marginTop: 12, display: "grid", gridTemplateColumns: "1fr 1fr 80px", gap: 6, alignItems: "end" }}>
+            <label style={fieldLabelStyle}>
+              Sort by
+              <select
+                value={spec.sort.by}
+                onChange={(e) => set({ sort: { ...spec.sort, by: e.target.value } })}
+                style={{ ...fieldStyle, marginTop: 4 }}
+              >
+                <option value="x">X value</option>
+                <option value="value">First measure</option>
+              </select>
+            </label>
+            <label style={fieldLabelStyle}>
+              Order
+              <select
+                value={spec.sort.ascending ? "asc" : "desc"}
+                onChange={(e) => set({ sort: { ...spec.sort, ascending: e.target.value === "asc" } })}
+                style={{ ...fieldStyle, marginTop: 4 }}
+              >
+                <option value="asc">Ascending</option>
+                <option value="desc">Descending</option>
+              </select>
+            </label>
+            <label style={fieldLabelStyle}>
+              {spec.chartType === "sankey" ? "Stations" : "Top N"}
+              <input
+                type="number"
+                min={0}
+                value={spec.topN || ""}
+                placeholder={spec.chartType === "sankey" ? "8" : "all"}
+                onChange={(e) => set({ topN: e.target.value })}
+                style={{ ...fieldStyle, marginTop: 4 }}
+              />
+            </label>
+          </div>
+
+          <label style={sectionStyle}>
+            Title
+            <input
+              value={title}
+              onChange={(e) => setTitle(e.target.value)}
+              placeholder={describeBuilder(spec)}
+              style={{ ...fieldStyle, marginTop: 4 }}
+            />
+          </label>
+        </div>
+
+        <div style={{ minWidth: 0 }}>
+          <div style={fieldLabelStyle}>Preview · {Number(rows.length).toLocaleString()} rows in view</div>
+          <div style={{ marginTop: 8 }}>
+            {preview.error ? (
+              <div style={{ color: THEME.bad, fontSize: 13 }}>{preview.error}</div>
+            ) : kind === "table" ? (
+              <TableRenderer columns={preview.payload.columns} rows={preview.payload.rows} maxHeight={380} />
+            ) : (
+              <ChartRenderer config={preview.payload} height={380} />
+            )}
+          </div>
+          <div style={{ marginTop: 14, display: "flex", gap: 10 }}>
+            <IconButton title="Pin to the current dashboard" tone="accent" disabled={!!preview.error} onClick={pin}>
+              <Pin size={16} />
+              Pin
+            </IconButton>
+            <IconButton title="Cancel" onClick={onClose}>
+              Cancel
+            </IconButton>
+          </div>
+        </div>
+      </div>
+    </ModalShell>
+  );
+}
+
+const DRILL_TABLE_HEIGHT = 560;
+
+// Side drawer listing the trips behind a clicked chart element, with summary stats for the slice.
+function DrillDownDrawer({ selection, rows, summary, onPin, onClose }) {
+  const fmt = (v, digits = 1) => (v == null ? "—" : Number(v).toFixed(digits));
+  const stats = [
+    { label: "Trips", value: Number(summary.trips || 0).toLocaleString(), meta: `${fmt(summary.share)}% of view` },
+    { label: "Avg duration", value: `${fmt(summary.avgDuration)} min`, meta: `Median ${fmt(summary.medianDuration)} min` },
+    { label: "Avg distance", value: `${fmt(summary.avgDistance, 2)} km`, meta: "Straight line" },
+    { label: "Members", value: `${fmt(summary.memberShare)}%`, meta: `${summary.stations || 0} start stations` },
+  ];
+
+  return (
+    <div style={{ position: "fixed", inset: 0, background: "rgba(0,0,0,0.45)", zIndex: 9998 }} onClick={onClose}>
+      <div
+        style={{
+          position: "absolute",
+          top: 0,
+          right: 0,
+          bottom: 0,
+          width: "min(640px, 100%)",
+          background: THEME.card,
+          borderLeft: `1px solid ${THEME.border}`,
+          boxShadow: shadow,
+          backdropFilter: "blur(14px)",
+          padding: 16,
+          display: "flex",
+          flexDirection: "column",
+          gap: 12,
+        }}
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div style={{ display: "flex", justifyContent: "space-between", alignItems: "flex-start", gap: 12 }}>
+          <div style={{ minWidth: 0 }}>
+            <div style={{ fontWeight: 1000, fontSize: 16 }}>{selection.title}</div>
+            <div style={{ color: THEME.muted, fontSize: 12, marginTop: 4 }}>{selection.label}</div>
+          </div>
+          <div style={{ display: "flex", gap: 8 }}>
+            <IconButton title="Pin these trips as a table widget" tone="accent" disabled={!rows.length} onClick={onPin}>
+              <Pin size={16} />
+              Pin as table
+            </IconButton>
+            <IconButton title="Close" onClick={onClose}>
+              <X size={16} />
+            </IconButton>
+          </div>
+        </div>
+
+        <div style={{ display: "grid", gridTemplateColumns: "repeat(auto-fit, minmax(130px, 1fr))", gap: 8 }}>
+          {stats.map((s) => (
+            <div
+              key={s.label}
+              style={{
+                border: `1px solid ${THEME.border}`,
+                borderRadius: 14,
+                padding: "8px 10px",
+                background: "rgba(255,255,255,0.03)",
+              }}
+            >
+              <div style={fieldLabelStyle}>{s.label}</div>
+              <div style={{ fontWeight: 1000, fontSize: 18, marginTop: 2 }}>{s.value}</div>
+              <div style={{ color: THEME.muted, fontSize: 11, marginTop: 2 }}>{s.meta}</div>
+            </div>
+          ))}
+        </div>
+
+        <div style={{ flex: 1, minHeight: 0, overflowY: "auto" }}>
+          <TableRenderer
+            columns={DRILL_COLUMNS.map((c) => ({ key: c, label: c }))}
+            rows={rows}
+            maxHeight={DRILL_TABLE_HEIGHT}
+          />
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Station picker in the header of a station-following widget. "" = auto: the dashboard's selected
+// station, else the most imbalanced one. A picked station missing from the rows stays listed.
+function StationPicker({ value, stations = [], onChange }) {
+  const choices = value && !stations.includes(value) ? [value, ...stations] : stations;
+  return (
+    <select
+      title="Station this widget shows"
+      value={value}
+      onChange={(e) => onChange(e.target.value)}
+      style={{ ...fieldStyle, width: "auto", maxWidth: 180, padding: "4px 6px", fontSize: 12 }}
+    >
+      <option value="">Auto station</option>
+      {choices.map((s) => (
+        <option key={s} value={s}>
+          {shortText(s, 32)}
+        </option>
+      ))}
+    </select>
+  );
+}
+
+// Layout controls in a dashboard panel header. The grip is the drag handle; focused, the
+// arrow keys move the panel one place earlier / later.
+function GridItemControls({ item, onGrab, onRelease, onStep, onChange }) {
+  return (
+    <div style={{ display: "flex", gap: 6, alignItems: "center" }}>
+      <button
+        title="Drag to move (or focus and use the arrow keys)"
+        aria-label="Move panel"
+        onPointerDown={onGrab}
+        onPointerUp={onRelease}
+        onKeyDown={(e) => {
+          const dir = ["ArrowLeft", "ArrowUp"].includes(e.key) ? -1 : ["ArrowRight", "ArrowDown"].includes(e.key) ? 1 : 0;
+          if (!dir) return;
+          e.preventDefault();
+          onStep(dir);
+        }}
+        style={{
+          border: `1px solid ${THEME.border}`,
+          background: "transparent",
+          color: THEME.muted,
+          cursor: "grab",
+          padding: "6px 4px",
+          borderRadius: 10,
+          display: "inline-flex",
+        }}
+      >
+        <GripVertical size={16} />
+      </button>
+      <IconButton
+        title={`Width: ${item.w} of ${LAYOUT_COLUMNS} columns`}
+        onClick={() => onChange({ w: (item.w % LAYOUT_COLUMNS) + 1 })}
+      >
+        <MoveHorizontal size={14} />
+        {item.w}
+      </IconButton>
+      <IconButton title={`Height: ${LAYOUT_HEIGHTS[item.h]}px`} onClick={() => onChange({ h: nextHeight(item.h) })}>
+        <MoveVertical size={14} />
+        {item.h.toUpperCase()}
+      </IconButton>
+      <IconButton title={item.collapsed ? "Expand" : "Collapse"} onClick={() => onChange({ collapsed: !item.collapsed })}>
+        {item.collapsed ? <ChevronDown size={14} /> : <ChevronUp size={14} />}
+      </IconButton>
+      <IconButton title="Hide panel" onClick={() => onChange({ hidden: true })}>
+        <EyeOff size={14} />
+      </IconButton>
+    </div>
+  );
+}
+
+// Download a widget's data (CSV/JSON) or its rendered chart (SVG/PNG). The chart svg is found
+// under the closest [data-export-root], so this works in Panels and chat bubbles alike.
+function ExportMenu({ kind, title, caption, payload }) {
+  const [open, setOpen] = useState(false);
+  const [error, setError] = useState("");
+  const formats = EXPORT_FORMATS.filter((f) => f.data || kind === "chart");
+
+  async function run(format, e) {
+    const root = e.currentTarget.closest("[data-export-root]");
+    setOpen(false);
+    setError("");
+    try {
+      if (format === "csv") return downloadFile(exportFileName(title, "csv"), rowsToCsv(kind, payload), "text/csv");
+      if (format === "json") {
+        return downloadFile(exportFileName(title, "json"), rowsToJson(kind, payload), "application/json");
+      }
+
+      const live = root?.querySelector("svg.recharts-surface, svg[data-chart-surface]");
+      if (!live) throw new Error("Chart is not rendered yet.");
+      const { svg, width, height } = buildStandaloneSvg(live, {
+        title,
+        caption,
+        config: payload,
+        palette: THEME.chart,
+        background: THEME.bg1,
+        text: THEME.text,
+        muted: THEME.muted,
+      });
+      if (format === "svg") return downloadFile(exportFileName(title, "svg"), svg, "image/svg+xml");
+      downloadFile(exportFileName(title, "png"), await svgToPngBlob(svg, width, height));
+    } catch (err) {
+      setError(err?.message || String(err));
+    }
+  }
+
+  return (
+    <div style={{ position: "relative" }}>
+      <IconButton title={error || "Export"} onClick={() => setOpen((v) => !v)}>
+        <Download size={16} color={error ? THEME.bad : undefined} />
+      </IconButton>
+      {open ? (
+        <div
+          style={{
+            position: "absolute",
+            right: 0,
+            top: "calc(100% + 6px)",
+            zIndex: 20,
+            minWidth: 120,
+            padding: 6,
+            borderRadius: 12,
+            border: `1px solid ${THEME.borderStrong}`,
+            background: "rgba(10,15,25,0.96)",
+            boxShadow: softShadow,
+            display: "grid",
+            gap: 4,
+          }}
+        >
+          {formats.map((f) => (
+            <button
+              key={f.id}
+              onClick={(e) => run(f.id, e)}
+              style={{
+                textAlign: "left",
+                padding: "6px 10px",
+                borderRadius: 8,
+                border: "none",
+                background: "rgba(255,255,255,0.04)",
+                color: THEME.text,
+                cursor: "pointer",
+                fontSize: 12,
+                fontWeight: 800,
+              }}
+            >
+              {f.label}
+            </button>
+          ))}
+        </div>
+      ) : null}
+    </div>
+  );
+}
+
+// Heatmap cells are one accent hue; opacity carries the value (0 → max across all grids).
+const HEAT_RGB = "77, 163, 255";
+const HEAT_CELL = 18;
+const HEAT_LABEL_W = 48;
+const HEAT_WIDTH = 760;
+const heatFill = (t) => `rgba(${HEAT_RGB}, ${(0.08 + 0.92 * t).toFixed(3)})`;
+
+// Rows are data points (x values), columns the series (y values); a facet field splits rows into
+// one grid per value. Drawn as a plain SVG that scales to the box, like the recharts charts.
+function HeatmapChart({ config, height, select, lit, clickable }) {
+  const gradientId = `heat_${useId().replace(/:/g, "")}`;
+  const { data = [], xKey, series = [], measure } = config;
+  const values = data.flatMap((d) => series.map((s) => Number(d[s.key])).filter(Number.isFinite));
+  const max = values.length ? Math.max(...values) : 0;
+  const min = values.length ? Math.min(0, ...values) : 0;
+  const scale = (v) => (max > min ? (v - min) / (max - min) : 0);
+
+  const facets = [];
+  data.forEach((d, i) => {
+    const name = d.facet ?? null;
+    if (!facets.length || facets[facets.length - 1].name !== name) facets.push({ name, rows: [] });
+    facets[facets.length - 1].rows.push(i);
+  });
+
+  const cellW = (HEAT_WIDTH - HEAT_LABEL_W) / Math.max(1, series.length);
+  const labelEvery = Math.ceil(series.length / 12);
+  const facetHead = facets.some((f) => f.name != null) ? 18 : 0;
+  let y = 16;
+  const blocks = facets.map((f) => {
+    const top = y + facetHead;
+    y = top + f.rows.length * HEAT_CELL + 10;
+    return { ...f, top };
+  });
+  const legendY = y + 4;
+  const totalH = legendY + 22;
+  const fmt = (v) => (Number.isFinite(v) ? v.toLocaleString() : "–");
+
+  return (
+    <div style={{ width: "100%", height, cursor: clickable ? "pointer" : undefined }}>
+      <svg
+        data-chart-surface
+        viewBox={`0 0 ${HEAT_WIDTH} ${totalH}`}
+        width="100%"
+        height="100%"
+        preserveAspectRatio="xMidYMid meet"
+        style={{ fontFamily: "inherit" }}
+      >
+        <defs>
+          <linearGradient id={gradientId} x1="0" y1="0" x2="1" y2="0">
+            <stop offset="0%" stopColor={heatFill(0)} />
+            <stop offset="100%" stopColor={heatFill(1)} />
+          </linearGradient>
+        </defs>
+        {series.map((s, c) =>
+          c % labelEvery === 0 ? (
+            <text
+              key={s.key}
+              x={HEAT_LABEL_W + c * cellW + cellW / 2}
+              y={11}
+              fill={THEME.muted}
+              fontSize={10}
+              textAnchor="middle"
+            >
+              {s.label}
+            </text>
+          ) : null
+        )}
+        {blocks.map((b) => (
+          <g key={String(b.name)}>
+            {facetHead ? (
+              <text x={0} y={b.top - 5} fill={THEME.text} fontSize={11} fontWeight={700}>
+                {b.name}
+              </text>
+            ) : null}
+            {b.rows.map((i, r) => {
+              const d = data[i];
+              const top = b.top + r * HEAT_CELL;
+              return (
+                <g key={i}>
+                  <text x={HEAT_LABEL_W - 6} y={top + HEAT_CELL / 2 + 3.5} fill={THEME.muted} fontSize={10} textAnchor="end">
+                    {d[xKey]}
+                  </text>
+                  {series.map((s, c) => {
+                    const v = Number(d[s.key]);
+                    const has = Number.isFinite(v);
+                    return (
+                      <rect
+                        key={s.key}
+                        x={HEAT_LABEL_W + c * cellW + 1}
+                        y={top + 1}
+                        width={Math.max(1, cellW - 2)}
+                        height={HEAT_CELL - 2}
+                        rx={3}
+                        fill={has ? heatFill(scale(v)) : "rgba(148, 163, 184, 0.06)"}
+                        opacity={lit(i, s.key) ? 1 : 0.25}
+                        onClick={clickable ? () => select(i, s.key) : undefined}
+                      >
+                        <title>{`${b.name != null ? `${b.name} · ` : ""}${d[xKey]} · ${s.label}: ${has ? fmt(v) : 0}`}</title>
+                      </rect>
+                    );
+                  })}
+                </g>
+              );
+            })}
+          </g>
+        ))}
+        <text x={HEAT_LABEL_W - 6} y={legendY + 10} fill={THEME.muted} fontSize={10} textAnchor="end">
+          {measure || "value"}
+        </text>
+        <text x={HEAT_LABEL_W} y={legendY + 10} fill={THEME.muted} fontSize={10}>
+          {fmt(min)}
+        </text>
+        <rect x={HEAT_LABEL_W + 40} y={legendY + 2} width={180} height={10} rx={3} fill={`url(#${gradientId})`} />
+        <text x={HEAT_LABEL_W + 228} y={legendY + 10} fill={THEME.muted} fontSize={10}>
+          {fmt(max)}
+        </text>
+      </svg>
+    </div>
+  );
+}
+
+// Stations are circles sized by trips (departures + arrivals) and colored by net flow: green gains
+// bikes over the period, red loses them. Top routes are optional curved flow lines.
+const STATION_LABELS = 8;
+const FLOW_COLOR = THEME.accent2;
+
+function StationMapChart({ config, height, select, lit, clickable }) {
+  const uid = useId().replace(/:/g, "");
+  const [hover, setHover] = useState(null);
+  const [showFlows, setShowFlows] = useState(true);
+  const { data = [], routes = [], unplaced = 0 } = config;
+  const frame = useMemo(() => projectStations(data), [data]);
+
+  if (!data.length) {
+    return (
+      <div style={{ height, display: "grid", placeItems: "center", color: THEME.muted, fontSize: 13, textAlign: "center" }}>
+        No station coordinates in these rows (needs start_lat / start_lng and end_lat / end_lng).
+      </div>
+    );
+  }
+
+  const { points, width, scaleBar } = frame;
+  const index = new Map(data.map((st, i) => [st.name, i]));
+  const maxVolume = Math.max(...data.map((st) => st.volume), 1);
+  const maxRatio = Math.max(...data.map((st) => Math.abs(st.net) / (st.volume || 1)), 1e-9);
+  const maxTrips = Math.max(...routes.map((r) => r.trips), 1);
+  const radius = (st) => 3 + 11 * Math.sqrt(st.volume / maxVolume);
+  const color = (st) => (st.net > 0 ? THEME.good : st.net < 0 ? THEME.bad : THEME.muted);
+  const strength = (st) => 0.3 + (0.6 * Math.abs(st.net)) / (st.volume || 1) / maxRatio;
+  const legendY = frame.height + 14;
+  const totalH = frame.height + 30;
+
+  // Curved so A → B and B → A don't overlap; the arrow stops at the destination's edge.
+  const flowPath = (r) => {
+    const a = points[index.get(r.from)];
+    const b = points[index.get(r.to)];
+    const cx = (a.x + b.x) / 2 - (b.y - a.y) * 0.15;
+    const cy = (a.y + b.y) / 2 + (b.x - a.x) * 0.15;
+    const len = Math.hypot(b.x - cx, b.y - cy) || 1;
+    const back = radius(data[index.get(r.to)]) + 2;
+    return `M ${a.x} ${a.y} Q ${cx} ${cy} ${b.x - ((b.x - cx) / len) * back} ${b.y - ((b.y - cy) / len) * back}`;
+  };
+
+  const tip = hover != null ? data[hover] : null;
+  const tipLines = tip
+    ? [
+        tip.name,
+        `Departures ${tip.starts.toLocaleString()} · Arrivals ${tip.ends.toLocaleString()}`,
+        `Net flow ${tip.net > 0 ? "+" : ""}${tip.net.toLocaleString()}${clickable ? " · click to select" : ""}`,
+      ]
+    : [];
+  const tipW = Math.max(...tipLines.map((l) => l.length * 6.2), 120) + 16;
+  const tipX = tip ? Math.min(points[hover].x + radius(tip) + 8, width - tipW - 4) : 0;
+  const tipY = tip ? Math.max(4, Math.min(points[hover].y - 24, frame.height - 56)) : 0;
+
+  return (
+    <div style={{ position: "relative", width: "100%", height }}>
+      {routes.length ? (
+        <label
+          style={{
+            position: "absolute",
+            top: 4,
+            left: 6,
+            display: "flex",
+            alignItems: "center",
+            gap: 6,
+            fontSize: 11,
+            color: THEME.muted,
+            cursor: "pointer",
+          }}
+        >
+          <input type="checkbox" checked={showFlows} onChange={(e) => setShowFlows(e.target.checked)} />
+          Top {routes.length} routes
+        </label>
+      ) : null}
+      <svg
+        data-chart-surface
+        viewBox={`0 0 ${width} ${totalH}`}
+        width="100%"
+        height="100%"
+        preserveAspectRatio="xMidYMid meet"
+        onMouseLeave={() => setHover(null)}
+      >
+        <defs>
+          <marker id={`${uid}_arrow`} viewBox="0 0 10 10" refX="8" refY="5" markerWidth="5" markerHeight="5" orient="auto">
+            <path d="M0,0 L10,5 L0,10 z" fill={FLOW_COLOR} />
+          </marker>
+        </defs>
+        {showFlows
+          ? routes.map((r) => (
+              <path
+                key={`${r.from}→${r.to}`}
+                d={flowPath(r)}
+                fill="none"
+                stroke={FLOW_COLOR}
+                strokeOpacity={0.55}
+                strokeWidth={1 + (4 * r.trips) / maxTrips}
+                markerEnd={`url(#${uid}_arrow)`}
+              >
+                <title>{`${r.from} → ${r.to}: ${r.trips.toLocaleString()} trips`}</title>
+              </path>
+            ))
+          : null}
+        {/* Smallest last, so busy stations don't cover their neighbours. */}
+        {data
+          .map((st, i) => i)
+          .reverse()
+          .map((i) => (
+            <circle
+              key={data[i].name}
+              cx={points[i].x}
+              cy={points[i].y}
+              r={radius(data[i])}
+              fill={color(data[i])}
+              fillOpacity={lit(i) ? strength(data[i]) : 0.08}
+              stroke={hover === i ? THEME.text : color(data[i])}
+              strokeOpacity={lit(i) ? 0.9 : 0.25}
+              strokeWidth={hover === i ? 2 : 1}
+              style={{ cursor: clickable ? "pointer" : undefined }}
+              onMouseEnter={() => setHover(i)}
+              onClick={clickable ? () => select(i) : undefined}
+            />
+          ))}
+        {data.slice(0, STATION_LABELS).map((st, i) => (
+          <text
+            key={st.name}
+            x={points[i].x}
+            y={points[i].y - radius(st) - 4}
+            fill={THEME.muted}
+            fontSize={10}
+            textAnchor="middle"
+            pointerEvents="none"
+          >
+            {st.name}
+          </text>
+        ))}
+        {tip ? (
+          <g pointerEvents="none">
+            <rect
+              x={tipX}
+              y={tipY}
+              width={tipW}
+              height={52}
+              rx={8}
+              fill="rgba(10,15,25,0.92)"
+              stroke={THEME.borderStrong}
+            />
+            {tipLines.map((l, n) => (
+              <text
+                key={n}
+                x={tipX + 8}
+                y={tipY + 16 + n * 14}
+                fill={n ? THEME.muted : THEME.text}
+                fontSize={n ? 10 : 11}
+                fontWeight={n ? 400 : 700}
+              >
+                {l}
+              </text>
+            ))}
+          </g>
+        ) : null}
+        <g fontSize={10} fill={THEME.muted}>
+          <circle cx={10} cy={legendY - 3} r={5} fill={THEME.bad} fillOpacity={0.8} />
+          <text x={20} y={legendY}>
+            More departures
+          </text>
+          <circle cx={122} cy={legendY - 3} r={5} fill={THEME.good} fillOpacity={0.8} />
+          <text x={132} y={legendY}>
+            More arrivals
+          </text>
+          <text x={226} y={legendY}>
+            Size = trips{unplaced ? ` · ${unplaced} station${unplaced === 1 ? "" : "s"} without coordinates` : ""}
+          </text>
+          {scaleBar ? (
+            <>
+              <line
+                x1={width - 10 - scaleBar.px}
+                x2={width - 10}
+                y1={legendY - 3}
+                y2={legendY - 3}
+                stroke={THEME.muted}
+                strokeWidth={2}
+              />
+              <text x={width - 16 - scaleBar.px} y={legendY} textAnchor="end">
+                {scaleBar.km} km
+              </text>
+            </>
+          ) : null}
+        </g>
+      </svg>
+    </div>
+  );
+}
+
+// Origins on the left, destinations on the right (a station that is both gets a node on each side);
+// links are colored by split value. The header picks how many top origins / destinations to show.
+const SANKEY_TOP_CHOICES = [3, 5, 8, 12, 20];
+const SANKEY_HEADER = 26;
+
+function SankeyChart({ config, height, select, lit, clickable }) {
+  const [top, setTop] = useState(config.top || SANKEY_TOP_CHOICES[2]);
+  // A new top from the widget's spec replaces whatever was picked here.
+  const [syncedTop, setSyncedTop] = useState(config.top);
+  if (syncedTop !== config.top) {
+    setSyncedTop(config.top);
+    setTop(config.top || SANKEY_TOP_CHOICES[2]);
+  }
+  const { data = [], linkSeries = [], series = [], origins = [], destinations = [], valueKey = "value", total = 0 } = config;
+
+  // One Sankey link per origin → destination pair (Recharts keys links by pair and value, so split
+  // series can't each have their own); its parts are the series, drawn as stacked bands.
+  const graph = useMemo(() => {
+    const from = origins.slice(0, top);
+    const to = destinations.slice(0, top);
+    const byPair = new Map();
+    const links = [];
+    data.forEach((d, i) => {
+      const source = from.indexOf(d.from);
+      const target = to.indexOf(d.to);
+      if (source < 0 || target < 0 || !(d[valueKey] > 0)) return;
+      let link = byPair.get(`${source}:${target}`);
+      if (!link) {
+        link = { source, target: from.length + target, value: 0, parts: [] };
+        byPair.set(`${source}:${target}`, link);
+        links.push(link);
+      }
+      link.value += d[valueKey];
+      link.parts.push({ point: i, seriesKey: linkSeries[i], value: d[valueKey] });
+    });
+    const nodes = [...from.map((name) => ({ name, side: "from" })), ...to.map((name) => ({ name, side: "to" }))];
+    return { nodes, links, shown: links.reduce((sum, l) => sum + l.value, 0) };
+  }, [data, linkSeries, origins, destinations, valueKey, top]);
+
+  const split = !!config.drill?.splitBy;
+  const color = (key) => THEME.chart[Math.max(0, series.findIndex((s) => s.key === key)) % THEME.chart.length];
+  const most = Math.max(origins.length, destinations.length);
+  const choices = SANKEY_TOP_CHOICES.filter((n, i) => i === 0 || n <= most || n === top);
+
+  const renderLink = ({ sourceX, targetX, sourceY, targetY, sourceControlX, targetControlX, linkWidth, payload }) => {
+    let offset = -linkWidth / 2;
+    return (
+      <g>
+        {payload.parts.map((part) => {
+          const d = data[part.point];
+          const width = (linkWidth * part.value) / payload.value;
+          const dy = offset + width / 2;
+          offset += width;
+          const what = split ? ` (${series.find((s) => s.key === part.seriesKey)?.label})` : "";
+          return (
+            <path
+              key={part.point}
+              d={`M${sourceX},${sourceY + dy} C${sourceControlX},${sourceY + dy} ${targetControlX},${targetY + dy} ${targetX},${targetY + dy}`}
+              fill="none"
+              stroke={split ? color(part.seriesKey) : THEME.accent}
+              strokeWidth={Math.max(1, width)}
+              strokeOpacity={lit(part.point, part.seriesKey) ? 0.45 : 0.08}
+              style={{ cursor: clickable ? "pointer" : undefined }}
+              onClick={clickable ? () => select(part.point, part.seriesKey) : undefined}
+            >
+              <title>{`${d.from} → ${d.to}${what}: ${part.value.toLocaleString()}`}</title>
+            </path>
+          );
+        })}
+      </g>
+    );
+  };
+  const renderNode = ({ x, y, width, height: h, payload }) => {
+    const left = payload.side === "from";
+    return (
+      <g>
+        <rect x={x} y={y} width={width} height={Math.max(1, h)} rx={2} fill={left ? THEME.accent : THEME.accent2} />
+        <text
+          x={left ? x + width + 6 : x - 6}
+          y={y + h / 2 + 4}
+          textAnchor={left ? "start" : "end"}
+          fill={THEME.text}
+          fontSize={11}
+          pointerEvents="none"
+        >
+          {shortText(payload.name, 26)}
+        </text>
+        <title>{`${payload.name} (${left ? "origin" : "destination"}): ${payload.value.toLocaleString()}`}</title>
+      </g>
+    );
+  };
+
+  return (
+    <div style={{ width: "100%", height }}>
+      <div style={{ height: SANKEY_HEADER, display: "flex", alignItems: "center", gap: 10, fontSize: 11, color: THEME.muted }}>
+        <label style={{ display: "flex", alignItems: "center", gap: 6 }}>
+          Top
+          <select
+            value={top}
+            onChange={(e) => setTop(Number(e.target.value))}
+            style={{ ...fieldStyle, width: "auto", padding: "2px 6px", fontSize: 11 }}
+          >
+            {choices.map((n) => (
+              <option key={n} value={n}>
+                {n}
+              </option>
+            ))}
+          </select>
+          stations
+        </label>
+        {split
+          ? series.map((s) => (
+              <span key={s.key} style={{ display: "flex", alignItems: "center", gap: 4 }}>
+                <span style={{ width: 10, height: 10, borderRadius: 2, background: color(s.key) }} />
+                {s.label}
+              </span>
+            ))
+          : null}
+        <span style={{ marginLeft: "auto" }}>
+          {total ? Math.round((graph.shown / total) * 100) : 0}% of {valueKey === "count" ? "trips" : valueKey} shown
+        </span>
+      </div>
+      {graph.links.length ? (
+        <ResponsiveContainer width="100%" height={height - SANKEY_HEADER}>
+          <Sankey
+            data={graph}
+            node={renderNode}
+            link={renderLink}
+            nodePadding={8}
+            nodeWidth={10}
+            margin={{ top: 6, right: 8, bottom: 6, left: 8 }}
+          />
+        </ResponsiveContainer>
+      ) : (
+        <div style={{ height: height - SANKEY_HEADER, display: "grid", placeItems: "center", fontSize: 13, color: THEME.muted }}>
+          No flows between the top stations.
+        </div>
+      )}
+    </div>
+  );
+}
+
+const NOTE_HEIGHT = 18;
+
+// onSelect({ index, seriesKey }) fires on a clicked point / bar / slice / heatmap cell / station / flow when the
+// config has drill metadata. highlight ({ index, seriesKey? }) marks the selected element: other bars /
+// slices / cells / stations / flows are dimmed, lines and areas get a marker at the selected x. config.note is an
+// optional muted line above the chart (e.g. which station it shows).
+function ChartRenderer({ config, height = 280, onSelect, highlight }) {
+  if (!config) return null;
+  const { chartType, data, xKey, series, donut, nameKey, valueKey, note } = config;
+  const clickable = !!(onSelect && config.drill);
+  const lit = (i, key) => !highlight || (i === highlight.index && (!highlight.seriesKey || highlight.seriesKey === key));
+  const dimCells = (color, key) =>
+    highlight
+      ? (data || []).map((_, i) => <Cell key={i} fill={color} fillOpacity={lit(i, key) ? 1 : 0.25} />)
+      : null;
+  const marker = highlight ? (
+    <ReferenceLine x={data?.[highlight.index]?.[xKey]} stroke={THEME.accent} strokeWidth={2} strokeDasharray="4 4" />
+  ) : null;
+  const select = (index, seriesKey) => {
+    const i = Number(index);
+    if (clickable && Number.isInteger(i) && i >= 0) onSelect({ index: i, seriesKey });
+  };
+  // Lines and areas have no per-element target, so the chart reports the hovered x index.
+  const onChartClick = clickable ? (state) => select(state?.activeTooltipIndex) : undefined;
+  if (chartType === "heatmap") {
+    return <HeatmapChart config={config} height={height} select={select} lit={lit} clickable={clickable} />;
+  }
+  if (chartType === "stationMap") {
+    return <StationMapChart config={config} height={height} select={select} lit={lit} clickable={clickable} />;
+  }
+  if (chartType === "sankey") {
+    return <SankeyChart config={config} height={height} select={select} lit={lit} clickable={clickable} />;
+  }
+
+  const commonTooltip = (
+    <Tooltip
+      contentStyle={{
+        background: "rgba(10,15,25,0.92)",
+        border: `1px solid ${THEME.borderStrong}`,
+        borderRadius: 12,
+        color: THEME.text,
+      }}
+      labelStyle={{ color: THEME.muted }}
+    />
+  );
+
+  return (
+    <div style={{ width: "100%", height, cursor: clickable ? "pointer" : undefined }}>
+      {note ? (
+        <div
+          style={{ height: NOTE_HEIGHT, fontSize: 11, color: THEME.muted, whiteSpace: "nowrap", overflow: "hidden" }}
+        >
+          {note}
+        </div>
+      ) : null}
+      <ResponsiveContainer width="100%" height={note ? height - NOTE_HEIGHT : "100%"}>
+        {chartType === "line" ? (
+          <LineChart data={data} onClick={onChartClick}>
+            <CartesianGrid strokeDasharray="3 3" stroke="rgba(148,163,184,0.15)" />
+            <XAxis dataKey={xKey} stroke={THEME.muted} tick={{ fontSize: 12 }} />
+            <YAxis stroke={THEME.muted} tick={{ fontSize: 12 }} />
+            {commonTooltip}
+            <Legend />
+            {marker}
+            {(series || []).map((s, i) => (
+              <Line
+                key={s.key}
+                type="monotone"
+                dataKey={s.key}
+                name={s.label}
+                stroke={THEME.chart[i % THEME.chart.length]}
+                strokeWidth={2.5}
+                dot={false}
+              />
+            ))}
+          </LineChart>
+        ) : chartType === "area" ? (
+          <AreaChart data={data} onClick={onChartClick}>
+            <defs>
+              {(series || []).map((s, i) => (
+                <linearGradient key={s.key} id={`g_${s.key}`} x1="0" y1="0" x2="0" y2="1">
+                  <stop offset="0%" stopColor={THEME.chart[i % THEME.chart.length]} stopOpacity={0.35} />
+                  <stop offset="95%" stopColor={THEME.chart[i % THEME.chart.length]} stopOpacity={0.04} />
+                </linearGradient>
+              ))}
+            </defs>
+            <CartesianGrid strokeDasharray="3 3" stroke="rgba(148,163,184,0.15)" />
+            <XAxis dataKey={xKey} stroke={THEME.muted} tick={{ fontSize: 12 }} />
+            <YAxis stroke={THEME.muted} tick={{ fontSize: 12 }} />
+            {commonTooltip}
+            <Legend />
+            {marker}
+            {(series || []).map((s, i) => (
+              <Area
+                key={s.key}
+                type="monotone"
+                dataKey={s.key}
+                name={s.label}
+                stroke={THEME.chart[i % THEME.chart.length]}
+                fill={`url(#g_${s.key})`}
+                strokeWidth={2}
+                dot={false}
+              />
+            ))}
+          </AreaChart>
+        ) : chartType === "stackedBar" ? (
+          <BarChart data={data}>
+            <CartesianGrid strokeDasharray="3 3" stroke="rgba(148,163,184,0.15)" />
+            <XAxis dataKey={xKey} stroke={THEME.muted} tick={{ fontSize: 12 }} />
+            <YAxis stroke={THEME.muted} tick={{ fontSize: 12 }} />
+            {commonTooltip}
+            <Legend />
+            {(series || []).map((s, i) => (
+              <Bar
+                key={s.key}
+                dataKey={s.key}
+                name={s.label}
+                stackId="a"
+                fill={THEME.chart[i % THEME.chart.length]}
+                onClick={clickable ? (_, idx) => select(idx, s.key) : undefined}
+                radius={i === series.length - 1 ? [10, 10, 0, 0] : [0, 0, 0, 0]}
+              >
+                {dimCells(THEME.chart[i % THEME.chart.length], s.key)}
+              </Bar>
+            ))}
+          </BarChart>
+        ) : chartType === "bar" ? (
+          <BarChart data={data}>
+            <CartesianGrid strokeDasharray="3 3" stroke="rgba(148,163,184,0.15)" />
+            <XAxis
+              dataKey={xKey}
+              stroke={THEME.muted}
+              tick={{ fontSize: 11 }}
+              interval={0}
+              angle={-16}
+              textAnchor="end"
+              height={64}
+            />
+            <YAxis stroke={THEME.muted} tick={{ fontSize: 12 }} />
+            {commonTooltip}
+            <Legend />
+            {(series || []).map((s, i) => (
+              <Bar
+                key={s.key}
+                dataKey={s.key}
+                name={s.label}
+                fill={THEME.chart[i % THEME.chart.length]}
+                radius={[10, 10, 0, 0]}
+                onClick={clickable ? (_, idx) => select(idx, s.key) : undefined}
+              >
+                {dimCells(THEME.chart[i % THEME.chart.length], s.key)}
+              </Bar>
+            ))}
+          </BarChart>
+        ) : chartType === "pie" ? (
+          <PieChart>
+            {commonTooltip}
+            <Legend />
+            <Pie
+              data={data}
+              dataKey={valueKey || "value"}
+              nameKey={nameKey || "name"}
+              innerRadius={donut ? 62 : 0}
+              outerRadius={96}
+              paddingAngle={2}
+              stroke="rgba(255,255,255,0.05)"
+              onClick={clickable ? (_, idx) => select(idx) : undefined}
+            >
+              {(data || []).map((_, i) => (
+                <Cell key={i} fill={THEME.chart[i % THEME.chart.length]} fillOpacity={lit(i) ? 1 : 0.25} />
+              ))}
+            </Pie>
+          </PieChart>
+        ) : null}
+      </ResponsiveContainer>
+    </div>
+  );
+}
+
+const TABLE_ROW_HEIGHT = 36;
+const TABLE_OVERSCAN = 8;
+
+function formatCell(key, v) {
+  if (key.includes("started_at") || key.includes("ended_at")) {
+    const d = safeDate(v);
+    if (d) return d.toLocaleString();
+  }
+  return String(v ?? "");
+}
+// Columns from the first rows when the caller doesn't pass any (rows can differ in keys).
+function inferColumns(rows) {
+  const keys = new Set();
+  for (const r of (rows || []).slice(0, 50)) for (const k of Object.keys(r || {})) keys.add(k);
+  return [...keys].map((k) => ({ key: k, label: k }));
+}
+function isEmptyCell(v) {
+  return v == null || v === "";
+}
+
+// Click a header to sort (asc → desc → off), quick-filter across visible columns, show/hide
+// columns. Only the rows in view (plus overscan) are rendered, so large results scroll smoothly.
+function TableRenderer({ columns, rows, maxHeight = 320 }) {
+  const [sort, setSort] = useState(null); // { key, asc }
+  const [search, setSearch] = useState("");
+  const [hidden, setHidden] = useState(() => new Set());
+  const [showColumns, setShowColumns] = useState(false);
+  const [scrollTop, setScrollTop] = useState(0);
+
+  const allCols = useMemo(() => (columns && columns.length ? columns : inferColumns(rows)), [columns, rows]);
+  const cols = useMemo(() => allCols.filter((c) => !hidden.has(c.key)), [allCols, hidden]);
+
+  const visibleRows = useMemo(() => {
+    let out = rows || [];
+    const needle = search.trim().toLowerCase();
+    if (needle) {
+      out = out.filter((r) => cols.some((c) => formatCell(c.key, r?.[c.key]).toLowerCase().includes(needle)));
+    }
+    if (sort) {
+      const sign = sort.asc ? 1 : -1;
+      out = [...out].sort((a, b) => {
+        const av = a?.[sort.key];
+        const bv = b?.[sort.key];
+        // Empty cells stay at the bottom in both directions.
+        if (isEmptyCell(av) || isEmptyCell(bv)) return isEmptyCell(av) - isEmptyCell(bv);
+        return compareValues(av, bv) * sign;
+      });
+    }
+    return out;
+  }, [rows, search, sort, cols]);
+
+  function toggleSort(key) {
+    setSort((s) => (s?.key !== key ? { key, asc: true } : s.asc ? { key, asc: false } : null));
+  }
+  function toggleColumn(key) {
+    setHidden((prev) => {
+      const next = new Set(prev);
+      if (next.has(key)) next.delete(key);
+      else if (allCols.length - next.size > 1) next.add(key);
+      return next;
+    });
+  }
+
+  const total = rows?.length || 0;
+  const first = Math.max(0, Math.floor(scrollTop / TABLE_ROW_HEIGHT) - TABLE_OVERSCAN);
+  const last = Math.min(visibleRows.length, Math.ceil((scrollTop + maxHeight) / TABLE_ROW_HEIGHT) + TABLE_OVERSCAN);
+  const windowRows = visibleRows.slice(first, last);
+  const padTop = first * TABLE_ROW_HEIGHT;
+  const padBottom = (visibleRows.length - last) * TABLE_ROW_HEIGHT;
+
+  return (
+    <div
+      style={{
+        border: `1px solid ${THEME.border}`,
+        borderRadius: 14,
+        overflow: "hidden",
+        background: "rgba(0,0,0,0.18)",
+      }}
+    >
+      <div
+        style={{
+          display: "flex",
+          gap: 8,
+          alignItems: "center",
+          padding: "8px 10px",
+          borderBottom: `1px solid ${THEME.border}`,
+        }}
+      >
+        <Search size={14} color={THEME.muted} />
+        <input
+          value={search}
+          onChange={(e) => setSearch(e.target.value)}
+          placeholder="Filter rows…"
+          style={{
+            flex: 1,
+            minWidth: 0,
+            background: "transparent",
+            border: "none",
+            outline: "none",
+            color: THEME.text,
+            fontSize: 12,
+          }}
+        />
+        <IconButton title="Show / hide columns" onClick={() => setShowColumns((v) => !v)}>
+          <Columns3 size={14} />
+          {cols.length}/{allCols.length}
+        </IconButton>
+      </div>
+
+      {showColumns ? (
+        <div
+          style={{
+            display: "flex",
+            gap: 6,
+            flexWrap: "wrap",
+            padding: "8px 10px",
+            borderBottom: `1px solid ${THEME.border}`,
+          }}
+        >
+          {allCols.map((c) => (
+            <label
+              key={c.key}
+              style={{ display: "inline-flex", alignItems: "center", gap: 6, fontSize: 12, cursor: "pointer" }}
+            >
+              <input type="checkbox" checked={!hidden.has(c.key)} onChange={() => toggleColumn(c.key)} />
+              {c.label}
+            </label>
+          ))}
+        </div>
+      ) : null}
+
+      <div
+        style={{ overflowX: "auto", maxHeight, overflowY: "auto" }}
+        onScroll={(e) => setScrollTop(e.currentTarget.scrollTop)}
+      >
+        <table style={{ width: "100%", borderCollapse: "collapse", fontSize: 12 }}>
+          <thead
+            style={{
+              position: "sticky",
+              top: 0,
+              background: "rgba(10,15,25,0.92)",
+              backdropFilter: "blur(8px)",
+              zIndex: 1,
+            }}
+          >
+            <tr>
+              {cols.map((c) => (
+                <th
+                  key={c.key}
+                  onClick={() => toggleSort(c.key)}
+                  title="Sort"
+                  style={{
+                    textAlign: "left",
+                    padding: "10px 12px",
+                    color: sort?.key === c.key ? THEME.text : THEME.muted,
+                    borderBottom: `1px solid ${THEME.border}`,
+                    fontWeight: 900,
+                    whiteSpace: "nowrap",
+                    cursor: "pointer",
+                    userSelect: "none",
+                  }}
+                >
+                  {c.label}
+                  {sort?.key === c.key ? (sort.asc ? " ▲" : " ▼") : ""}
+                </th>
+              ))}
             </tr>
           </thead>
           <tbody>
-            {(rows || []).map((r, i) => (
-              <tr key={i} style={{ borderBottom: `1px solid ${THEME.border}` }}>
-                {cols.map((c) => {
-                  let v = r?.[c.key];
-                  if (c.key.includes("started_at") || c.key.includes("ended_at")) {
-                    const d = safeDate(v);
-                    v = d ? d.toLocaleString() : v;
-                  }
-                  return (
-                    <td key={c.key} style={{ padding: "10px 12px", color: THEME.text, whiteSpace: "nowrap" }}>
-                      {String(v ?? "")}
-                    </td>
-                  );
-                })}
+            {padTop > 0 ? (
+              <tr style={{ height: padTop }}>
+                <td colSpan={cols.length} />
+              </tr>
+            ) : null}
+            {windowRows.map((r, i) => (
+              <tr key={first + i} style={{ height: TABLE_ROW_HEIGHT, borderBottom: `1px solid ${THEME.border}` }}>
+                {cols.map((c) => (
+                  <td key={c.key} style={{ padding: "0 12px", color: THEME.text, whiteSpace: "nowrap" }}>
+                    {formatCell(c.key, r?.[c.key])}
+                  </td>
+                ))}
+              </tr>
+            ))}
+            {padBottom > 0 ? (
+              <tr style={{ height: padBottom }}>
+                <td colSpan={cols.length} />
+              </tr>
+            ) : null}
+            {!visibleRows.length ? (
+              <tr>
+                <td colSpan={cols.length} style={{ padding: 12, color: THEME.muted }}>
+                  {total ? "No rows match the filter" : "No rows"}
+                </td>
               </tr>
+            ) : null}
+          </tbody>
+        </table>
+      </div>
+
+      <div
+        style={{
+          padding: "6px 12px",
+          borderTop: `1px solid ${THEME.border}`,
+          color: THEME.muted,
+          fontSize: 12,
+          background: "rgba(10,15,25,0.92)",
+        }}
+      >
+        {visibleRows.length === total
+          ? `${total.toLocaleString()} rows`
+          : `${visibleRows.length.toLocaleString()} of ${total.toLocaleString()} rows`}
+      </div>
+    </div>
+  );
+}
+
+// Next / previous / load all for a paged query result (page = { total, offset, pageSize, all }).
+function QueryPager({ page, rowCount, loading, error, onPage, onLoadAll }) {
+  const { total, offset = 0, pageSize = rowCount, all } = page || {};
+  const hasPrev = !all && offset > 0;
+  const complete = total != null && rowCount >= total;
+  // Load all stops at LOAD_ALL_MAX; say so rather than look complete, and page on from there.
+  const capped = all && total != null && rowCount < total;
+  const hasNext = all ? capped : total != null ? offset + rowCount < total : rowCount >= pageSize;
+
+  return (
+    <div style={{ marginTop: 10, display: "flex", gap: 8, flexWrap: "wrap", alignItems: "center" }}>
+      <IconButton title="Previous page" disabled={loading || !hasPrev} onClick={() => onPage(Math.max(0, offset - pageSize))}>
+        <ChevronLeft size={16} />
+        Previous
+      </IconButton>
+      <IconButton title="Next page" disabled={loading || !hasNext} onClick={() => onPage(all ? pageSize : offset + pageSize)}>
+        Next
+        <ChevronRight size={16} />
+      </IconButton>
+      <IconButton
+        title={`Load every matching row (up to ${LOAD_ALL_MAX.toLocaleString()})`}
+        disabled={loading || all || complete}
+        onClick={onLoadAll}
+      >
+        <ChevronsDown size={16} />
+        Load all
+      </IconButton>
+      {all ? (
+        <IconButton title="Back to paged results" disabled={loading} onClick={() => onPage(0)}>
+          Pages
+        </IconButton>
+      ) : null}
+      <span style={{ color: error ? THEME.bad : capped ? THEME.warn : THEME.muted, fontSize: 12 }}>
+        {loading
+          ? "Loading…"
+          : error
+          ? error
+          : capped
+          ? `Showing first ${rowCount.toLocaleString()} of ${total.toLocaleString()} rows`
+          : all
+          ? ""
+          : `${pageSize} per page`}
+      </span>
+    </div>
+  );
+}
+
+function LoadProgress({ progress, onCancel }) {
+  const p = progress || {};
+  const pct = p.totalBytes ? clamp((p.bytesRead / p.totalBytes) * 100, 0, 100) : 0;
+  const label =
+    p.phase === "aggregating"
+      ? "Building aggregates…"
+      : p.phase === "parsing"
+      ? `Parsing… ${pct.toFixed(0)}%`
+      : "Reading file…";
+
+  return (
+    <div>
+      <div style={{ display: "flex", justifyContent: "space-between", gap: 10, alignItems: "center" }}>
+        <div style={{ fontSize: 12, color: THEME.text, fontWeight: 800 }}>{label}</div>
+        {onCancel ? (
+          <IconButton title="Cancel loading" tone="danger" onClick={onCancel}>
+            <X size={14} />
+            Cancel
+          </IconButton>
+        ) : null}
+      </div>
+      <div
+        style={{
+          marginTop: 8,
+          height: 8,
+          borderRadius: 999,
+          background: "rgba(255,255,255,0.06)",
+          border: `1px solid ${THEME.border}`,
+          overflow: "hidden",
+        }}
+      >
+        <div
+          style={{
+            width: `${p.phase === "aggregating" ? 100 : pct}%`,
+            height: "100%",
+            background: `linear-gradient(90deg, ${THEME.accent}, ${THEME.accent2})`,
+            transition: "width .2s ease",
+          }}
+        />
+      </div>
+      <div style={{ marginTop: 8, fontSize: 12, color: THEME.muted, lineHeight: 1.35 }}>
+        {Number(p.rowsParsed || 0).toLocaleString()} parsed ·{" "}
+        <span style={{ color: THEME.good }}>{Number(p.rowsKept || 0).toLocaleString()} kept</span> ·{" "}
+        <span style={{ color: THEME.warn }}>{Number(p.rowsDropped || 0).toLocaleString()} dropped</span>
+      </div>
+    </div>
+  );
+}
+
+function DatasetLoader({ dataset, busy, progress, error, onFile, onReset, onCancel, onEditRules }) {
+  const inputRef = useRef(null);
+  const [dragOver, setDragOver] = useState(false);
+
+  function pick(files) {
+    const file = files?.[0];
+    if (file) onFile(file);
+  }
+
+  return (
+    <div
+      onDragOver={(e) => {
+        e.preventDefault();
+        setDragOver(true);
+      }}
+      onDragLeave={() => setDragOver(false)}
+      onDrop={(e) => {
+        e.preventDefault();
+        setDragOver(false);
+        pick(e.dataTransfer?.files);
+      }}
+      style={{
+        border: `1px ${dragOver ? "solid" : "dashed"} ${dragOver ? THEME.accent : THEME.borderStrong}`,
+        borderRadius: 18,
+        padding: 14,
+        background: dragOver ? "rgba(77,163,255,0.10)" : THEME.panel,
+        transition: "border-color .12s ease, background .12s ease",
+      }}
+    >
+      <div style={{ fontSize: 12, color: THEME.muted, fontWeight: 900, textTransform: "uppercase" }}>
+        Current dataset
+      </div>
+
+      <div style={{ marginTop: 10, display: "flex", alignItems: "center", gap: 10, minWidth: 0 }}>
+        <FileSpreadsheet size={18} color={THEME.accent} style={{ flex: "0 0 auto" }} />
+        <div style={{ minWidth: 0 }}>
+          <div
+            title={dataset?.name}
+            style={{ fontSize: 13, fontWeight: 900, overflow: "hidden", textOverflow: "ellipsis", whiteSpace: "nowrap" }}
+          >
+            {dataset?.name || "None loaded"}
+          </div>
+          <div style={{ fontSize: 12, color: THEME.muted, marginTop: 2 }}>
+            {busy
+              ? `Loading ${progress?.name || "CSV"}…`
+              : dataset
+              ? `${dataset.source === "default" ? "Bundled default" : "Uploaded"} · ${Number(
+                  dataset.validRows || 0
+                ).toLocaleString()} valid trips${dataset.size ? ` · ${formatBytes(dataset.size)}` : ""}`
+              : "Drop a CSV to get started"}
+          </div>
+        </div>
+      </div>
+
+      {busy ? (
+        <div style={{ marginTop: 12 }}>
+          <LoadProgress progress={progress} onCancel={onCancel} />
+        </div>
+      ) : (
+        <div style={{ marginTop: 10, color: THEME.muted, fontSize: 12, lineHeight: 1.3 }}>
+          Drop a trips CSV here or pick a file to swap the dashboard data.
+        </div>
+      )}
+
+      <input
+        ref={inputRef}
+        type="file"
+        accept=".csv,text/csv"
+        style={{ display: "none" }}
+        onChange={(e) => {
+          pick(e.target.files);
+          e.target.value = "";
+        }}
+      />
+
+      <div style={{ marginTop: 12, display: "flex", gap: 10, flexWrap: "wrap" }}>
+        <IconButton title="Load a CSV file" tone="accent" onClick={() => inputRef.current?.click()}>
+          <Upload size={16} />
+          Load CSV
+        </IconButton>
+        {dataset && !busy ? (
+          <IconButton title="Cleaning rules for this dataset" onClick={onEditRules}>
+            <SlidersHorizontal size={16} />
+            Rules
+          </IconButton>
+        ) : null}
+        {dataset?.source !== "default" ? (
+          <IconButton title="Go back to the bundled trips_rows.csv" onClick={onReset}>
+            <RotateCcw size={16} />
+            Use default
+          </IconButton>
+        ) : null}
+      </div>
+
+      {error ? <div style={{ marginTop: 10, color: THEME.bad, fontSize: 12, lineHeight: 1.3 }}>{error}</div> : null}
+    </div>
+  );
+}
+
+function SamplingControls({ value, disabled, onApply }) {
+  const [draft, setDraft] = useState(value);
+  // A reload or URL restore can change the applied mode; show it instead of a stale draft.
+  const [synced, setSynced] = useState(value);
+  if (synced !== value) {
+    setSynced(value);
+    setDraft(value);
+  }
+  const dirty =
+    draft.mode !== value.mode ||
+    (draft.mode !== "full" && Number(draft.size) !== value.size) ||
+    (draft.mode === "sample" && Number(draft.seed) !== value.seed);
+
+  const inputStyle = {
+    width: "100%",
+    borderRadius: 12,
+    border: `1px solid ${THEME.border}`,
+    background: "rgba(0,0,0,0.20)",
+    color: THEME.text,
+    padding: "8px 10px",
+    outline: "none",
+    fontSize: 13,
+  };
+
+  return (
+    <div style={{ border: `1px solid ${THEME.border}`, borderRadius: 18, padding: 14, background: THEME.panel }}>
+      <div style={{ fontSize: 12, color: THEME.muted, fontWeight: 900, textTransform: "uppercase" }}>Row mode</div>
+
+      <select
+        value={draft.mode}
+        disabled={disabled}
+        onChange={(e) => setDraft((d) => ({ ...d, mode: e.target.value }))}
+        style={{ ...inputStyle, marginTop: 10 }}
+      >
+        {SAMPLING_MODES.map((m) => (
+          <option key={m.id} value={m.id}>
+            {m.label}
+          </option>
+        ))}
+      </select>
+
+      {draft.mode !== "full" ? (
+        <div style={{ marginTop: 10, display: "grid", gridTemplateColumns: draft.mode === "sample" ? "2fr 1fr" : "1fr", gap: 8 }}>
+          <label style={{ fontSize: 12, color: THEME.muted }}>
+            Rows
+            <input
+              type="number"
+              min={1}
+              value={draft.size}
+              disabled={disabled}
+              onChange={(e) => setDraft((d) => ({ ...d, size: e.target.value }))}
+              style={{ ...inputStyle, marginTop: 4 }}
+            />
+          </label>
+          {draft.mode === "sample" ? (
+            <label style={{ fontSize: 12, color: THEME.muted }}>
+              Seed
+              <input
+                type="number"
+                value={draft.seed}
+                disabled={disabled}
+                onChange={(e) => setDraft((d) => ({ ...d, seed: e.target.value }))}
+                style={{ ...inputStyle, marginTop: 4 }}
+              />
+            </label>
+          ) : null}
+        </div>
+      ) : null}
+
+      <div style={{ marginTop: 10, display: "flex", gap: 10, alignItems: "center" }}>
+        <IconButton title="Reload the dataset with this row mode" tone="accent" onClick={() => dirty && !disabled && onApply(draft)}>
+          <RotateCcw size={16} />
+          Apply
+        </IconButton>
+        {dirty ? <span style={{ fontSize: 12, color: THEME.warn }}>Unapplied changes</span> : null}
+      </div>
+    </div>
+  );
+}
+
+function SamplingBanner({ sampling }) {
+  if (!sampling) return null;
+  const total = Number(sampling.validTotal || 0).toLocaleString();
+  const used = Number(sampling.used || 0).toLocaleString();
+  const full = sampling.mode === "full" || sampling.used >= sampling.validTotal;
+
+  const text =
+    sampling.mode === "full"
+      ? `Full data: every number below is computed from all ${total} valid trips.`
+      : full
+      ? `${sampling.mode === "sample" ? "Random sample" : "First N"} covers the whole file: all ${total} valid trips are used.`
+      : sampling.mode === "sample"
+      ? `Random sample: ${used} of ${total} valid trips (seed ${sampling.seed}). Charts and ratios are estimates from the sample.`
+      : `First ${used} of ${total} valid trips. Charts are biased toward the start of the file.`;
+
+  return (
+    <div
+      style={{
+        marginTop: 14,
+        padding: "10px 14px",
+        borderRadius: 14,
+        border: `1px solid ${full ? THEME.border : "rgba(255,184,108,0.35)"}`,
+        background: full ? "rgba(46,229,157,0.06)" : "rgba(255,184,108,0.08)",
+        color: THEME.text,
+        fontSize: 13,
+        display: "flex",
+        alignItems: "center",
+        gap: 10,
+      }}
+    >
+      <Database size={16} color={full ? THEME.good : THEME.warn} />
+      {text}
+    </div>
+  );
+}
+
+const QUALITY_SAMPLE_COLUMNS = {
+  reason: [
+    { key: "drop_reason", label: "Reason" },
+    { key: "drop_detail", label: "Detail" },
+    { key: "ride_id", label: "ride_id" },
+    { key: "started_at", label: "started_at" },
+    { key: "ended_at", label: "ended_at" },
+    { key: "start_station_name", label: "Start" },
+    { key: "end_station_name", label: "End" },
+  ],
+  flag: [
+    { key: "ride_id", label: "ride_id" },
+    { key: "started_at", label: "started_at" },
+    { key: "start_station_name", label: "Start" },
+    { key: "end_station_name", label: "End" },
+    { key: "member_casual", label: "Rider" },
+  ],
+};
+
+function DataQualityPanel({ quality, datasetName, onEditRules }) {
+  const [selectedKey, setSelectedKey] = useState(null);
+  if (!quality) return null;
+
+  const parsed = quality.rowsParsed || 0;
+  const pct = (n) => (parsed ? `${((n / parsed) * 100).toFixed(2)}%` : "0%");
+  // Keyed by group too: a reason and a flag can share an id (duplicate_ride_id is both).
+  const reasons = quality.reasons.map((b) => ({ ...b, group: "reason", key: `reason:${b.id}` }));
+  const flags = quality.flags.map((b) => ({ ...b, group: "flag", key: `flag:${b.id}` }));
+  const buckets = [...reasons, ...flags];
+  const selected = buckets.find((b) => b.key === selectedKey && b.count) || buckets.find((b) => b.count) || null;
+
+  function downloadRejected() {
+    const csv = rowsToCsv("table", { rows: quality.rejected });
+    downloadFile(`${baseName(datasetName)}_rejected.csv`, csv, "text/csv");
+  }
+
+  const row = (b) => {
+    const active = selected?.key === b.key;
+    return (
+      <button
+        key={b.key}
+        disabled={!b.count}
+        onClick={() => setSelectedKey(b.key)}
+        style={{
+          display: "flex",
+          justifyContent: "space-between",
+          gap: 10,
+          padding: "8px 10px",
+          borderRadius: 12,
+          border: `1px solid ${active ? THEME.borderStrong : THEME.border}`,
+          background: active ? "rgba(77,163,255,0.12)" : "rgba(255,255,255,0.03)",
+          color: b.count ? THEME.text : THEME.muted,
+          cursor: b.count ? "pointer" : "default",
+          fontSize: 13,
+          textAlign: "left",
+        }}
+      >
+        <span>{b.label}</span>
+        <span style={{ color: b.count ? (b.group === "reason" ? THEME.bad : THEME.warn) : THEME.muted, fontWeight: 800 }}>
+          {Number(b.count).toLocaleString()} <span style={{ color: THEME.muted, fontWeight: 400 }}>({pct(b.count)})</span>
+        </span>
+      </button>
+    );
+  };
+
+  return (
+    <Panel
+      title={
+        <span style={{ display: "inline-flex", alignItems: "center", gap: 10 }}>
+          <ShieldAlert size={18} color={quality.rowsDropped ? THEME.warn : THEME.good} />
+          Data Quality
+        </span>
+      }
+      right={
+        <div style={{ display: "flex", gap: 10, flexWrap: "wrap" }}>
+          <IconButton title="Edit cleaning rules" onClick={onEditRules}>
+            <SlidersHorizontal size={16} />
+            Rules
+          </IconButton>
+          <IconButton title="Download rejected rows as CSV" onClick={downloadRejected}>
+            <Download size={16} />
+            Rejected CSV
+          </IconButton>
+        </div>
+      }
+    >
+      <div style={{ color: THEME.muted, fontSize: 13 }}>
+        {parsed.toLocaleString()} rows parsed ·{" "}
+        <span style={{ color: THEME.good }}>{Number(quality.rowsKept).toLocaleString()} kept</span> ·{" "}
+        <span style={{ color: THEME.bad }}>{Number(quality.rowsDropped).toLocaleString()} dropped</span>
+        {quality.rejectedTruncated ? ` (download holds the first ${quality.rejected.length.toLocaleString()})` : ""}
+      </div>
+
+      <div style={{ marginTop: 12, display: "grid", gridTemplateColumns: "repeat(auto-fit, minmax(300px, 1fr))", gap: 14 }}>
+        <div style={{ display: "grid", gap: 6, alignContent: "start" }}>
+          <div style={{ fontSize: 12, color: THEME.muted, fontWeight: 900, textTransform: "uppercase" }}>Dropped rows</div>
+          {reasons.map(row)}
+        </div>
+        <div style={{ display: "grid", gap: 6, alignContent: "start" }}>
+          <div style={{ fontSize: 12, color: THEME.muted, fontWeight: 900, textTransform: "uppercase" }}>
+            Flagged (kept) rows
+          </div>
+          {flags.map(row)}
+        </div>
+      </div>
+
+      {selected ? (
+        <div style={{ marginTop: 14 }}>
+          <div style={{ fontSize: 12, color: THEME.muted, marginBottom: 8 }}>
+            Sample rows: <span style={{ color: THEME.text, fontWeight: 800 }}>{selected.label}</span> (first{" "}
+            {selected.samples.length} of {Number(selected.count).toLocaleString()})
+          </div>
+          <TableRenderer columns={QUALITY_SAMPLE_COLUMNS[selected.group]} rows={selected.samples} maxHeight={260} />
+        </div>
+      ) : (
+        <div style={{ marginTop: 14, color: THEME.good, fontSize: 13 }}>No dropped or flagged rows.</div>
+      )}
+    </Panel>
+  );
+}
+
+function ModalShell({ title, width = 720, onClose, children }) {
+  return (
+    <div
+      style={{
+        position: "fixed",
+        inset: 0,
+        background: "rgba(0,0,0,0.6)",
+        display: "flex",
+        alignItems: "center",
+        justifyContent: "center",
+        zIndex: 9999,
+        padding: 16,
+      }}
+      onClick={onClose}
+    >
+      <div
+        style={{
+          width: `min(${width}px, 100%)`,
+          maxHeight: "calc(100vh - 32px)",
+          overflowY: "auto",
+          background: THEME.card,
+          border: `1px solid ${THEME.border}`,
+          borderRadius: 18,
+          padding: 16,
+          boxShadow: shadow,
+          backdropFilter: "blur(14px)",
+        }}
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", gap: 12 }}>
+          <div style={{ fontWeight: 1000, fontSize: 16 }}>{title}</div>
+          <IconButton title="Close" onClick={onClose}>
+            <X size={16} />
+            Close
+          </IconButton>
+        </div>
+        {children}
+      </div>
+    </div>
+  );
+}
+
+const fieldStyle = {
+  width: "100%",
+  borderRadius: 12,
+  border: `1px solid ${THEME.border}`,
+  background: "rgba(0,0,0,0.20)",
+  color: THEME.text,
+  padding: "8px 10px",
+  outline: "none",
+  fontSize: 13,
+};
+const fieldLabelStyle = { fontSize: 12, color: THEME.muted, fontWeight: 800 };
+
+function CleaningRulesModal({ rules, columns, datasetName, onApply, onClose }) {
+  const [draft, setDraft] = useState(() => ({
+    ...rules,
+    excludedStations: (rules?.excludedStations || []).join("\n"),
+  }));
+  const set = (patch) => setDraft((d) => ({ ...d, ...patch }));
+  const required = new Set(draft.requiredColumns || []);
+  const columnChoices = Array.from(new Set([...(columns || []), ...required]));
+
+  return (
+    <ModalShell title={`Cleaning rules · ${datasetName || "dataset"}`} onClose={onClose}>
+      <div style={{ marginTop: 10, color: THEME.muted, fontSize: 13, lineHeight: 1.35 }}>
+        Saved for this dataset in <code>localStorage</code>. Applying re-loads the CSV so KPIs, charts, widgets and
+        local queries all use the same rows.
+      </div>
+
+      <div style={{ marginTop: 14, display: "grid", gridTemplateColumns: "1fr 1fr", gap: 12 }}>
+        <label style={fieldLabelStyle}>
+          Min duration (min)
+          <input
+            type="number"
+            min={0}
+            step="any"
+            value={draft.minDurationMin}
+            onChange={(e) => set({ minDurationMin: e.target.value })}
+            style={{ ...fieldStyle, marginTop: 4 }}
+          />
+        </label>
+        <label style={fieldLabelStyle}>
+          Max duration (min)
+          <input
+            type="number"
+            min={0}
+            step="any"
+            value={draft.maxDurationMin}
+            onChange={(e) => set({ maxDurationMin: e.target.value })}
+            style={{ ...fieldStyle, marginTop: 4 }}
+          />
+        </label>
+      </div>
+
+      <div style={{ marginTop: 14 }}>
+        <div style={fieldLabelStyle}>Required columns (row dropped when empty)</div>
+        <div style={{ marginTop: 8, display: "flex", gap: 8, flexWrap: "wrap" }}>
+          {columnChoices.map((c) => (
+            <label
+              key={c}
+              style={{
+                display: "inline-flex",
+                alignItems: "center",
+                gap: 6,
+                padding: "6px 10px",
+                borderRadius: 999,
+                border: `1px solid ${required.has(c) ? THEME.accent : THEME.border}`,
+                background: required.has(c) ? "rgba(77,163,255,0.12)" : "rgba(255,255,255,0.03)",
+                fontSize: 12,
+                cursor: "pointer",
+              }}
+            >
+              <input
+                type="checkbox"
+                checked={required.has(c)}
+                onChange={(e) =>
+                  set({
+                    requiredColumns: e.target.checked
+                      ? [...required, c]
+                      : [...required].filter((x) => x !== c),
+                  })
+                }
+              />
+              {c}
+            </label>
+          ))}
+        </div>
+      </div>
+
+      <label style={{ marginTop: 14, display: "flex", alignItems: "center", gap: 8, fontSize: 13, cursor: "pointer" }}>
+        <input type="checkbox" checked={!!draft.dedupeRideId} onChange={(e) => set({ dedupeRideId: e.target.checked })} />
+        Drop duplicate <code>ride_id</code>s (keep the first occurrence)
+      </label>
+
+      <label style={{ ...fieldLabelStyle, display: "block", marginTop: 14 }}>
+        Excluded stations (one name per line; matches start or end, case-insensitive)
+        <textarea
+          rows={4}
+          value={draft.excludedStations}
+          onChange={(e) => set({ excludedStations: e.target.value })}
+          placeholder="e.g. JC Mobile Warehouse"
+          style={{ ...fieldStyle, marginTop: 4, resize: "vertical", fontFamily: "inherit" }}
+        />
+      </label>
+
+      <div style={{ marginTop: 14, display: "flex", gap: 10, flexWrap: "wrap" }}>
+        <IconButton title="Apply and reload" tone="accent" onClick={() => onApply(draft)}>
+          <SlidersHorizontal size={16} />
+          Apply
+        </IconButton>
+        <IconButton title="Restore default rules" onClick={() => onApply(DEFAULT_CLEANING_RULES)}>
+          <RotateCcw size={16} />
+          Defaults
+        </IconButton>
+      </div>
+    </ModalShell>
+  );
+}
+
+const DAY_PRESETS = [
+  { label: "All days", days: [] },
+  { label: "Weekdays", days: [0, 1, 2, 3, 4] },
+  { label: "Weekends", days: [5, 6] },
+];
+
+function FilterBar({ filters, options, matched, onChange }) {
+  const [stationDraft, setStationDraft] = useState("");
+  const f = normalizeDashboardFilters(filters);
+  const chips = describeDashboardFilters(f);
+  const update = (patch) => onChange(normalizeDashboardFilters({ ...f, ...patch }));
+  const rideableTypes = (options?.rideableSplit || []).map((x) => x.name);
+  const stationNames = options?.stationNames || [];
+
+  function removeChip(chip) {
+    if (chip.key === "date") update({ dateFrom: "", dateTo: "" });
+    else if (chip.key === "days") update({ days: [] });
+    else update({ [chip.key]: f[chip.key].filter((v) => v !== chip.value) });
+  }
+
+  function addStation() {
+    const name = stationDraft.trim();
+    if (!name) return;
+    const match = stationNames.find((s) => s.toLowerCase() === name.toLowerCase()) || name;
+    update({ startStations: [...f.startStations, match] });
+    setStationDraft("");
+  }
+
+  const selectStyle = { ...fieldStyle, width: "auto", minWidth: 120 };
+  const dayPreset = DAY_PRESETS.find((p) => p.days.join() === f.days.join());
+
+  return (
+    <div
+      style={{
+        marginTop: 14,
+        padding: 14,
+        borderRadius: 18,
+        border: `1px solid ${THEME.border}`,
+        background: THEME.card,
+        boxShadow: softShadow,
+        backdropFilter: "blur(14px)",
+      }}
+    >
+      <div style={{ display: "flex", gap: 10, flexWrap: "wrap", alignItems: "flex-end" }}>
+        <Filter size={18} color={THEME.accent} style={{ marginBottom: 8 }} />
+        <label style={fieldLabelStyle}>
+          From
+          <input
+            type="date"
+            value={f.dateFrom}
+            min={options?.dateRange?.min}
+            max={options?.dateRange?.max}
+            onChange={(e) => update({ dateFrom: e.target.value })}
+            style={{ ...selectStyle, display: "block", marginTop: 4, colorScheme: "dark" }}
+          />
+        </label>
+        <label style={fieldLabelStyle}>
+          To
+          <input
+            type="date"
+            value={f.dateTo}
+            min={options?.dateRange?.min}
+            max={options?.dateRange?.max}
+            onChange={(e) => update({ dateTo: e.target.value })}
+            style={{ ...selectStyle, display: "block", marginTop: 4, colorScheme: "dark" }}
+          />
+        </label>
+        <label style={fieldLabelStyle}>
+          Days
+          <select
+            value={dayPreset ? dayPreset.label : "custom"}
+            onChange={(e) => {
+              const p = DAY_PRESETS.find((x) => x.label === e.target.value);
+              if (p) update({ days: p.days });
+            }}
+            style={{ ...selectStyle, display: "block", marginTop: 4 }}
+          >
+            {DAY_PRESETS.map((p) => (
+              <option key={p.label} value={p.label}>
+                {p.label}
+              </option>
             ))}
-            {!rows?.length ? (
-              <tr>
-                <td colSpan={cols.length} style={{ padding: 12, color: THEME.muted }}>
-                  No rows
-                </td>
-              </tr>
-            ) : null}
-          </tbody>
-        </table>
+            {!dayPreset ? <option value="custom">Custom</option> : null}
+          </select>
+        </label>
+        <label style={fieldLabelStyle}>
+          Rider
+          <select
+            value={f.riderTypes.length === 1 ? f.riderTypes[0] : ""}
+            onChange={(e) => update({ riderTypes: e.target.value ? [e.target.value] : [] })}
+            style={{ ...selectStyle, display: "block", marginTop: 4 }}
+          >
+            <option value="">All riders</option>
+            <option value="member">Member</option>
+            <option value="casual">Casual</option>
+          </select>
+        </label>
+        <label style={fieldLabelStyle}>
+          Bike
+          <select
+            value={f.rideableTypes.length === 1 ? f.rideableTypes[0] : ""}
+            onChange={(e) => update({ rideableTypes: e.target.value ? [e.target.value] : [] })}
+            style={{ ...selectStyle, display: "block", marginTop: 4 }}
+          >
+            <option value="">All bikes</option>
+            {rideableTypes.map((t) => (
+              <option key={t} value={t}>
+                {t}
+              </option>
+            ))}
+          </select>
+        </label>
+        <label style={{ ...fieldLabelStyle, flex: "1 1 220px" }}>
+          Start station
+          <input
+            list="dashpilot-start-stations"
+            value={stationDraft}
+            onChange={(e) => setStationDraft(e.target.value)}
+            onKeyDown={(e) => e.key === "Enter" && addStation()}
+            placeholder="Type a station, press Enter"
+            style={{ ...fieldStyle, display: "block", marginTop: 4 }}
+          />
+          <datalist id="dashpilot-start-stations">
+            {stationNames.slice(0, 500).map((n) => (
+              <option key={n} value={n} />
+            ))}
+          </datalist>
+        </label>
       </div>
+
+      {chips.length ? (
+        <div style={{ marginTop: 12, display: "flex", gap: 8, flexWrap: "wrap", alignItems: "center" }}>
+          {chips.map((c) => (
+            <span
+              key={`${c.key}:${c.value ?? ""}`}
+              style={{
+                display: "inline-flex",
+                alignItems: "center",
+                gap: 6,
+                padding: "4px 6px 4px 10px",
+                borderRadius: 999,
+                border: `1px solid ${THEME.accent}`,
+                background: "rgba(77,163,255,0.12)",
+                fontSize: 12,
+                fontWeight: 800,
+              }}
+            >
+              {c.label}
+              <button
+                title="Remove filter"
+                onClick={() => removeChip(c)}
+                style={{ border: 0, background: "transparent", color: THEME.text, cursor: "pointer", padding: 0, display: "flex" }}
+              >
+                <X size={14} />
+              </button>
+            </span>
+          ))}
+          <IconButton title="Clear all filters" tone="danger" onClick={() => onChange(EMPTY_DASHBOARD_FILTERS)}>
+            <X size={14} />
+            Clear
+          </IconButton>
+          {matched ? (
+            <span style={{ color: THEME.muted, fontSize: 12 }}>
+              {Number(matched.rows).toLocaleString()} of {Number(matched.of).toLocaleString()} trips match
+            </span>
+          ) : null}
+        </div>
+      ) : null}
     </div>
   );
 }
 
 // -------------------- MAIN APP --------------------
 export default function App() {
-  const [activeTab, setActiveTab] = useState("dashboard"); // dashboard | analyst
+  // View state from the URL hash, applied once the first dataset (and its saved dashboards) loads.
+  // null = not read yet, false = applied.
+  const pendingUrlRef = useRef(null);
+  if (pendingUrlRef.current === null) pendingUrlRef.current = decodeUrlState(window.location.hash);
+  const urlSyncedRef = useRef(false);
+
+  const [activeTab, setActiveTab] = useState(() => pendingUrlRef.current.view); // dashboard | analyst
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState("");
 
   // Local dashboard aggregates
   const [local, setLocal] = useState(null);
 
-  // Pinned widgets shown on dashboard (added via chatbot)
-  const [widgets, setWidgets] = useState([]);
+  // Active CSV: { name, source: "default" | "upload", size?, validRows, loadedAt }
+  const [dataset, setDataset] = useState(null);
+  const [datasetBusy, setDatasetBusy] = useState(false);
+  const [datasetError, setDatasetError] = useState("");
+  const [datasetProgress, setDatasetProgress] = useState(null); // { phase, rowsParsed, rowsKept, rowsDropped, bytesRead, totalBytes }
+  const datasetJobRef = useRef(null);
+  const datasetSourceRef = useRef(null); // last successful { input, meta }, reused when the row mode changes
+
+  // Row mode for aggregation: full data, seeded random sample, or first N
+  const [sampling, setSampling] = useState(DEFAULT_SAMPLING);
+
+  // Named dashboards, saved per dataset. Each has its own pinned widgets (added via chatbot),
+  // grid layout and filters (date range, days, rider, bike, start station).
+  const [boards, setBoards] = useState(initialDashboards);
+  const board = activeDashboard(boards);
+  const { widgets, layout, filters: dashboardFilters } = board;
+  const widgetsKeyRef = useRef(null);
+
+  // Setters for the open dashboard; like useState's, they take a value or an updater.
+  const patchActive = (field, next) =>
+    setBoards((prev) =>
+      patchDashboard(prev, prev.activeId, (d) => ({ [field]: typeof next === "function" ? next(d[field]) : next }))
+    );
+  const setWidgets = (next) => patchActive("widgets", next);
+  const setLayout = (next) => patchActive("layout", next);
+  const setDashboardFilters = (next) => patchActive("filters", next);
+  const [grabbedId, setGrabbedId] = useState(null);
+  const [dragId, setDragId] = useState(null);
 
   // Chat state
   const [input, setInput] = useState("");
@@ -700,253 +2937,300 @@ export default function App() {
     return fromStorage || GEMINI_KEY_ENV || "";
   });
   const [showKeyModal, setShowKeyModal] = useState(false);
+  const [showRulesModal, setShowRulesModal] = useState(false);
+  const [importState, setImportState] = useState(null); // { parsed, check } | { error }
+  const [showBuilder, setShowBuilder] = useState(false);
+  const [drill, setDrill] = useState(null); // { title, label, filters } of a clicked chart element
+  const [crossMode, setCrossMode] = useState(false); // chart clicks cross-filter instead of drilling down
+  const [crossFilter, setCrossFilter] = useState(null); // { boardId, sourceId, title, label, filters, value, splitValue }
+  const [catalogState, setCatalogState] = useState({ catalog: DEFAULT_CATALOG, problems: [] });
+  const { catalog, problems: catalogProblems } = catalogState;
+  const catalogRef = useRef(catalogState); // read by the first load's menu message
+  const [linkCopied, setLinkCopied] = useState(""); // "" | "view" | "widgets"
   const canUseAI = Boolean(geminiKey);
 
   // -------------------- LOAD LOCAL CSV (Dashboard only) --------------------
+  // Streams the CSV through the worker, then swaps the dashboard, catalog widgets
+  // and local_select over to the new aggregates. Starting a load cancels any in flight.
+  const startDatasetLoad = useCallback((source, meta) => {
+    datasetJobRef.current?.cancel();
+
+    const input = { ...source, cleaningRules: source.cleaningRules || getCleaningRulesFromStorage(datasetKey(meta)) };
+
+    const job = loadCsvInWorker(input, {
+      onProgress: (p) => setDatasetProgress((prev) => ({ ...prev, ...p })),
+    });
+    datasetJobRef.current = job;
+    setDatasetBusy(true);
+    setDatasetError("");
+    setDatasetProgress({ name: meta.name, phase: "loading", rowsParsed: 0, rowsKept: 0, rowsDropped: 0 });
+
+    return Promise.all([job.promise, widgetCatalogOnce()])
+      .then(([agg, loaded]) => {
+        catalogRef.current = loaded;
+        setCatalogState(loaded);
+        setLocal(agg);
+        setSampling(normalizeSampling(input.sampling));
+        setDataset({ ...meta, validRows: agg.sampling.validTotal, loadedAt: new Date().toISOString() });
+        datasetSourceRef.current = { input, meta };
+        // Reloading the same dataset (new rules / sampling) keeps the dashboards as they are.
+        const key = datasetKey(meta);
+        if (widgetsKeyRef.current !== key) {
+          widgetsKeyRef.current = key;
+          // Widgets whose catalog entry is missing stay saved (and show as unavailable) until removed.
+          let restored = getDashboardsFromStorage(key);
+          const url = pendingUrlRef.current;
+          if (url) {
+            pendingUrlRef.current = false;
+            restored = openDashboardView(restored, url);
+            if (url.spec) setImportState(specImportState(url.spec, agg.columns, loaded.catalog));
+          }
+          setBoards(restored);
+        }
+        setError("");
+        return agg;
+      })
+      .finally(() => {
+        if (datasetJobRef.current !== job) return;
+        datasetJobRef.current = null;
+        setDatasetBusy(false);
+        setDatasetProgress(null);
+      });
+  }, []);
+
+  useEffect(() => {
+    if (widgetsKeyRef.current) saveDashboardsToStorage(widgetsKeyRef.current, boards);
+  }, [boards]);
+
+  // Mirror the view into the URL hash. Switching view or dashboard pushes a history entry (so
+  // back / forward move between views); filter edits replace the current one.
+  useEffect(() => {
+    if (pendingUrlRef.current) return; // the URL hasn't been applied yet
+    const hash = encodeUrlState({ view: activeTab, board: board.name, filters: dashboardFilters });
+    if (hash === window.location.hash) return;
+
+    const prev = decodeUrlState(window.location.hash);
+    const url = `${window.location.pathname}${window.location.search}${hash}`;
+    const navigated = prev.view !== activeTab || prev.board !== board.name;
+    if (navigated && urlSyncedRef.current) window.history.pushState(null, "", url);
+    else window.history.replaceState(null, "", url);
+    urlSyncedRef.current = true;
+  }, [activeTab, board.name, dashboardFilters]);
+
+  useEffect(() => {
+    const onPop = () => {
+      const url = decodeUrlState(window.location.hash);
+      setActiveTab(url.view);
+      setBoards((prev) => openDashboardView(prev, { board: url.board, filters: url.filters || EMPTY_DASHBOARD_FILTERS }));
+    };
+    window.addEventListener("popstate", onPop);
+    return () => window.removeEventListener("popstate", onPop);
+  }, []);
+
   useEffect(() => {
     // Do NOT block local dashboard loading if Gemini is missing.
-    fetch(CSV_URL)
-      .then((res) => {
-        if (!res.ok) throw new Error(`CSV file not found: put trips_rows.csv in /public (fetch: ${CSV_URL})`);
-        return res.text();
-      })
-      .then((csv) => {
-        Papa.parse(csv, {
-          header: true,
-          dynamicTyping: true,
-          skipEmptyLines: true,
-          complete: (results) => {
-            if (!results?.data?.length) {
-              setError("CSV parsed but contains no rows.");
-              setLoading(false);
-              return;
-            }
-            const agg = computeLocalAggregates(results.data);
-            setLocal(agg);
-
-            // After local is ready: proactively show widget menu once
-            setMessages((prev) => [
-              ...prev,
-              {
-                role: "assistant",
-                type: "options",
-                content: {
-                  title: "Widget Catalog (Add to Dashboard)",
-                  items: WIDGET_CATALOG.map((w) => ({
-                    id: w.id,
-                    kind: w.kind,
-                    title: w.title,
-                  })),
-                },
-              },
-            ]);
-
-            setLoading(false);
-          },
-          error: (e) => {
-            setError("CSV parse error: " + (e?.message || String(e)));
-            setLoading(false);
+    startDatasetLoad({ url: CSV_URL, sampling: DEFAULT_SAMPLING }, DEFAULT_DATASET)
+      .then(() => {
+        // After local is ready: proactively show widget menu once
+        setMessages((prev) => [
+          ...prev,
+          {
+            role: "assistant",
+            type: "options",
+            content: {
+              title: "Widget Catalog (Add to Dashboard)",
+              items: catalogRef.current.catalog.map((w) => ({
+                id: w.id,
+                kind: w.kind,
+                title: w.title,
+              })),
+              notes: catalogRef.current.problems,
+            },
           },
-        });
+        ]);
+        setLoading(false);
       })
       .catch((e) => {
+        // StrictMode remounts cancel the first load; the second one reports.
+        if (e?.cancelled) return;
         setError(e?.message || String(e));
         setLoading(false);
       });
-  }, []);
-
-  // -------------------- LOCAL AGGREGATION --------------------
-  function computeLocalAggregates(rows) {
-    const clean = [];
-    for (const r of rows) {
-      if (!r?.ride_id) continue;
-      const s = safeDate(r.started_at);
-      const e = safeDate(r.ended_at);
-      if (!s || !e) continue;
+    return () => datasetJobRef.current?.cancel();
+  }, [startDatasetLoad]);
 
-      const durMin = (e - s) / 60000;
-      if (!(durMin > 0 && durMin <= 240)) continue;
-
-      clean.push({ ...r, __durMin: durMin });
+  async function loadDataset(input, meta) {
+    try {
+      const agg = await startDatasetLoad(input, meta);
+      setLoading(false);
+      setMessages((prev) => [
+        ...prev,
+        {
+          role: "assistant",
+          type: "text",
+          content: `Switched dataset to ${meta.name} (${agg.cleanCount.toLocaleString()} valid trips).`,
+        },
+      ]);
+    } catch (e) {
+      if (!e?.cancelled) setDatasetError(e?.message || String(e));
     }
+  }
 
-    // Optional cap for GH Pages performance
-    const MAX_LOCAL_ROWS = 50000;
-    const cleanRows = clean.length > MAX_LOCAL_ROWS ? clean.slice(0, MAX_LOCAL_ROWS) : clean;
-
-    const total = cleanRows.length;
-    const members = cleanRows.filter((r) => String(r.member_casual).toLowerCase() === "member").length;
-    const casual = total - members;
-
-    // Hourly
-    const hourlyCounts = Array.from({ length: 24 }, (_, h) => ({
-      name: `${String(h).padStart(2, "0")}:00`,
-      value: 0,
-    }));
-    for (const r of cleanRows) {
-      const s = safeDate(r.started_at);
-      if (!s) continue;
-      hourlyCounts[s.getHours()].value += 1;
+  function loadDatasetFile(file) {
+    if (!isCsvFile(file)) {
+      setDatasetError(`Not a CSV file: ${file?.name || "unknown"}`);
+      return;
     }
+    loadDataset({ file, sampling }, { name: file.name, source: "upload", size: file.size });
+  }
 
-    // DOW
-    const dowCounts = Array.from({ length: 7 }, (_, i) => ({ name: DOW_SHORT[i], value: 0 }));
-    const dowMC = Array.from({ length: 7 }, (_, i) => ({ name: DOW_SHORT[i], member: 0, casual: 0 }));
-    for (const r of cleanRows) {
-      const s = safeDate(r.started_at);
-      if (!s) continue;
-      const di = dowIndex(s);
-      dowCounts[di].value += 1;
-      if (String(r.member_casual).toLowerCase() === "member") dowMC[di].member += 1;
-      else dowMC[di].casual += 1;
-    }
+  function resetToDefaultDataset() {
+    loadDataset({ url: CSV_URL, sampling }, DEFAULT_DATASET);
+  }
 
-    // Month
-    const monthMap = new Map();
-    for (const r of cleanRows) {
-      const s = safeDate(r.started_at);
-      if (!s) continue;
-      const mk = monthKey(s);
-      monthMap.set(mk, (monthMap.get(mk) || 0) + 1);
-    }
-    const tripsByMonth = Array.from(monthMap.entries())
-      .sort((a, b) => (a[0] < b[0] ? -1 : 1))
-      .map(([name, value]) => ({ name, value }));
-
-    // Duration histogram buckets
-    const buckets = [
-      { label: "0–5", min: 0, max: 5 },
-      { label: "5–10", min: 5, max: 10 },
-      { label: "10–15", min: 10, max: 15 },
-      { label: "15–20", min: 15, max: 20 },
-      { label: "20–30", min: 20, max: 30 },
-      { label: "30–60", min: 30, max: 60 },
-      { label: "60–120", min: 60, max: 120 },
-      { label: "120–240", min: 120, max: 240.0001 },
-    ];
-    const bucketCounts = buckets.map(() => 0);
-    for (const r of cleanRows) {
-      const d = Number(r.__durMin);
-      for (let i = 0; i < buckets.length; i++) {
-        if (d >= buckets[i].min && d < buckets[i].max) {
-          bucketCounts[i] += 1;
-          break;
-        }
-      }
-    }
-    const durationBuckets = buckets.map((b, i) => ({ name: b.label, value: bucketCounts[i] }));
+  // Re-runs the current dataset through the worker with the new row mode; the control shows
+  // the new mode once that load lands (a cancelled or failed one leaves the old mode applied).
+  function applySampling(next) {
+    const cfg = normalizeSampling(next);
+    const src = datasetSourceRef.current;
+    if (src) loadDataset({ ...src.input, sampling: cfg }, src.meta);
+    else setSampling(cfg);
+  }
 
-    // Rideable split
-    const rideableMap = new Map();
-    for (const r of cleanRows) {
-      const rt = String(r.rideable_type || "unknown").trim() || "unknown";
-      rideableMap.set(rt, (rideableMap.get(rt) || 0) + 1);
-    }
-    const rideableSplit = Array.from(rideableMap.entries())
-      .sort((a, b) => b[1] - a[1])
-      .map(([name, value]) => ({ name, value }));
-
-    // Top stations
-    const stationMap = new Map();
-    for (const r of cleanRows) {
-      const s = String(r.start_station_name || "Unknown").trim() || "Unknown";
-      stationMap.set(s, (stationMap.get(s) || 0) + 1);
-    }
-    const topStationsRaw = Array.from(stationMap.entries())
-      .sort((a, b) => b[1] - a[1])
-      .slice(0, 12)
-      .map(([fullName, value]) => ({ fullName, value, name: shortText(fullName, 16) }));
-
-    // Top routes
-    const routeMap = new Map();
-    for (const r of cleanRows) {
-      const s = String(r.start_station_name || "Unknown").trim() || "Unknown";
-      const e = String(r.end_station_name || "Unknown").trim() || "Unknown";
-      const k = `${s} → ${e}`;
-      routeMap.set(k, (routeMap.get(k) || 0) + 1);
-    }
-    const topRoutes = Array.from(routeMap.entries())
-      .sort((a, b) => b[1] - a[1])
-      .slice(0, 12)
-      .map(([fullName, value]) => ({ fullName, value, name: shortText(fullName, 26) }));
-
-    // Avg duration
-    const avgDur = total ? cleanRows.reduce((acc, r) => acc + Number(r.__durMin || 0), 0) / total : 0;
-
-    // Peak hour
-    let peakHourIdx = 0;
-    for (let i = 1; i < 24; i++) if (hourlyCounts[i].value > hourlyCounts[peakHourIdx].value) peakHourIdx = i;
-
-    // Busiest day
-    let busiestIdx = 0;
-    for (let i = 1; i < 7; i++) if (dowCounts[i].value > dowCounts[busiestIdx].value) busiestIdx = i;
-
-    // Latest trips (local)
-    const latestTrips = [...cleanRows]
-      .sort((a, b) => (safeDate(b.started_at)?.getTime() || 0) - (safeDate(a.started_at)?.getTime() || 0))
-      .slice(0, 12)
-      .map((r) => ({
-        started_at: r.started_at,
-        start_station_name: r.start_station_name,
-        end_station_name: r.end_station_name,
-        member_casual: r.member_casual,
-        rideable_type: r.rideable_type,
-      }));
+  // Saves the rules for this dataset and re-runs it so KPIs, charts, widgets and queries all agree.
+  function applyCleaningRules(next) {
+    const src = datasetSourceRef.current;
+    if (!src) return;
+    const rules = normalizeCleaningRules(next);
+    saveCleaningRulesToStorage(datasetKey(src.meta), rules);
+    setShowRulesModal(false);
+    loadDataset({ ...src.input, cleaningRules: rules }, src.meta);
+  }
 
-    return {
-      __rows: cleanRows, // <- NEW: store rows for local fallback queries
-
-      cleanCount: total,
-      members,
-      casual,
-      memberRatio: total ? (members / total) * 100 : 0,
-      avgDurationMin: avgDur,
-      peakHour: `${String(peakHourIdx).padStart(2, "0")}:00`,
-      busiestDay: DOW_FULL[busiestIdx],
-      topStation: topStationsRaw[0]?.fullName || "N/A",
-
-      hourly: hourlyCounts,
-      tripsByDOW: dowCounts,
-      dowMemberCasual: dowMC,
-      tripsByMonth,
-      durationBuckets,
-      rideableSplit,
-      topStationsRaw,
-      topRoutes,
-      riderSplit: [
-        { name: "Member", value: members },
-        { name: "Casual", value: casual },
-      ],
-      latestTrips,
-    };
+  function cancelDatasetLoad() {
+    datasetJobRef.current?.cancel();
+    // Cancelling the very first load leaves nothing to show; let the user pick a file.
+    if (!local) {
+      setError("Loading cancelled. Load a CSV from the sidebar to continue.");
+      setLoading(false);
+    }
   }
 
   // -------------------- WIDGET OPS --------------------
-  function addWidgetFromCatalog(widgetId) {
-    if (!local) return;
-    const def = WIDGET_CATALOG.find((w) => w.id === widgetId);
-    if (!def) return;
+  // Adds to the open dashboard, or to the one named (created if it doesn't exist yet).
+  // Returns { name, created } for the chat reply.
+  function addWidgetFromCatalog(widgetId, dashboardName) {
+    if (!local) return null;
+    const def = catalog.find((w) => w.id === widgetId);
+    if (!def) return null;
 
-    const built = def.build(local);
+    const built = buildCatalogWidget(def, view);
 
     const widget = {
       id: `${Date.now()}_${Math.random().toString(16).slice(2)}`,
       source: "local",
       kind: def.kind,
       title: def.title,
+      catalogId: def.id,
       payload: built,
       createdAt: new Date().toISOString(),
     };
 
-    setWidgets((prev) => [widget, ...prev]);
+    const existing = dashboardName ? findDashboardByName(boards, dashboardName) : board;
+    const created = existing ? null : createDashboard(uniqueDashboardName(boards, dashboardName));
+    const targetId = (existing || created).id;
+    setBoards((prev) => {
+      const state = created ? { ...prev, dashboards: [...prev.dashboards, created] } : prev;
+      return patchDashboard(state, targetId, (d) => ({ widgets: [widget, ...d.widgets] }));
+    });
+    return { name: (existing || created).name, created: !!created };
+  }
+
+  // Link to the current view; withWidgets also embeds the dashboard spec so it opens the import dialog.
+  async function copyViewLink(withWidgets) {
+    const spec = withWidgets ? buildDashboardSpec(board).spec : null;
+    const hash = encodeUrlState({ view: activeTab, board: board.name, filters: dashboardFilters, spec });
+    const url = `${window.location.origin}${window.location.pathname}${window.location.search}${hash}`;
+    try {
+      await navigator.clipboard.writeText(url);
+      setLinkCopied(withWidgets ? "widgets" : "view");
+      setTimeout(() => setLinkCopied(""), 2000);
+    } catch {
+      window.prompt("Copy this link:", url);
+    }
+  }
+
+  function createBoard() {
+    const d = createDashboard(uniqueDashboardName(boards, "Dashboard"));
+    setBoards((prev) => ({ activeId: d.id, dashboards: [...prev.dashboards, d] }));
+  }
+  // Returns the titles of widgets that couldn't be exported (snapshots with nothing to rebuild from).
+  function exportBoard() {
+    const { spec, skipped } = buildDashboardSpec(board);
+    downloadFile(exportFileName(board.name, "dashboard.json"), JSON.stringify(spec, null, 2), "application/json");
+    return skipped;
+  }
+
+  function openDashboardImport(text) {
+    setImportState(specImportState(text, local?.columns, catalog));
+  }
+
+  // Rebuilds the spec against the loaded data: catalog and builder widgets from the rows, query tables
+  // by re-running their query (Supabase when configured, else the local engine). Opens as a new dashboard.
+  async function importDashboard(parsed) {
+    const ids = new Map();
+    const imported = [];
+    for (const w of parsed.widgets) {
+      const id = `${Date.now()}_${Math.random().toString(16).slice(2)}`;
+      const base = { id, title: w.title, createdAt: new Date().toISOString() };
+      if (w.catalogId) {
+        const def = catalog.find((d) => d.id === w.catalogId);
+        if (!def) continue;
+        const station = w.station || null;
+        imported.push({ ...base, source: "local", kind: def.kind, catalogId: def.id, payload: null, station });
+      } else if (w.builder) {
+        imported.push({ ...base, source: "local", kind: w.kind, catalogId: null, payload: null, builder: w.builder });
+      } else {
+        let source = w.source;
+        let result;
+        if (source === "supabase" && supabase) {
+          try {
+            result = await executeSupabaseAction(w.query);
+          } catch {
+            source = "local";
+          }
+        } else {
+          source = "local";
+        }
+        if (!result) result = await executeLocalAction(w.query, local);
+        const payload = { columns: resultColumns(w.query), rows: result.rows };
+        imported.push({ ...base, source, kind: "table", catalogId: null, payload, query: w.query });
+      }
+      ids.set(w.ref, id);
+    }
+
+    const layout = parsed.layout
+      .map(({ ref, ...l }) => ({ ...l, id: ids.get(ref) || (ref.startsWith("base_") ? ref : null) }))
+      .filter((l) => l.id);
+    const d = createDashboard(uniqueDashboardName(boards, parsed.name), {
+      widgets: imported,
+      layout,
+      filters: parsed.filters,
+    });
+    setBoards((prev) => ({ activeId: d.id, dashboards: [...prev.dashboards, d] }));
+    setImportState(null);
+  }
+
+  function renameBoard(id, name) {
+    setBoards((prev) => renameDashboard(prev, id, name));
   }
 
   function previewWidgetInChat(widgetId) {
     if (!local) return;
-    const def = WIDGET_CATALOG.find((w) => w.id === widgetId);
+    const def = catalog.find((w) => w.id === widgetId);
     if (!def) return;
 
-    const built = def.build(local);
+    const built = buildCatalogWidget(def, view);
 
     setMessages((prev) => [
       ...prev,
@@ -972,40 +3256,89 @@ export default function App() {
       source: m.content?.source || "custom",
       kind: m.type,
       title: m.content?.title || "Pinned Widget",
-      payload: m.content?.payload,
+      catalogId: m.content?.widgetId || null,
+      payload: m.content?.builder ? null : m.content?.payload,
+      query: m.content?.action || null,
+      builder: m.content?.builder || null,
       createdAt: new Date().toISOString(),
     };
     setWidgets((prev) => [widget, ...prev]);
   }
 
+  // "" goes back to following the dashboard's selected (else the most imbalanced) station.
+  function setWidgetStation(id, station) {
+    setWidgets((prev) => prev.map((w) => (w.id === id ? { ...w, station: station || null } : w)));
+  }
+
   function removeWidget(id) {
     setWidgets((prev) => prev.filter((w) => w.id !== id));
+    setLayout((prev) => prev.filter((l) => l.id !== id));
+  }
+
+  function clearWidgets() {
+    const pinned = new Set(widgets.map((w) => w.id));
+    setWidgets([]);
+    setLayout((prev) => prev.filter((l) => !pinned.has(l.id)));
   }
 
   // -------------------- SUPABASE EXECUTOR --------------------
-  async function executeSupabaseAction(action) {
+  // Same result shape as executeLocalSelect; total comes from PostgREST's exact count.
+  async function executeSupabaseAction(action, page) {
     if (!supabase) throw new Error("Supabase not configured (missing VITE_SUPABASE_URL or VITE_SUPABASE_ANON_KEY).");
     if (!action?.table) throw new Error("Missing table in Supabase action.");
+    if (isGroupedAction(action)) throw new Error("GROUP BY / aggregate queries run on the local engine only.");
 
     const table = action.table;
     const columns = action.columns && Array.isArray(action.columns) ? action.columns.join(",") : "*";
+    const { offset, pageSize, all } = resolvePage(action, page, PAGE_LIMITS.supabase);
 
-    let q = supabase.from(table).select(columns);
+    async function fetchRange(from, to) {
+      let q = supabase.from(table).select(columns, { count: "exact" });
+      q = applySupabaseFilters(q, action.filters);
+      if (action.orderBy?.column) {
+        q = q.order(action.orderBy.column, { ascending: !!action.orderBy.ascending });
+      }
+      const { data, count, error: dbError } = await q.range(from, to);
+      if (dbError) throw dbError;
+      return { data: data || [], count: count ?? null };
+    }
 
-    const filters = Array.isArray(action.filters) ? action.filters : action.filters ? [action.filters] : [];
-    for (const f of filters) {
-      if (!f?.column || !f?.operator) continue;
-      q = q.filter(f.column, f.operator, f.value);
+    if (!all) {
+      const { data, count } = await fetchRange(offset, offset + pageSize - 1);
+      return { rows: data, total: count, offset, pageSize, all };
     }
 
-    if (action.orderBy?.column) {
-      q = q.order(action.orderBy.column, { ascending: !!action.orderBy.ascending });
+    // Load all: walk max-size pages so the server's row cap doesn't truncate silently.
+    const rows = [];
+    let total = null;
+    while (rows.length < LOAD_ALL_MAX) {
+      const to = Math.min(rows.length + PAGE_LIMITS.supabase, LOAD_ALL_MAX) - 1;
+      const { data, count } = await fetchRange(rows.length, to);
+      total = count ?? total;
+      rows.push(...data);
+      if (!data.length || (total != null && rows.length >= total)) break;
     }
-    if (action.limit) q = q.limit(clamp(Number(action.limit) || 10, 1, 200));
+    return { rows, total, offset: 0, pageSize, all };
+  }
+
+  // Browse a query result in place: re-run the message's action for another page (or all rows).
+  async function browseQueryResult(idx, page) {
+    const m = messages[idx];
+    if (!m?.content?.action) return;
+    const { label, source, action } = m.content;
+    const patch = (content) =>
+      setMessages((prev) => prev.map((x, i) => (i === idx ? { ...x, content: { ...x.content, ...content } } : x)));
 
-    const { data, error: dbError } = await q;
-    if (dbError) throw dbError;
-    return data || [];
+    patch({ loading: true, error: null });
+    try {
+      const result =
+        source === "supabase"
+          ? await executeSupabaseAction(action, page)
+          : await executeLocalAction(action, local, page);
+      patch({ ...queryResultContent(label, source, action, result), loading: false });
+    } catch (e) {
+      patch({ loading: false, error: e?.message || String(e) });
+    }
   }
 
   // -------------------- CHAT: SHOW MENU (NO AI) --------------------
@@ -1017,7 +3350,8 @@ export default function App() {
         type: "options",
         content: {
           title: "Widget Catalog (Add to Dashboard)",
-          items: WIDGET_CATALOG.map((w) => ({ id: w.id, kind: w.kind, title: w.title })),
+          items: catalog.map((w) => ({ id: w.id, kind: w.kind, title: w.title })),
+          notes: catalogProblems,
         },
       },
     ]);
@@ -1053,11 +3387,12 @@ export default function App() {
       const genAI = new GoogleGenerativeAI(geminiKey);
       const model = genAI.getGenerativeModel({ model: "gemini-3-flash-preview" });
 
-      const widgetList = WIDGET_CATALOG.map((w) => ({
+      const widgetList = catalog.map((w) => ({
         id: w.id,
         kind: w.kind,
         title: w.title,
       }));
+      const lastChatWidgetId = [...messages].reverse().find((m) => m.content?.widgetId)?.content.widgetId;
 
       const prompt = `
 You are DashPilot AI Agent.
@@ -1067,16 +3402,26 @@ You can:
 (B) Query tabular trip rows.
   - Prefer Supabase when configured.
   - If Supabase is not configured, query Local CSV rows.
+(C) Set the global dashboard filters (they re-derive every stat, chart and catalog widget).
 
 Return ONLY JSON or plain text. No markdown.
 
 Local Widget Catalog:
 ${JSON.stringify(widgetList)}
 
+Local CSV columns: ${JSON.stringify(local?.columns || [])}
+Derived columns (usable like real columns in local_select columns, filters, orderBy, groupBy and aggregates):
+${DERIVED_COLUMNS.map((c) => `- ${c.name} (${c.type}): ${c.description}`).join("\n")}
+Prefer derived columns over parsing timestamps yourself, e.g. trips over 30 minutes = {"column":"duration_min","operator":"gt","value":30},
+started 7–9am = {"column":"start_hour","operator":"between","value":[7,8]}.
+
 Tools you may return:
 
 1) Add a widget:
-{ "tool": "add_widget", "widgetId": "w_trips_by_month" }
+{ "tool": "add_widget", "widgetId": "w_trips_by_month", "dashboard": "Marketing" }
+"dashboard" is optional (default: the open one); a name that doesn't exist creates that dashboard.
+Dashboards: ${JSON.stringify(boards.dashboards.map((d) => d.name))} (open: "${board.name}").
+Last widget shown in chat (for "add this …"): ${lastChatWidgetId || "none"}
 
 2) Preview a widget:
 { "tool": "preview_widget", "widgetId": "w_trips_by_month" }
@@ -1105,8 +3450,74 @@ Tools you may return:
   "limit": 10
 }
 
+5b) Grouped / aggregate query over Local CSV rows (local_select only):
+{
+  "tool": "local_select",
+  "action": "select",
+  "filters": [{"column":"started_at","operator":"gte","value":"2024-07-01"},{"column":"started_at","operator":"lt","value":"2024-08-01"}],
+  "groupBy": ["start_station_name"],
+  "aggregates": [
+    {"fn":"count","as":"trips"},
+    {"fn":"avg","column":"duration_min","as":"avg_duration_min"}
+  ],
+  "orderBy": {"column":"trips","ascending": false},
+  "limit": 20
+}
+aggregates fn: count (column optional), count_distinct, sum, avg, min, max, median.
+groupBy may list several columns; omit it for a single summary row. orderBy may use a groupBy column or an aggregate "as" name.
+
+Filters (supabase and local_select): a list is ANDed. Nest groups with {"and":[...]}, {"or":[...]}, {"not": filter}.
+Operators: eq, neq, gt, gte, lt, lte, between (value [low, high]), in, not_in (value list), like (case-sensitive, % and _ wildcards),
+ilike (case-insensitive), startswith (case-sensitive prefix), is_null, not_null (no value).
+Example — start OR end station contains Grove, and not an e-bike:
+"filters": [
+  {"or": [{"column":"start_station_name","operator":"ilike","value":"%Grove%"},{"column":"end_station_name","operator":"ilike","value":"%Grove%"}]},
+  {"not": {"column":"rideable_type","operator":"eq","value":"electric_bike"}}
+]
+
+6) Set dashboard filters (omitted keys keep their current value; [] or "" clears one):
+{
+  "tool": "set_filters",
+  "filters": {
+    "dateFrom": "2024-06-01",
+    "dateTo": "2024-06-30",
+    "days": [5, 6],
+    "riderTypes": ["casual"],
+    "rideableTypes": ["electric_bike"],
+    "startStations": ["Grove St PATH"]
+  }
+}
+days are 0=Mon … 6=Sun (weekends = [5, 6]). Dates are YYYY-MM-DD.
+
+7) Clear all dashboard filters:
+{ "tool": "clear_filters" }
+
+8) Station flow for rebalancing, from Local CSV rows (departures, arrivals, net = arrivals − departures):
+{
+  "tool": "station_flow",
+  "by": "station",
+  "hours": [6, 9],
+  "days": [0, 1, 2, 3, 4],
+  "direction": "drain",
+  "limit": 15
+}
+by: "station" (a row per station with avg_net_per_day, drain_days, fill_days and a status such as "chronic drain")
+or "hour", "dow", "date", "month" (a row per station and period). hours [from, to] is inclusive and applies to each
+departure's start / arrival's end time; days are 0=Mon … 6=Sun. direction: "drain" (net < 0, worst first), "fill"
+(net > 0, biggest first) or "both" (largest swing first). Optional: "stations": ["Grove St PATH"], "filters" on trip
+rows (as for local_select, e.g. member_casual), "orderBy" on a result column.
+For stations that empty out / fill up / need rebalancing, use tool="station_flow" (not local_select).
+
+Current dashboard filters: ${JSON.stringify(normalizeDashboardFilters(dashboardFilters))}
+Data covers: ${JSON.stringify(local?.dateRange || {})}; rideable types: ${JSON.stringify(
+        (local?.rideableSplit || []).map((x) => x.name)
+      )}
+
 If user asks for "latest trips", use orderBy started_at desc and a limit.
+limit is the page size (local_select max ${PAGE_LIMITS.local}, supabase max ${PAGE_LIMITS.supabase}); optional "offset" skips rows.
+Results are paged in the chat (next / previous / load all), so don't raise limit just to show more rows.
 If Supabase is not configured, DO NOT return tool="supabase"; return tool="local_select".
+For "X by Y" / averages / totals / per-station counts, use tool="local_select" with groupBy + aggregates.
 
 User request:
 "${q}"
@@ -1128,11 +3539,37 @@ User request:
         return;
       }
 
+      if (asJson.tool === "set_filters" || asJson.tool === "clear_filters") {
+        const next =
+          asJson.tool === "clear_filters"
+            ? EMPTY_DASHBOARD_FILTERS
+            : normalizeDashboardFilters({ ...normalizeDashboardFilters(dashboardFilters), ...(asJson.filters || {}) });
+        setDashboardFilters(next);
+        const chips = describeDashboardFilters(next);
+        setMessages((prev) => [
+          ...prev,
+          {
+            role: "assistant",
+            type: "text",
+            content: chips.length
+              ? `Dashboard filters set: ${chips.map((c) => c.label).join(" · ")}`
+              : "Dashboard filters cleared.",
+          },
+        ]);
+        return;
+      }
+
       if (asJson.tool === "add_widget" && asJson.widgetId) {
-        addWidgetFromCatalog(asJson.widgetId);
+        const added = addWidgetFromCatalog(asJson.widgetId, asJson.dashboard);
         setMessages((prev) => [
           ...prev,
-          { role: "assistant", type: "text", content: `Added widget to dashboard: ${asJson.widgetId}` },
+          {
+            role: "assistant",
+            type: "text",
+            content: added
+              ? `Added ${asJson.widgetId} to the “${added.name}” dashboard${added.created ? " (new)" : ""}.`
+              : `Unknown widget: ${asJson.widgetId}`,
+          },
         ]);
         return;
       }
@@ -1145,45 +3582,41 @@ User request:
       if (asJson.tool === "local_select" && asJson.action === "select") {
         setMessages((prev) => [...prev, { role: "assistant", type: "text", content: "Querying local CSV…" }]);
 
-        const data = await executeLocalSelect(asJson, local);
+        const result = await executeLocalSelect(asJson, local);
 
         setMessages((prev) => [
           ...prev,
           {
             role: "assistant",
             type: "table",
-            content: {
-              title: `Local CSV results (${data.length} rows)`,
-              source: "local",
-              payload: {
-                columns: asJson.columns?.map((c) => ({ key: c, label: c })) || null,
-                rows: data,
-              },
-            },
+            content: queryResultContent("Local CSV results", "local", asJson, result),
           },
         ]);
         return;
       }
 
+      if (asJson.tool === STATION_FLOW_TOOL) {
+        const action = normalizeFlowAction(asJson);
+        const result = await executeStationFlow(action, local);
+        setMessages((prev) => [
+          ...prev,
+          { role: "assistant", type: "table", content: queryResultContent("Station flows", "local", action, result) },
+        ]);
+        return;
+      }
+
       if (asJson.tool === "supabase" && asJson.action === "select") {
         setMessages((prev) => [...prev, { role: "assistant", type: "text", content: "Querying rows…" }]);
 
         try {
-          const data = await executeSupabaseAction(asJson);
+          const result = await executeSupabaseAction(asJson);
 
           setMessages((prev) => [
             ...prev,
             {
               role: "assistant",
               type: "table",
-              content: {
-                title: `Supabase results (${data.length} rows)`,
-                source: "supabase",
-                payload: {
-                  columns: asJson.columns?.map((c) => ({ key: c, label: c })) || null,
-                  rows: data,
-                },
-              },
+              content: queryResultContent("Supabase results", "supabase", asJson, result),
             },
           ]);
           return;
@@ -1194,24 +3627,20 @@ User request:
             action: "select",
             columns: asJson.columns,
             filters: asJson.filters,
+            groupBy: asJson.groupBy,
+            aggregates: asJson.aggregates,
             orderBy: asJson.orderBy,
             limit: asJson.limit,
+            offset: asJson.offset,
           };
-          const data = await executeLocalSelect(localAction, local);
+          const result = await executeLocalSelect(localAction, local);
 
           setMessages((prev) => [
             ...prev,
             {
               role: "assistant",
               type: "table",
-              content: {
-                title: `Fallback to Local CSV (${data.length} rows)`,
-                source: "local",
-                payload: {
-                  columns: localAction.columns?.map((c) => ({ key: c, label: c })) || null,
-                  rows: data,
-                },
-              },
+              content: queryResultContent("Fallback to Local CSV", "local", localAction, result),
             },
             {
               role: "assistant",
@@ -1260,6 +3689,11 @@ User request:
         <div key={idx} style={{ display: "flex", justifyContent: "flex-start", marginBottom: 14 }}>
           <div style={{ ...bubbleStyle, maxWidth: "100%" }}>
             <div style={{ fontWeight: 900, marginBottom: 10 }}>{m.content?.title || "Options"}</div>
+            {(m.content?.notes || []).map((n) => (
+              <div key={n} style={{ color: THEME.warn, fontSize: 12, marginBottom: 8 }}>
+                {n}
+              </div>
+            ))}
 
             <div
               style={{
@@ -1269,8 +3703,7 @@ User request:
               }}
             >
               {items.map((it) => {
-                const def = WIDGET_CATALOG.find((w) => w.id === it.id);
-                const Icon = def?.icon || PlusCircle;
+                const Icon = catalogIcon(catalog.find((w) => w.id === it.id));
                 return (
                   <div
                     key={it.id}
@@ -1338,16 +3771,24 @@ User request:
       const cfg = m.content?.payload;
       return (
         <div key={idx} style={{ display: "flex", justifyContent: "flex-start", marginBottom: 14, width: "100%" }}>
-          <div style={{ ...bubbleStyle, maxWidth: "100%" }}>
+          <div data-export-root="" style={{ ...bubbleStyle, maxWidth: "100%" }}>
             <div style={{ display: "flex", justifyContent: "space-between", gap: 10, alignItems: "center" }}>
               <div style={{ fontWeight: 900 }}>{title}</div>
-              <IconButton title="Pin to dashboard" tone="accent" onClick={() => pinChatPayloadToDashboard(m)}>
-                <Pin size={16} />
-                Pin
-              </IconButton>
+              <div style={{ display: "flex", gap: 8, alignItems: "center" }}>
+                <ExportMenu
+                  kind={m.type}
+                  title={title}
+                  caption={exportCaption(m.content?.source, !!m.content?.widgetId)}
+                  payload={m.content?.payload}
+                />
+                <IconButton title="Pin to dashboard" tone="accent" onClick={() => pinChatPayloadToDashboard(m)}>
+                  <Pin size={16} />
+                  Pin
+                </IconButton>
+              </div>
             </div>
             <div style={{ marginTop: 12 }}>
-              <ChartRenderer config={cfg} height={260} />
+              <ChartRenderer config={cfg} height={260} onSelect={(hit) => openDrill(title, cfg, hit)} />
             </div>
           </div>
         </div>
@@ -1359,17 +3800,35 @@ User request:
       const payload = m.content?.payload;
       return (
         <div key={idx} style={{ display: "flex", justifyContent: "flex-start", marginBottom: 14, width: "100%" }}>
-          <div style={{ ...bubbleStyle, maxWidth: "100%" }}>
+          <div data-export-root="" style={{ ...bubbleStyle, maxWidth: "100%" }}>
             <div style={{ display: "flex", justifyContent: "space-between", gap: 10, alignItems: "center" }}>
               <div style={{ fontWeight: 900 }}>{title}</div>
-              <IconButton title="Pin to dashboard" tone="accent" onClick={() => pinChatPayloadToDashboard(m)}>
-                <Pin size={16} />
-                Pin
-              </IconButton>
+              <div style={{ display: "flex", gap: 8, alignItems: "center" }}>
+                <ExportMenu
+                  kind={m.type}
+                  title={title}
+                  caption={exportCaption(m.content?.source, !!m.content?.widgetId)}
+                  payload={m.content?.payload}
+                />
+                <IconButton title="Pin to dashboard" tone="accent" onClick={() => pinChatPayloadToDashboard(m)}>
+                  <Pin size={16} />
+                  Pin
+                </IconButton>
+              </div>
             </div>
             <div style={{ marginTop: 12 }}>
               <TableRenderer columns={payload?.columns} rows={payload?.rows} />
             </div>
+            {m.content?.page ? (
+              <QueryPager
+                page={m.content.page}
+                rowCount={payload?.rows?.length || 0}
+                loading={!!m.content.loading}
+                error={m.content.error}
+                onPage={(offset) => browseQueryResult(idx, { offset })}
+                onLoadAll={() => browseQueryResult(idx, { all: true })}
+              />
+            ) : null}
           </div>
         </div>
       );
@@ -1389,37 +3848,175 @@ User request:
     );
   }
 
+  // -------------------- FILTERED VIEW --------------------
+  // Everything on the dashboard (stats, base charts, catalog widgets) reads from view.
+  const view = useMemo(() => deriveFilteredAggregates(local, dashboardFilters), [local, dashboardFilters]);
+  const filtersActive = hasDashboardFilters(dashboardFilters);
+
+  // -------------------- CROSS-FILTER --------------------
+  // A selection belongs to the dashboard it was made on; switching tabs leaves it behind.
+  const selection = crossFilter?.boardId === board.id ? crossFilter : null;
+  // Stats, base charts, catalog and builder widgets (except the source chart) re-derive against it.
+  const selectedView = useMemo(
+    () => (view && selection ? deriveSubsetAggregates(view, drillRows(view.__rows, selection.filters)) : view),
+    [view, selection]
+  );
+
+  function toggleCrossFilter(item, { index, seriesKey }) {
+    const picked = drillSelection(item.payload?.drill, index, seriesKey);
+    if (!picked) return;
+    const same = selection?.sourceId === item.id && selection.label === picked.label;
+    setCrossFilter(same ? null : { boardId: board.id, sourceId: item.id, title: item.title, ...picked });
+  }
+
+  // Caption baked into exported charts. Base charts, catalog and builder widgets follow the filter bar.
+  // selected: the panel also follows the cross-filter selection.
+  function exportCaption(source, filtered = false, selected = false) {
+    const from = source === "local" ? `Local CSV · ${dataset?.name || "dataset"}` : sourceLabel(source);
+    const chips = filtered && filtersActive ? describeDashboardFilters(dashboardFilters) : [];
+    const picked = selected && selection ? ` · Selection: ${selection.label}` : "";
+    return `Source: ${from}${chips.length ? ` · Filters: ${chips.map((c) => c.label).join(", ")}` : ""}${picked}`;
+  }
+
+  // Widget builder choices: the CSV's columns plus every derived column.
+  const builderColumnChoices = useMemo(
+    () => [...new Set([...(local?.columns || []), ...DERIVED_COLUMNS.map((c) => c.name)])],
+    [local]
+  );
+
+  // -------------------- DRILL-DOWN --------------------
+  // Drilled rows follow the filter bar, like the chart that was clicked. Newest trips first.
+  const drillView = useMemo(() => {
+    if (!drill || !view) return null;
+    const rows = applyLocalOrder(drillRows(view.__rows, drill.filters), { column: "started_at", ascending: false });
+    return { rows: pickColumns(rows, DRILL_COLUMNS), summary: drillSummary(rows, view.__rows.length) };
+  }, [drill, view]);
+
+  function openDrill(title, payload, { index, seriesKey }) {
+    const selection = drillSelection(payload?.drill, index, seriesKey);
+    if (selection) setDrill({ title, ...selection });
+  }
+
+  // Pins the drawer's rows (up to a local page) with the query behind them, like a pinned query table.
+  // The drawer's rows follow the filter bar, so its filters go into the query too.
+  function pinDrillDown() {
+    const action = {
+      tool: "local_select",
+      action: "select",
+      columns: DRILL_COLUMNS,
+      filters: [...dashboardFilterTree(dashboardFilters), ...drill.filters],
+      orderBy: { column: "started_at", ascending: false },
+      limit: PAGE_LIMITS.local,
+    };
+    pinChatPayloadToDashboard({
+      type: "table",
+      content: {
+        title: `${drill.title} · ${drill.label}`,
+        source: "local",
+        payload: { columns: queryResultColumns(action), rows: drillView.rows.slice(0, PAGE_LIMITS.local) },
+        action,
+      },
+    });
+    setDrill(null);
+  }
+
+  // Catalog builders can scan every row, so only rebuild when the widgets or the view change.
+  // The selection's source and widgets showing a picked or the selected station read the unselected view.
+  const widgetPayloads = useMemo(() => {
+    const selected = selectionStation(selection);
+    return new Map(
+      widgets.map((w) => {
+        const follows = followsSelectedStation(catalog.find((d) => d.id === w.catalogId));
+        const station = follows ? w.station || selected : null;
+        const from = w.id === selection?.sourceId || station ? view : selectedView;
+        return [w.id, resolveWidgetPayload(w, from, catalog, station)];
+      })
+    );
+  }, [widgets, view, selectedView, selection, catalog]);
+
   // -------------------- BASE DASHBOARD CHARTS --------------------
+  // The chart a cross-filter selection came from keeps its unselected data so the rest stays clickable.
   const baseCharts = useMemo(() => {
-    if (!local) return null;
-    return [
-      {
-        title: "Hourly Trips (Local)",
-        kind: "chart",
-        payload: {
-          chartType: "line",
-          data: local.hourly,
-          xKey: "name",
-          series: [{ key: "value", label: "Trips" }],
-        },
-      },
-      {
-        title: "Rider Split (Local)",
-        kind: "chart",
-        payload: {
-          chartType: "pie",
-          data: local.riderSplit,
-          donut: true,
-          nameKey: "name",
-          valueKey: "value",
-        },
-      },
+    if (!view) return null;
+    const charts = buildBaseCharts(selectedView);
+    if (!selection) return charts;
+    const unselected = buildBaseCharts(view);
+    return charts.map((c, i) => (c.id === selection.sourceId ? unselected[i] : c));
+  }, [view, selectedView, selection]);
+
+  // -------------------- DASHBOARD GRID --------------------
+  // Base charts and pinned widgets share one saved layout; tables start two columns wide.
+  const gridItems = useMemo(() => {
+    const items = [
+      ...(baseCharts || []).map((c) => ({ ...c, source: "local", filtered: true, removable: false })),
+      ...widgets.map((w) => ({
+        id: w.id,
+        title: w.title,
+        kind: w.kind,
+        payload: widgetPayloads.get(w.id),
+        source: w.source,
+        filtered: !!(w.catalogId || w.builder),
+        unavailable: w.catalogId && !catalog.some((d) => d.id === w.catalogId) ? w.catalogId : null,
+        removable: true,
+        station: widgetPayloads.get(w.id)?.stations ? w.station || "" : null,
+      })),
     ];
-  }, [local]);
+    return new Map(items.map((it) => [it.id, it]));
+  }, [baseCharts, widgets, widgetPayloads, catalog]);
+
+  const gridLayout = useMemo(
+    () => reconcileLayout(layout, [...gridItems.values()].map((it) => ({ id: it.id, w: it.kind === "table" ? 2 : 1 }))),
+    [layout, gridItems]
+  );
 
   // -------------------- UI --------------------
   return (
     <>
+      {/* CLEANING RULES MODAL */}
+      {showRulesModal && local ? (
+        <CleaningRulesModal
+          rules={local.cleaningRules}
+          columns={local.columns}
+          datasetName={dataset?.name}
+          onApply={applyCleaningRules}
+          onClose={() => setShowRulesModal(false)}
+        />
+      ) : null}
+
+      {/* WIDGET BUILDER MODAL */}
+      {showBuilder && view ? (
+        <WidgetBuilderModal
+          columns={builderColumnChoices}
+          rows={view.__rows}
+          onPin={(message) => {
+            pinChatPayloadToDashboard(message);
+            setShowBuilder(false);
+          }}
+          onClose={() => setShowBuilder(false)}
+        />
+      ) : null}
+
+      {/* DRILL-DOWN DRAWER */}
+      {drill && drillView ? (
+        <DrillDownDrawer
+          selection={drill}
+          rows={drillView.rows}
+          summary={drillView.summary}
+          onPin={pinDrillDown}
+          onClose={() => setDrill(null)}
+        />
+      ) : null}
+
+      {/* DASHBOARD IMPORT MODAL */}
+      {importState ? (
+        <ImportDashboardModal
+          state={importState}
+          datasetName={dataset?.name}
+          onImport={importDashboard}
+          onClose={() => setImportState(null)}
+        />
+      ) : null}
+
       {/* GEMINI KEY MODAL */}
       {showKeyModal ? (
         <div
@@ -1535,6 +4132,7 @@ User request:
             borderRight: `1px solid ${THEME.border}`,
             background: "rgba(0,0,0,0.18)",
             backdropFilter: "blur(16px)",
+            overflowY: "auto",
           }}
         >
           <div
@@ -1667,12 +4265,25 @@ User request:
                   Catalog
                 </IconButton>
               </div>
-
-              <div style={{ marginTop: 10, color: THEME.muted, fontSize: 12, lineHeight: 1.3 }}>
-                CSV source: <code>{CSV_URL}</code>
-              </div>
             </div>
           </div>
+
+          <div style={{ marginTop: 14 }}>
+            <DatasetLoader
+              dataset={dataset}
+              busy={datasetBusy}
+              progress={datasetProgress}
+              error={datasetError}
+              onFile={loadDatasetFile}
+              onReset={resetToDefaultDataset}
+              onCancel={cancelDatasetLoad}
+              onEditRules={() => setShowRulesModal(true)}
+            />
+          </div>
+
+          <div style={{ marginTop: 14 }}>
+            <SamplingControls value={sampling} disabled={datasetBusy} onApply={applySampling} />
+          </div>
         </aside>
 
         {/* MAIN */}
@@ -1707,7 +4318,16 @@ User request:
                 </IconButton>
               )}
 
-              <IconButton title="Clear pinned widgets" tone="danger" onClick={() => setWidgets([])}>
+              <IconButton title="Copy a link to this view (tab, dashboard, filters)" onClick={() => copyViewLink(false)}>
+                <Link2 size={16} />
+                {linkCopied === "view" ? "Copied!" : "Copy Link"}
+              </IconButton>
+              <IconButton title="Copy a link that also carries this dashboard's widgets" onClick={() => copyViewLink(true)}>
+                <Share2 size={16} />
+                {linkCopied === "widgets" ? "Copied!" : "With Widgets"}
+              </IconButton>
+
+              <IconButton title="Clear pinned widgets" tone="danger" onClick={clearWidgets}>
                 <Trash2 size={16} />
                 Clear Pins
               </IconButton>
@@ -1739,7 +4359,7 @@ User request:
                     Ensure:
                     <ul style={{ margin: "8px 0 0 18px" }}>
                       <li>
-                        <code>public/trips_rows.csv</code> exists (and is deployed)
+                        <code>public/trips_rows.csv</code> exists (and is deployed), or load a CSV from the sidebar
                       </li>
                       <li>Gemini key is set (optional for dashboard; required for AI Analyst actions)</li>
                       <li>Supabase env keys exist if you want DB queries</li>
@@ -1748,19 +4368,45 @@ User request:
                 </div>
               </div>
             ) : loading ? (
-              <div style={{ maxWidth: 980, margin: "0 auto", color: THEME.muted }}>Loading…</div>
+              <div style={{ maxWidth: 560, margin: "40px auto 0" }}>
+                <Panel title={`Loading ${datasetProgress?.name || "dataset"}…`}>
+                  <LoadProgress progress={datasetProgress} onCancel={cancelDatasetLoad} />
+                </Panel>
+              </div>
             ) : activeTab === "dashboard" ? (
               // -------------------- DASHBOARD --------------------
               <div style={{ maxWidth: 1200, margin: "0 auto" }}>
+                <DashboardTabs
+                  boards={boards}
+                  onSwitch={(id) => setBoards((prev) => ({ ...prev, activeId: id }))}
+                  onCreate={createBoard}
+                  onRename={renameBoard}
+                  onDuplicate={(id) => setBoards((prev) => duplicateDashboard(prev, id))}
+                  onDelete={(id) => setBoards((prev) => deleteDashboard(prev, id))}
+                  onExport={exportBoard}
+                  onImportFile={openDashboardImport}
+                />
+
                 <div style={{ display: "flex", justifyContent: "space-between", gap: 12, alignItems: "flex-end" }}>
                   <div>
-                    <div style={{ fontSize: 26, fontWeight: 1000, letterSpacing: 0.2 }}>Local Overview</div>
+                    <div style={{ fontSize: 26, fontWeight: 1000, letterSpacing: 0.2 }}>{board.name}</div>
                     <div style={{ color: THEME.muted, marginTop: 6, fontSize: 13 }}>
-                      Baseline charts are fixed. Add NEW widgets via AI Analyst → “show widget menu”.
+                      Drag panels by the grip to rearrange them; click a bar, point or slice to list its trips. Add NEW widgets with Build Widget or via AI Analyst → “show widget menu”.
+                    </div>
+                    <div style={{ color: THEME.muted, marginTop: 4, fontSize: 12 }}>
+                      Dataset: <span style={{ color: THEME.text, fontWeight: 800 }}>{dataset?.name || "—"}</span>
                     </div>
                   </div>
 
                   <div style={{ display: "flex", gap: 10, flexWrap: "wrap" }}>
+                    <IconButton
+                      title="Build a chart or table from the loaded rows"
+                      disabled={!local}
+                      onClick={() => setShowBuilder(true)}
+                    >
+                      <Wrench size={16} />
+                      Build Widget
+                    </IconButton>
                     <IconButton
                       title="Open Analyst and show menu"
                       tone="accent"
@@ -1775,6 +4421,46 @@ User request:
                   </div>
                 </div>
 
+                <FilterBar
+                  filters={dashboardFilters}
+                  options={local}
+                  matched={view?.filtered}
+                  onChange={setDashboardFilters}
+                />
+
+                <SamplingBanner sampling={local?.sampling} />
+
+                {selection ? (
+                  <div
+                    style={{
+                      marginTop: 12,
+                      display: "flex",
+                      alignItems: "center",
+                      gap: 10,
+                      flexWrap: "wrap",
+                      padding: "8px 12px",
+                      borderRadius: 14,
+                      border: `1px solid ${THEME.accent}`,
+                      background: "rgba(77,163,255,0.08)",
+                      fontSize: 13,
+                    }}
+                  >
+                    <Crosshair size={16} color={THEME.accent} />
+                    <span>
+                      Selection from <b>{selection.title}</b>: {selection.label}
+                    </span>
+                    <span style={{ color: THEME.muted, fontSize: 12 }}>
+                      {Number(selectedView?.cleanCount || 0).toLocaleString()} trips
+                    </span>
+                    <div style={{ marginLeft: "auto" }}>
+                      <IconButton title="Clear the cross-filter selection" onClick={() => setCrossFilter(null)}>
+                        <X size={14} />
+                        Clear selection
+                      </IconButton>
+                    </div>
+                  </div>
+                ) : null}
+
                 {/* STATS */}
                 <div
                   style={{
@@ -1786,87 +4472,191 @@ User request:
                 >
                   <StatCard
                     title="Valid trips"
-                    value={Number(local?.cleanCount || 0).toLocaleString()}
-                    meta="Filtered to valid timestamp + duration ≤ 240 min"
+                    value={Number(
+                      selection || filtersActive
+                        ? selectedView?.cleanCount ?? 0
+                        : local?.sampling?.validTotal ?? local?.cleanCount ?? 0
+                    ).toLocaleString()}
+                    meta={
+                      selection
+                        ? `Matching the selection, of ${Number(view?.cleanCount || 0).toLocaleString()} ${
+                            filtersActive ? "filtered" : "loaded"
+                          } rows`
+                        : filtersActive
+                        ? `Matching filters, of ${Number(local?.cleanCount || 0).toLocaleString()} loaded rows`
+                        : local?.sampling?.mode && local.sampling.mode !== "full"
+                        ? `Charts use ${Number(local.cleanCount || 0).toLocaleString()} rows (${
+                            local.sampling.mode === "sample" ? "random sample" : "first N"
+                          })`
+                        : `Cleaning: ${describeCleaningRules(local?.cleaningRules)}`
+                    }
                     icon={<BarChart3 size={18} color={THEME.accent} />}
                   />
                   <StatCard
                     title="Member ratio"
-                    value={`${(local?.memberRatio || 0).toFixed(1)}%`}
-                    meta="From local CSV"
+                    value={`${(selectedView?.memberRatio || 0).toFixed(1)}%`}
+                    meta={selection ? "Selected trips" : filtersActive ? "Filtered local CSV" : "From local CSV"}
                     icon={<Sparkles size={18} color={THEME.good} />}
                   />
                   <StatCard
                     title="Avg duration"
-                    value={`${(local?.avgDurationMin || 0).toFixed(2)} min`}
-                    meta={`Peak hour: ${local?.peakHour}`}
+                    value={`${(selectedView?.avgDurationMin || 0).toFixed(2)} min`}
+                    meta={`Peak hour: ${selectedView?.peakHour}`}
                     icon={<TrendingUp size={18} color={THEME.accent2} />}
                   />
                   <StatCard
                     title="Busiest day"
-                    value={local?.busiestDay || "—"}
-                    meta={`Top station: ${shortText(local?.topStation || "—", 34)}`}
+                    value={selectedView?.busiestDay || "—"}
+                    meta={`Top station: ${shortText(selectedView?.topStation || "—", 34)}`}
                     icon={<Calendar size={18} color={THEME.warn} />}
                   />
                 </div>
 
-                {/* BASE CHARTS */}
-                <div
-                  style={{
-                    display: "grid",
-                    gridTemplateColumns: "repeat(auto-fit, minmax(420px, 1fr))",
-                    gap: 14,
-                    marginTop: 14,
-                  }}
-                >
-                  {(baseCharts || []).map((c, i) => (
-                    <Panel key={i} title={c.title} right={<span style={{ color: THEME.muted, fontSize: 12 }}>Source: Local CSV</span>}>
-                      <ChartRenderer config={c.payload} />
-                    </Panel>
-                  ))}
-                </div>
-
-                {/* PINNED WIDGETS */}
+                {/* DASHBOARD GRID: base charts + pinned widgets */}
                 <div style={{ marginTop: 18 }}>
-                  <div style={{ display: "flex", justifyContent: "space-between", gap: 12, alignItems: "center" }}>
+                  <div
+                    style={{
+                      display: "flex",
+                      justifyContent: "space-between",
+                      gap: 12,
+                      alignItems: "center",
+                      flexWrap: "wrap",
+                    }}
+                  >
                     <div style={{ fontSize: 18, fontWeight: 1000, display: "flex", alignItems: "center", gap: 10 }}>
-                      <Pin size={18} color={THEME.accent} />
-                      Pinned Widgets
+                      <LayoutGrid size={18} color={THEME.accent} />
+                      Charts & Pinned Widgets
                     </div>
-                    <div style={{ color: THEME.muted, fontSize: 12 }}>
-                      {widgets.length ? `${widgets.length} pinned` : "No pinned widgets yet"}
+                    <div style={{ display: "flex", gap: 8, alignItems: "center", flexWrap: "wrap" }}>
+                      {gridLayout
+                        .filter((l) => l.hidden)
+                        .map((l) => (
+                          <IconButton
+                            key={l.id}
+                            title="Show panel"
+                            onClick={() => setLayout(updateLayoutItem(gridLayout, l.id, { hidden: false }))}
+                          >
+                            <Eye size={14} />
+                            {shortText(gridItems.get(l.id)?.title || l.id, 28)}
+                          </IconButton>
+                        ))}
+                      <span style={{ color: THEME.muted, fontSize: 12 }}>
+                        {widgets.length ? `${widgets.length} pinned` : "No pinned widgets yet"}
+                      </span>
+                      <IconButton
+                        title="Cross-filter: clicking a chart element filters every other chart, widget and stat"
+                        tone={crossMode ? "accent" : "default"}
+                        onClick={() => {
+                          setCrossMode((on) => !on);
+                          setCrossFilter(null);
+                        }}
+                      >
+                        <Crosshair size={14} />
+                        Cross-filter {crossMode ? "on" : "off"}
+                      </IconButton>
+                      <IconButton title="Reset order, sizes and hidden panels" onClick={() => setLayout([])}>
+                        <RotateCcw size={14} />
+                        Reset layout
+                      </IconButton>
                     </div>
                   </div>
 
-                  {widgets.length ? (
-                    <div
-                      style={{
-                        display: "grid",
-                        gridTemplateColumns: "repeat(auto-fit, minmax(420px, 1fr))",
-                        gap: 14,
-                        marginTop: 12,
-                      }}
-                    >
-                      {widgets.map((w) => (
-                        <Panel
-                          key={w.id}
-                          title={w.title}
-                          right={
-                            <div style={{ display: "flex", gap: 10, alignItems: "center" }}>
-                              <span style={{ color: THEME.muted, fontSize: 12 }}>
-                                {w.source === "local" ? "Local" : w.source === "supabase" ? "Supabase" : "Custom"}
-                              </span>
-                              <IconButton title="Remove widget" tone="danger" onClick={() => removeWidget(w.id)}>
-                                <X size={16} />
-                              </IconButton>
-                            </div>
-                          }
+                  <div
+                    style={{
+                      display: "grid",
+                      gridTemplateColumns: `repeat(${LAYOUT_COLUMNS}, minmax(0, 1fr))`,
+                      gap: 14,
+                      marginTop: 12,
+                    }}
+                  >
+                    {gridLayout.map((l, index) => {
+                      const it = gridItems.get(l.id);
+                      if (l.hidden || !it) return null;
+                      const height = LAYOUT_HEIGHTS[l.h];
+                      return (
+                        <div
+                          key={l.id}
+                          draggable={grabbedId === l.id}
+                          onDragStart={(e) => {
+                            e.dataTransfer.effectAllowed = "move";
+                            e.dataTransfer.setData("text/plain", l.id);
+                            setDragId(l.id);
+                          }}
+                          onDragEnd={() => {
+                            setDragId(null);
+                            setGrabbedId(null);
+                          }}
+                          onDragOver={(e) => {
+                            if (dragId) e.preventDefault();
+                          }}
+                          onDrop={(e) => {
+                            e.preventDefault();
+                            if (dragId && dragId !== l.id) setLayout(moveLayoutItem(gridLayout, dragId, index));
+                          }}
+                          style={{ gridColumn: `span ${l.w}`, minWidth: 0, opacity: dragId === l.id ? 0.5 : 1 }}
                         >
-                          {w.kind === "chart" ? <ChartRenderer config={w.payload} /> : <TableRenderer columns={w.payload?.columns} rows={w.payload?.rows} />}
-                        </Panel>
-                      ))}
-                    </div>
-                  ) : (
+                          <Panel
+                            title={it.title}
+                            collapsed={l.collapsed}
+                            exportable={{
+                              kind: it.kind,
+                              payload: it.payload,
+                              caption: exportCaption(
+                                it.source,
+                                it.filtered,
+                                it.filtered && it.id !== selection?.sourceId
+                              ),
+                            }}
+                            right={
+                              <div style={{ display: "flex", gap: 6, alignItems: "center" }}>
+                                <span style={{ color: THEME.muted, fontSize: 12 }}>{sourceLabel(it.source)}</span>
+                                {it.station != null ? (
+                                  <StationPicker
+                                    value={it.station}
+                                    stations={it.payload?.stations}
+                                    onChange={(station) => setWidgetStation(it.id, station)}
+                                  />
+                                ) : null}
+                                <GridItemControls
+                                  item={l}
+                                  onGrab={() => setGrabbedId(l.id)}
+                                  onRelease={() => setGrabbedId(null)}
+                                  onStep={(dir) => setLayout(stepLayoutItem(gridLayout, l.id, dir))}
+                                  onChange={(patch) => setLayout(updateLayoutItem(gridLayout, l.id, patch))}
+                                />
+                                {it.removable ? (
+                                  <IconButton title="Remove widget" tone="danger" onClick={() => removeWidget(l.id)}>
+                                    <X size={14} />
+                                  </IconButton>
+                                ) : null}
+                              </div>
+                            }
+                          >
+                            {it.unavailable ? (
+                              <div style={{ padding: 12, color: THEME.muted, fontSize: 13 }}>
+                                Catalog entry unavailable: <b>{it.unavailable}</b> isn't in the loaded widget catalog.
+                              </div>
+                            ) : it.kind === "chart" ? (
+                              <ChartRenderer
+                                config={it.payload}
+                                height={height}
+                                highlight={
+                                  selection?.sourceId === it.id ? drillHighlight(it.payload?.drill, selection) : null
+                                }
+                                onSelect={(hit) =>
+                                  crossMode ? toggleCrossFilter(it, hit) : openDrill(it.title, it.payload, hit)
+                                }
+                              />
+                            ) : (
+                              <TableRenderer columns={it.payload?.columns} rows={it.payload?.rows} maxHeight={height} />
+                            )}
+                          </Panel>
+                        </div>
+                      );
+                    })}
+                  </div>
+
+                  {!widgets.length ? (
                     <div
                       style={{
                         marginTop: 12,
@@ -1879,7 +4669,16 @@ User request:
                     >
                       Go to <b>AI Analyst</b> → type <b>“show widget menu”</b> → click <b>Add</b>.
                     </div>
-                  )}
+                  ) : null}
+                </div>
+
+                {/* DATA QUALITY */}
+                <div style={{ marginTop: 14 }}>
+                  <DataQualityPanel
+                    quality={local?.quality}
+                    datasetName={dataset?.name}
+                    onEditRules={() => setShowRulesModal(true)}
+                  />
                 </div>
               </div>
             ) : (
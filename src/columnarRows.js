@@ -0,0 +1,67 @@
+// Columnar row transport between csvWorker.js and the UI thread. Posting millions of row objects
+// through structured clone is slow and, while it runs, both threads hold a full copy. Instead the
+// worker posts one typed array per column (transferred, not copied): numbers as Float64Array, any
+// other column as a dictionary of distinct values plus a Uint32Array of indexes, so a station name
+// repeated on every row crosses once and the rebuilt rows share it.
+//
+// table: { length, columns: [{ name, kind: "number", data } | { name, kind: "dict", values, index }] }
+
+// Missing cells in a number column (null / undefined) travel as NaN.
+function isNumberColumn(rows, name) {
+  for (const r of rows) {
+    const v = r[name];
+    if (v != null && (typeof v !== "number" || Number.isNaN(v))) return false;
+  }
+  return true;
+}
+
+// → { table, transfer } — transfer lists the buffers to hand to postMessage.
+export function encodeRows(rows) {
+  const names = new Set();
+  for (const r of rows) for (const k of Object.keys(r)) names.add(k);
+
+  const columns = [...names].map((name) => {
+    if (isNumberColumn(rows, name)) {
+      const data = new Float64Array(rows.length);
+      rows.forEach((r, i) => {
+        data[i] = r[name] ?? NaN;
+      });
+      return { name, kind: "number", data };
+    }
+    const ids = new Map();
+    const values = [];
+    const index = new Uint32Array(rows.length);
+    rows.forEach((r, i) => {
+      const v = r[name] ?? null;
+      let id = ids.get(v);
+      if (id === undefined) {
+        id = values.length;
+        ids.set(v, id);
+        values.push(v);
+      }
+      index[i] = id;
+    });
+    return { name, kind: "dict", values, index };
+  });
+
+  const transfer = columns.map((c) => (c.kind === "number" ? c.data.buffer : c.index.buffer));
+  return { table: { length: rows.length, columns }, transfer };
+}
+
+// Plain row objects again (every row gets every column; missing cells are null).
+export function decodeRows(table) {
+  const rows = Array.from({ length: table?.length || 0 }, () => ({}));
+  for (const c of table?.columns || []) {
+    if (c.kind === "number") {
+      rows.forEach((r, i) => {
+        const v = c.data[i];
+        r[c.name] = Number.isNaN(v) ? null : v;
+      });
+    } else {
+      rows.forEach((r, i) => {
+        r[c.name] = c.values[c.index[i]];
+      });
+    }
+  }
+  return rows;
+}
@@ -0,0 +1,32 @@
+import { describe, expect, it } from "vitest";
+import { decodeRows, encodeRows } from "./columnarRows.js";
+
+describe("columnar rows", () => {
+  const rows = [
+    { ride_id: "a", start_station_name: "Hub", start_lat: 40.7, member: true, __durMin: 12.5 },
+    { ride_id: "b", start_station_name: "Hub", start_lat: null, member: false, __durMin: 3 },
+    { ride_id: "c", start_station_name: null, start_lat: 40.71, member: null, extra: 7 },
+  ];
+
+  it("round-trips through a transferring structured clone", () => {
+    const { table, transfer } = encodeRows(rows);
+    const copy = structuredClone(table, { transfer });
+    expect(decodeRows(copy)).toEqual(rows.map((r) => ({ __durMin: null, extra: null, ...r })));
+    expect(table.columns.every((c) => (c.kind === "number" ? c.data : c.index).byteLength === 0)).toBe(true);
+  });
+
+  it("keeps numbers in typed arrays and text as a dictionary", () => {
+    const { table } = encodeRows(rows);
+    const col = Object.fromEntries(table.columns.map((c) => [c.name, c]));
+    expect(col.start_lat.kind).toBe("number");
+    expect(col.__durMin.kind).toBe("number");
+    expect(col.start_station_name).toMatchObject({ kind: "dict", values: ["Hub", null] });
+    expect([...col.start_station_name.index]).toEqual([0, 0, 1]);
+    expect(col.member.kind).toBe("dict");
+  });
+
+  it("handles no rows", () => {
+    const { table } = encodeRows([]);
+    expect(decodeRows(table)).toEqual([]);
+  });
+});
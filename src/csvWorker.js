@@ -0,0 +1,56 @@
+// Web Worker: streams a trips CSV through Papa in chunks, cleans rows as they
+// arrive and posts progress, then builds the dashboard aggregates off the UI thread.
+//
+// in:  { file | url, sampling, cleaningRules }
+// out: { type: "progress", progress } | { type: "done", agg, rows } | { type: "error", message }
+// agg comes without __rows; rows is the cleaned rows as a columnar table (see columnarRows.js).
+import Papa from "papaparse";
+import { encodeRows } from "./columnarRows.js";
+import { createTripPipeline } from "./localAggregates.js";
+
+const CHUNK_SIZE = 1024 * 1024;
+
+async function resolveInput(msg) {
+  if (msg?.file) return msg.file;
+  const res = await fetch(msg?.url);
+  if (!res.ok) throw new Error(`CSV file not found: put trips_rows.csv in /public (fetch: ${msg?.url})`);
+  return res.blob();
+}
+
+function parse(file, pipeline) {
+  const progress = { phase: "parsing", bytesRead: 0, totalBytes: file.size || 0, ...pipeline.counts() };
+
+  return new Promise((resolve, reject) => {
+    Papa.parse(file, {
+      header: true,
+      dynamicTyping: true,
+      skipEmptyLines: true,
+      chunkSize: CHUNK_SIZE,
+      chunk: (results) => {
+        for (const r of results.data) pipeline.push(r);
+        Object.assign(progress, pipeline.counts());
+        progress.bytesRead = Math.min(progress.totalBytes, results.meta?.cursor ?? progress.bytesRead);
+        self.postMessage({ type: "progress", progress: { ...progress } });
+      },
+      complete: () => {
+        if (!progress.rowsParsed) reject(new Error("CSV parsed but contains no rows."));
+        else resolve();
+      },
+      error: (e) => reject(new Error("CSV parse error: " + (e?.message || String(e)))),
+    });
+  });
+}
+
+self.onmessage = async (e) => {
+  try {
+    const file = await resolveInput(e.data);
+    const pipeline = createTripPipeline(e.data?.sampling, e.data?.cleaningRules);
+    await parse(file, pipeline);
+    self.postMessage({ type: "progress", progress: { phase: "aggregating" } });
+    const { __rows, ...agg } = pipeline.finish();
+    const { table, transfer } = encodeRows(__rows);
+    self.postMessage({ type: "done", agg, rows: table }, transfer);
+  } catch (err) {
+    self.postMessage({ type: "error", message: err?.message || String(err) });
+  }
+};
@@ -0,0 +1,63 @@
+// Dashboard grid layout: one ordered list of items (base charts and pinned widgets by id)
+// with a column span, a height preset and collapsed / hidden flags.
+//
+// item: { id, w: 1..3, h: "s" | "m" | "l", collapsed, hidden }
+
+export const LAYOUT_COLUMNS = 3;
+export const LAYOUT_HEIGHTS = { s: 200, m: 280, l: 420 };
+const HEIGHT_ORDER = ["s", "m", "l"];
+
+export function normalizeLayoutItem(item) {
+  const w = Math.round(Number(item?.w));
+  return {
+    id: String(item?.id ?? ""),
+    w: Number.isFinite(w) ? Math.min(LAYOUT_COLUMNS, Math.max(1, w)) : 1,
+    h: HEIGHT_ORDER.includes(item?.h) ? item.h : "m",
+    collapsed: !!item?.collapsed,
+    hidden: !!item?.hidden,
+  };
+}
+
+// Saved order for items that still exist, then new ones in the order given.
+// defaults: [{ id, w?, h? }] — the starting size for an item with no saved layout.
+export function reconcileLayout(layout, defaults) {
+  const known = new Set(defaults.map((d) => d.id));
+  const seen = new Set();
+  const out = [];
+  for (const item of layout || []) {
+    const l = normalizeLayoutItem(item);
+    if (!known.has(l.id) || seen.has(l.id)) continue;
+    seen.add(l.id);
+    out.push(l);
+  }
+  for (const d of defaults) if (!seen.has(d.id)) out.push(normalizeLayoutItem(d));
+  return out;
+}
+
+export function moveLayoutItem(layout, id, toIndex) {
+  const from = layout.findIndex((l) => l.id === id);
+  if (from < 0) return layout;
+  const to = Math.max(0, Math.min(layout.length - 1, toIndex));
+  if (from === to) return layout;
+  const next = [...layout];
+  const [item] = next.splice(from, 1);
+  next.splice(to, 0, item);
+  return next;
+}
+
+// Moves past hidden items so one keyboard step always changes the visible order.
+export function stepLayoutItem(layout, id, dir) {
+  const from = layout.findIndex((l) => l.id === id);
+  let to = from + dir;
+  while (to >= 0 && to < layout.length && layout[to].hidden) to += dir;
+  if (from < 0 || to < 0 || to >= layout.length) return layout;
+  return moveLayoutItem(layout, id, to);
+}
+
+export function updateLayoutItem(layout, id, patch) {
+  return layout.map((l) => (l.id === id ? normalizeLayoutItem({ ...l, ...patch }) : l));
+}
+
+export function nextHeight(h) {
+  return HEIGHT_ORDER[(HEIGHT_ORDER.indexOf(h) + 1) % HEIGHT_ORDER.length];
+}
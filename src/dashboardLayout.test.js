@@ -0,0 +1,26 @@
+import { describe, expect, it } from "vitest";
+import { nextHeight, reconcileLayout, stepLayoutItem, updateLayoutItem } from "./dashboardLayout.js";
+
+const item = (id, extra = {}) => ({ id, w: 1, h: "m", collapsed: false, hidden: false, ...extra });
+
+describe("dashboard layout", () => {
+  it("keeps the saved order of known items, then appends new ones with their default size", () => {
+    const saved = [item("b", { w: 2 }), item("gone"), item("a"), item("b")];
+    expect(reconcileLayout(saved, [{ id: "a" }, { id: "b" }, { id: "c", w: 3, h: "l" }])).toEqual([
+      item("b", { w: 2 }),
+      item("a"),
+      item("c", { w: 3, h: "l" }),
+    ]);
+  });
+
+  it("steps past hidden items", () => {
+    const layout = [item("a"), item("b", { hidden: true }), item("c")];
+    expect(stepLayoutItem(layout, "a", 1).map((l) => l.id)).toEqual(["b", "c", "a"]);
+    expect(stepLayoutItem(layout, "c", 1)).toBe(layout);
+  });
+
+  it("clamps updates and cycles heights", () => {
+    expect(updateLayoutItem([item("a")], "a", { w: 7 })).toEqual([item("a", { w: 3 })]);
+    expect(["s", "m", "l"].map(nextHeight)).toEqual(["m", "l", "s"]);
+  });
+});
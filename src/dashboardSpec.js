@@ -0,0 +1,183 @@
+// Portable dashboard spec: what a dashboard shows (catalog ids, queries, layout, filters, titles)
+// without any rows, so another team can rebuild it against their own CSV.
+//
+// { format, version, exportedAt, dashboard: { name, filters, widgets, layout } }
+// widget: { ref, title, kind, catalogId, station? } | { ref, title, kind: "table", source, query }
+//         | { ref, title, kind, builder } — station is the one picked on a station-following catalog widget.
+// query is a local_select / supabase select, or a station_flow action (which keeps its tool).
+// layout: [{ ref, w, h, collapsed, hidden }] — ref is a widget ref or a base chart id (base_*)
+import { normalizeDashboardFilters } from "./localAggregates.js";
+import { normalizeLayoutItem } from "./dashboardLayout.js";
+import { queryColumns } from "./localQuery.js";
+import { sourceColumns } from "./derivedColumns.js";
+import { isStationFlowAction, normalizeFlowAction, stationFlowColumns } from "./stationFlow.js";
+import { builderColumns, builderKind, normalizeBuilderSpec } from "./widgetBuilder.js";
+
+export const DASHBOARD_SPEC_FORMAT = "dashpilot.dashboard";
+export const DASHBOARD_SPEC_VERSION = 1;
+
+const QUERY_KEYS = ["table", "columns", "filters", "groupBy", "aggregates", "orderBy", "limit"];
+
+function isBaseId(id) {
+  return String(id || "").startsWith("base_");
+}
+
+function portableQuery(q) {
+  if (isStationFlowAction(q)) {
+    const { offset: _offset, ...flow } = normalizeFlowAction(q);
+    return flow;
+  }
+  return Object.fromEntries(QUERY_KEYS.filter((k) => q?.[k] != null).map((k) => [k, q[k]]));
+}
+
+function actionColumns(q) {
+  return isStationFlowAction(q) ? stationFlowColumns(q) : queryColumns(q);
+}
+
+// -------------------- EXPORT --------------------
+// Returns { spec, skipped } — skipped are titles of snapshot widgets with no catalog id, builder spec or query.
+export function buildDashboardSpec(dashboard) {
+  const refs = new Map();
+  const widgets = [];
+  const skipped = [];
+
+  for (const w of dashboard.widgets) {
+    const ref = `w${widgets.length + 1}`;
+    if (w.catalogId) {
+      const station = w.station ? { station: w.station } : {};
+      widgets.push({ ref, title: w.title, kind: w.kind, catalogId: w.catalogId, ...station });
+    } else if (w.builder) widgets.push({ ref, title: w.title, kind: w.kind, builder: w.builder });
+    else if (w.query) widgets.push({ ref, title: w.title, kind: "table", source: w.source, query: portableQuery(w.query) });
+    else {
+      skipped.push(w.title);
+      continue;
+    }
+    refs.set(w.id, ref);
+  }
+
+  const layout = dashboard.layout
+    .map((l) => {
+      const { w, h, collapsed, hidden } = normalizeLayoutItem(l);
+      return { ref: refs.get(l.id) || (isBaseId(l.id) ? l.id : null), w, h, collapsed, hidden };
+    })
+    .filter((l) => l.ref);
+
+  return {
+    spec: {
+      format: DASHBOARD_SPEC_FORMAT,
+      version: DASHBOARD_SPEC_VERSION,
+      exportedAt: new Date().toISOString(),
+      dashboard: { name: dashboard.name, filters: dashboard.filters, widgets, layout },
+    },
+    skipped,
+  };
+}
+
+// -------------------- IMPORT --------------------
+// Throws when the file isn't a usable spec. Individual bad widgets are dropped and listed in problems.
+export function parseDashboardSpec(text) {
+  let raw;
+  try {
+    raw = JSON.parse(text);
+  } catch {
+    throw new Error("Not a JSON file.");
+  }
+  if (raw?.format !== DASHBOARD_SPEC_FORMAT) {
+    throw new Error(`Not a dashboard spec (expected "format": "${DASHBOARD_SPEC_FORMAT}").`);
+  }
+  const version = Number(raw.version);
+  if (!Number.isInteger(version) || version < 1 || version > DASHBOARD_SPEC_VERSION) {
+    throw new Error(`Unsupported spec version ${raw.version}; this build reads version ${DASHBOARD_SPEC_VERSION}.`);
+  }
+  const d = raw.dashboard;
+  if (!d || !Array.isArray(d.widgets)) throw new Error("Spec has no dashboard.widgets list.");
+
+  const problems = [];
+  const widgets = [];
+  const refs = new Set();
+  d.widgets.forEach((w, i) => {
+    const title = String(w?.title || w?.catalogId || `Widget ${i + 1}`);
+    const ref = String(w?.ref || "");
+    const fail = (message) => problems.push({ title, message });
+
+    if (!ref || refs.has(ref)) return fail("missing or duplicate ref");
+    if (w.catalogId) {
+      const station = w.station ? { station: String(w.station) } : {};
+      widgets.push({ ref, title, kind: w.kind, catalogId: String(w.catalogId), ...station });
+    } else if (w.builder && typeof w.builder === "object") {
+      const builder = normalizeBuilderSpec(w.builder);
+      try {
+        if (!builder.x) throw new Error("builder spec has no x dimension");
+        builderColumns(builder);
+      } catch (e) {
+        return fail(e?.message || String(e));
+      }
+      widgets.push({ ref, title, kind: builderKind(builder), builder });
+    } else if (w.query && typeof w.query === "object") {
+      try {
+        actionColumns(w.query);
+      } catch (e) {
+        return fail(e?.message || String(e));
+      }
+      const source = w.source === "supabase" && !isStationFlowAction(w.query) ? "supabase" : "local";
+      widgets.push({ ref, title, kind: "table", source, query: w.query });
+    } else {
+      return fail("has no catalogId, builder or query");
+    }
+    refs.add(ref);
+  });
+
+  const layout = (Array.isArray(d.layout) ? d.layout : [])
+    .filter((l) => refs.has(l?.ref) || isBaseId(l?.ref))
+    .map((l) => ({ ...normalizeLayoutItem({ ...l, id: l.ref }), ref: l.ref }));
+
+  return {
+    name: String(d.name || "").trim() || "Imported",
+    filters: normalizeDashboardFilters(d.filters),
+    widgets,
+    layout,
+    problems,
+  };
+}
+
+// Columns the filter bar state reads.
+function dashboardFilterColumns(f) {
+  const cols = [];
+  if (f.dateFrom || f.dateTo || f.days.length) cols.push("started_at");
+  if (f.riderTypes.length) cols.push("member_casual");
+  if (f.rideableTypes.length) cols.push("rideable_type");
+  if (f.startStations.length) cols.push("start_station_name");
+  return cols;
+}
+
+// Widgets (and filters) that read columns the current dataset lacks, plus unknown catalog ids.
+// catalog: id -> { columns } for the catalog this build ships.
+export function checkSpecColumns(parsed, datasetColumns, catalog) {
+  const available = new Set(datasetColumns || []);
+  // A derived column (duration_min, …) is fine when the raw columns it's computed from exist.
+  const missingOf = (cols) => [
+    ...new Set(cols.flatMap((c) => (available.has(c) ? [] : sourceColumns(c).filter((s) => !available.has(s))))),
+  ];
+
+  const missing = [];
+  const unknown = [];
+  for (const w of parsed.widgets) {
+    let cols;
+    if (w.catalogId) {
+      const def = catalog.get(w.catalogId);
+      if (!def) {
+        unknown.push(w.title);
+        continue;
+      }
+      cols = def.columns || [];
+    } else {
+      cols = w.builder ? builderColumns(w.builder) : actionColumns(w.query);
+    }
+    const gone = missingOf(cols);
+    if (gone.length) missing.push({ title: w.title, columns: gone });
+  }
+  const filterGone = missingOf(dashboardFilterColumns(parsed.filters));
+  if (filterGone.length) missing.push({ title: "Dashboard filters", columns: filterGone });
+
+  return { missing, unknown };
+}
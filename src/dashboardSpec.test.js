@@ -0,0 +1,118 @@
+import { describe, expect, it } from "vitest";
+import { buildDashboardSpec, checkSpecColumns, parseDashboardSpec } from "./dashboardSpec.js";
+
+const dashboard = {
+  name: "Ops",
+  filters: { days: [0, 1, 2, 3, 4], riderTypes: ["member"] },
+  widgets: [
+    { id: "a", title: "Flow", kind: "chart", catalogId: "w_station_flow_by_hour", station: "Grove St" },
+    { id: "b", title: "By hour", kind: "chart", builder: { chartType: "line", x: "start_hour" } },
+    {
+      id: "c",
+      title: "Long rides",
+      kind: "table",
+      source: "local",
+      query: {
+        filters: [{ column: "duration_min", operator: "gt", value: 60 }],
+        groupBy: ["start_station_name"],
+        limit: 20,
+        offset: 40,
+      },
+    },
+    {
+      id: "d",
+      title: "Casual rides",
+      kind: "table",
+      source: "supabase",
+      query: { table: "trips", filters: [{ column: "member_casual", operator: "eq", value: "casual" }], limit: 50 },
+    },
+    { id: "e", title: "Snapshot", kind: "chart", payload: { chartType: "bar", data: [] } },
+  ],
+  layout: [
+    { id: "base_hourly", w: 2, h: "l" },
+    { id: "b", w: 1, h: "s", collapsed: true },
+    { id: "e", w: 1, h: "m" },
+  ],
+};
+
+describe("dashboard spec", () => {
+  it("round-trips catalog, builder and query widgets with their layout", () => {
+    const { spec, skipped } = buildDashboardSpec(dashboard);
+    expect(skipped).toEqual(["Snapshot"]);
+
+    const parsed = parseDashboardSpec(JSON.stringify(spec));
+    expect(parsed.problems).toEqual([]);
+    expect(parsed.name).toBe("Ops");
+    expect(parsed.filters).toMatchObject({ days: [0, 1, 2, 3, 4], riderTypes: ["member"] });
+    expect(parsed.widgets.map((w) => [w.ref, w.title, w.kind])).toEqual([
+      ["w1", "Flow", "chart"],
+      ["w2", "By hour", "chart"],
+      ["w3", "Long rides", "table"],
+      ["w4", "Casual rides", "table"],
+    ]);
+    expect(parsed.widgets[0]).toMatchObject({ catalogId: "w_station_flow_by_hour", station: "Grove St" });
+    expect(parsed.widgets[1].builder).toMatchObject({ chartType: "line", x: "start_hour" });
+    expect(parsed.widgets[2].query).toMatchObject({ groupBy: ["start_station_name"], limit: 20 });
+    expect(parsed.widgets[2].query).not.toHaveProperty("offset");
+    expect(parsed.widgets[3]).toMatchObject({ source: "supabase", query: { table: "trips", limit: 50 } });
+    expect(parsed.layout.map((l) => [l.ref, l.w, l.h, l.collapsed])).toEqual([
+      ["base_hourly", 2, "l", false],
+      ["w2", 1, "s", true],
+    ]);
+  });
+
+  it("keeps station_flow tool queries, without the page offset", () => {
+    const { spec } = buildDashboardSpec({
+      name: "Rebalancing",
+      widgets: [
+        {
+          id: "a",
+          title: "Drains",
+          kind: "table",
+          source: "local",
+          query: { tool: "station_flow", direction: "drain", hours: [6, 10], offset: 40 },
+        },
+      ],
+      layout: [],
+    });
+    const [w] = parseDashboardSpec(JSON.stringify(spec)).widgets;
+    expect(w.query).toMatchObject({ tool: "station_flow", direction: "drain", hours: [6, 10] });
+    expect(w.query).not.toHaveProperty("offset");
+  });
+
+  it("rejects files that are not a spec this build reads", () => {
+    expect(() => parseDashboardSpec("{")).toThrow(/Not a JSON file/);
+    expect(() => parseDashboardSpec(JSON.stringify({ format: "other" }))).toThrow(/Not a dashboard spec/);
+    expect(() => parseDashboardSpec(JSON.stringify({ format: "dashpilot.dashboard", version: 99 }))).toThrow(
+      /Unsupported spec version/
+    );
+  });
+
+  it("drops bad widgets and lists them as problems", () => {
+    const text = JSON.stringify({
+      format: "dashpilot.dashboard",
+      version: 1,
+      dashboard: {
+        widgets: [
+          { ref: "w1", title: "Day of week", catalogId: "w_trips_by_dow", kind: "chart" },
+          { ref: "w1", title: "Twin", catalogId: "w_trips_by_dow", kind: "chart" },
+          { ref: "w2", title: "Bad filter", query: { filters: [{ column: "x", operator: "approx" }] } },
+          { ref: "w3", title: "Empty" },
+        ],
+      },
+    });
+    const parsed = parseDashboardSpec(text);
+    expect(parsed.widgets.map((w) => w.ref)).toEqual(["w1"]);
+    expect(parsed.problems.map((p) => p.title)).toEqual(["Twin", "Bad filter", "Empty"]);
+  });
+
+  it("reports columns the dataset lacks, accepting derived columns it can compute", () => {
+    const parsed = parseDashboardSpec(JSON.stringify(buildDashboardSpec(dashboard).spec));
+    const catalog = new Map([["w_station_flow_by_hour", { columns: ["started_at", "ended_at"] }]]);
+    const check = checkSpecColumns(parsed, ["started_at", "ended_at", "start_station_name", "end_station_name"], catalog);
+    expect(check.missing).toEqual([
+      { title: "Casual rides", columns: ["member_casual"] },
+      { title: "Dashboard filters", columns: ["member_casual"] },
+    ]);
+  });
+});
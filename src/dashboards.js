@@ -0,0 +1,123 @@
+// Named dashboards: each has its own pinned widgets, grid layout and filter bar state.
+//
+// state: { activeId, dashboards: [{ id, name, widgets, layout, filters }] }
+import { EMPTY_DASHBOARD_FILTERS, normalizeDashboardFilters } from "./localAggregates.js";
+import { normalizeLayoutItem } from "./dashboardLayout.js";
+
+export const DEFAULT_DASHBOARD_NAME = "Main";
+
+function newId(prefix) {
+  return `${prefix}_${Date.now()}_${Math.random().toString(16).slice(2)}`;
+}
+
+export function createDashboard(name, init = {}) {
+  return {
+    id: newId("db"),
+    name: String(name || DEFAULT_DASHBOARD_NAME).trim() || DEFAULT_DASHBOARD_NAME,
+    widgets: init.widgets || [],
+    layout: init.layout || [],
+    filters: normalizeDashboardFilters(init.filters || EMPTY_DASHBOARD_FILTERS),
+  };
+}
+
+export function normalizeDashboard(d) {
+  if (!d || typeof d !== "object" || !d.id) return null;
+  return {
+    id: String(d.id),
+    name: String(d.name || "").trim() || DEFAULT_DASHBOARD_NAME,
+    widgets: Array.isArray(d.widgets) ? d.widgets : [],
+    layout: (Array.isArray(d.layout) ? d.layout : []).map(normalizeLayoutItem).filter((l) => l.id),
+    filters: normalizeDashboardFilters(d.filters),
+  };
+}
+
+export function initialDashboards() {
+  const main = createDashboard(DEFAULT_DASHBOARD_NAME);
+  return { activeId: main.id, dashboards: [main] };
+}
+
+// Always returns a usable state: at least one dashboard, unique names and an activeId that exists.
+export function normalizeDashboards(state) {
+  const dashboards = [];
+  for (const d of (state?.dashboards || []).map(normalizeDashboard).filter(Boolean)) {
+    dashboards.push({ ...d, name: uniqueDashboardName({ dashboards }, d.name) });
+  }
+  if (!dashboards.length) return initialDashboards();
+  const activeId = dashboards.some((d) => d.id === state.activeId) ? state.activeId : dashboards[0].id;
+  return { activeId, dashboards };
+}
+
+export function activeDashboard(state) {
+  return state.dashboards.find((d) => d.id === state.activeId) || state.dashboards[0];
+}
+
+// fn(dashboard) returns the fields to change.
+export function patchDashboard(state, id, fn) {
+  return { ...state, dashboards: state.dashboards.map((d) => (d.id === id ? { ...d, ...fn(d) } : d)) };
+}
+
+// Case-insensitive; "Marketing board" / "marketing dashboard" match a dashboard named "Marketing".
+// An exact name wins, so a link's board= always finds the board it was made from.
+export function findDashboardByName(state, name) {
+  const clean = (s) =>
+    String(s || "")
+      .toLowerCase()
+      .replace(/\b(board|dashboard)\b/g, "")
+      .trim();
+  const exact = String(name || "").trim().toLowerCase();
+  const wanted = clean(name);
+  if (!exact) return null;
+  return (
+    state.dashboards.find((d) => d.name.toLowerCase() === exact) ||
+    (wanted && state.dashboards.find((d) => clean(d.name) === wanted)) ||
+    null
+  );
+}
+
+// Names are unique (case-insensitively): the URL hash picks a board by name. exceptId is the board being renamed.
+export function uniqueDashboardName(state, base, exceptId) {
+  const names = new Set(state.dashboards.filter((d) => d.id !== exceptId).map((d) => d.name.toLowerCase()));
+  const root = String(base || "Dashboard").trim() || "Dashboard";
+  if (!names.has(root.toLowerCase())) return root;
+  let n = 2;
+  while (names.has(`${root} ${n}`.toLowerCase())) n += 1;
+  return `${root} ${n}`;
+}
+
+// A name another dashboard already has gets numbered ("Ops" → "Ops 2"); a blank name is ignored.
+export function renameDashboard(state, id, name) {
+  const clean = String(name || "").trim();
+  if (!clean) return state;
+  return patchDashboard(state, id, () => ({ name: uniqueDashboardName(state, clean, id) }));
+}
+
+// Widgets get fresh ids (and the layout follows them) so the copy can diverge freely.
+export function duplicateDashboard(state, id) {
+  const src = state.dashboards.find((d) => d.id === id);
+  if (!src) return state;
+  const ids = new Map(src.widgets.map((w) => [w.id, newId("w")]));
+  const copy = createDashboard(uniqueDashboardName(state, `${src.name} copy`), {
+    widgets: src.widgets.map((w) => ({ ...w, id: ids.get(w.id) })),
+    layout: src.layout.map((l) => ({ ...l, id: ids.get(l.id) || l.id })),
+    filters: src.filters,
+  });
+  const at = state.dashboards.indexOf(src) + 1;
+  const dashboards = [...state.dashboards.slice(0, at), copy, ...state.dashboards.slice(at)];
+  return { activeId: copy.id, dashboards };
+}
+
+export function deleteDashboard(state, id) {
+  if (state.dashboards.length <= 1) return state;
+  const at = state.dashboards.findIndex((d) => d.id === id);
+  const dashboards = state.dashboards.filter((d) => d.id !== id);
+  const activeId =
+    state.activeId === id ? dashboards[Math.min(Math.max(0, at), dashboards.length - 1)].id : state.activeId;
+  return { activeId, dashboards };
+}
+
+// Opens the dashboard named (when it exists) and applies filters to it (when given).
+export function openDashboardView(state, { board, filters }) {
+  const target = (board && findDashboardByName(state, board)) || activeDashboard(state);
+  const next = { ...state, activeId: target.id };
+  return filters ? patchDashboard(next, target.id, () => ({ filters })) : next;
+}
@@ -0,0 +1,76 @@
+import { describe, expect, it } from "vitest";
+import {
+  createDashboard,
+  deleteDashboard,
+  duplicateDashboard,
+  findDashboardByName,
+  normalizeDashboards,
+  renameDashboard,
+  uniqueDashboardName,
+} from "./dashboards.js";
+
+function state() {
+  const main = createDashboard("Main", { widgets: [{ id: "w1" }], layout: [{ id: "w1", w: 2 }, { id: "base_hourly" }] });
+  const ops = createDashboard("Ops");
+  return { activeId: main.id, dashboards: [main, ops] };
+}
+
+describe("dashboards", () => {
+  it("always normalizes to at least one dashboard with a valid active id", () => {
+    const empty = normalizeDashboards(null);
+    expect(empty.dashboards.map((d) => d.name)).toEqual(["Main"]);
+    expect(empty.activeId).toBe(empty.dashboards[0].id);
+    expect(normalizeDashboards({ activeId: "nope", dashboards: [{ id: "a", name: " " }] })).toMatchObject({
+      activeId: "a",
+      dashboards: [{ id: "a", name: "Main" }],
+    });
+  });
+
+  it("finds a dashboard by loose name", () => {
+    const s = state();
+    expect(findDashboardByName(s, "ops board")).toBe(s.dashboards[1]);
+    expect(findDashboardByName(s, "dashboard")).toBeNull();
+  });
+
+  it("finds the exact name before a loose match", () => {
+    const s = state();
+    const board = createDashboard("Ops board");
+    const next = { ...s, dashboards: [...s.dashboards, board] };
+    expect(findDashboardByName(next, "Ops board")).toBe(board);
+    expect(findDashboardByName(next, "ops")).toBe(s.dashboards[1]);
+  });
+
+  it("keeps names unique on rename and load", () => {
+    const s = state();
+    const [main, ops] = s.dashboards;
+    expect(renameDashboard(s, ops.id, " MAIN ").dashboards[1].name).toBe("MAIN 2");
+    expect(renameDashboard(s, ops.id, "OPS").dashboards[1].name).toBe("OPS");
+    expect(renameDashboard(s, ops.id, " ")).toBe(s);
+    const loaded = normalizeDashboards({ activeId: main.id, dashboards: [main, { ...ops, name: "main" }] });
+    expect(loaded.dashboards.map((d) => d.name)).toEqual(["Main", "main 2"]);
+  });
+
+  it("numbers a name that is taken", () => {
+    const s = state();
+    expect(uniqueDashboardName(s, "ops")).toBe("ops 2");
+    expect(uniqueDashboardName(s, "Sales")).toBe("Sales");
+  });
+
+  it("duplicates with fresh widget ids and activates the copy next to its source", () => {
+    const s = state();
+    const next = duplicateDashboard(s, s.dashboards[0].id);
+    const copy = next.dashboards[1];
+    expect(next.activeId).toBe(copy.id);
+    expect(copy.name).toBe("Main copy");
+    expect(copy.widgets[0].id).not.toBe("w1");
+    expect(copy.layout.map((l) => l.id)).toEqual([copy.widgets[0].id, "base_hourly"]);
+  });
+
+  it("deletes, moving the active tab, but never the last dashboard", () => {
+    const s = state();
+    const next = deleteDashboard(s, s.activeId);
+    expect(next.dashboards.map((d) => d.name)).toEqual(["Ops"]);
+    expect(next.activeId).toBe(next.dashboards[0].id);
+    expect(deleteDashboard(next, next.activeId)).toBe(next);
+  });
+});
@@ -0,0 +1,184 @@
+// Derived trip columns: computed from the raw CSV fields on demand, usable by name
+// anywhere a real column is (filters, orderBy, columns, groupBy, aggregates, widgets).
+import { DOW_SHORT, DURATION_BUCKETS, dateKey, dowIndex, monthKey, safeDate, stationName } from "./localAggregates.js";
+
+// -------------------- HELPERS --------------------
+const EARTH_RADIUS_KM = 6371;
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+export function coord(v) {
+  if (v == null || v === "") return null;
+  const n = Number(v);
+  return Number.isFinite(n) ? n : null;
+}
+export function haversineKm(lat1, lng1, lat2, lng2) {
+  const rad = (d) => (d * Math.PI) / 180;
+  const dLat = rad(lat2 - lat1);
+  const dLng = rad(lng2 - lng1);
+  const a = Math.sin(dLat / 2) ** 2 + Math.cos(rad(lat1)) * Math.cos(rad(lat2)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+function durationMin(r) {
+  if (r?.__durMin != null) return r.__durMin;
+  const s = safeDate(r?.started_at);
+  const e = safeDate(r?.ended_at);
+  return s && e ? (e - s) / 60000 : null;
+}
+function distanceKm(r) {
+  const lat1 = coord(r?.start_lat);
+  const lng1 = coord(r?.start_lng);
+  const lat2 = coord(r?.end_lat);
+  const lng2 = coord(r?.end_lng);
+  if (lat1 == null || lng1 == null || lat2 == null || lng2 == null) return null;
+  return haversineKm(lat1, lng1, lat2, lng2);
+}
+function started(r) {
+  return safeDate(r?.started_at);
+}
+
+// -------------------- REGISTRY --------------------
+// requires: the raw CSV columns a derived value is computed from.
+// sortValue (optional) maps a value to something that orders correctly (e.g. Mon..Sun).
+// domain (optional) is every value in order, for axes that should show empty slots (charts, heatmaps).
+export const DERIVED_COLUMNS = [
+  {
+    name: "duration_min",
+    type: "number",
+    description: "trip duration in minutes",
+    requires: ["started_at", "ended_at"],
+    get: (r) => {
+      const d = durationMin(r);
+      return d == null ? null : round2(d);
+    },
+  },
+  {
+    name: "duration_bucket",
+    type: "string",
+    description: `trip duration band in minutes: ${DURATION_BUCKETS.map((b) => b.label).join(", ")}`,
+    requires: ["started_at", "ended_at"],
+    get: (r) => {
+      const d = durationMin(r);
+      return d == null ? null : DURATION_BUCKETS.find((b) => d >= b.min && d < b.max)?.label ?? null;
+    },
+    sortValue: (v) => DURATION_BUCKETS.findIndex((b) => b.label === v),
+    domain: DURATION_BUCKETS.map((b) => b.label),
+  },
+  {
+    name: "start_hour",
+    type: "number",
+    description: "hour of day the trip started, 0–23",
+    requires: ["started_at"],
+    get: (r) => started(r)?.getHours() ?? null,
+    domain: Array.from({ length: 24 }, (_, h) => h),
+  },
+  {
+    name: "start_dow",
+    type: "string",
+    description: "day of week the trip started: Mon, Tue, Wed, Thu, Fri, Sat, Sun",
+    requires: ["started_at"],
+    get: (r) => {
+      const s = started(r);
+      return s ? DOW_SHORT[dowIndex(s)] : null;
+    },
+    sortValue: (v) => DOW_SHORT.indexOf(v),
+    domain: DOW_SHORT,
+  },
+  {
+    name: "start_date",
+    type: "date",
+    description: "local start date, YYYY-MM-DD",
+    requires: ["started_at"],
+    get: (r) => {
+      const s = started(r);
+      return s ? dateKey(s) : null;
+    },
+  },
+  {
+    name: "month",
+    type: "string",
+    description: "start month, YYYY-MM",
+    requires: ["started_at"],
+    get: (r) => {
+      const s = started(r);
+      return s ? monthKey(s) : null;
+    },
+  },
+  {
+    name: "is_round_trip",
+    type: "boolean",
+    description: "true when the trip ends at the station it started from",
+    requires: ["start_station_name", "end_station_name"],
+    get: (r) => {
+      const a = String(r?.start_station_name ?? "").trim();
+      return !!a && a === String(r?.end_station_name ?? "").trim();
+    },
+  },
+  {
+    name: "route",
+    type: "string",
+    description: "start and end station, \"Start → End\"",
+    requires: ["start_station_name", "end_station_name"],
+    get: (r) => `${stationName(r?.start_station_name)} → ${stationName(r?.end_station_name)}`,
+  },
+  {
+    name: "start_station",
+    type: "string",
+    description: "start station name, trimmed, \"Unknown\" when missing",
+    requires: ["start_station_name"],
+    get: (r) => stationName(r?.start_station_name),
+  },
+  {
+    name: "distance_km",
+    type: "number",
+    description: "straight-line (haversine) distance from start to end lat/lng, km",
+    requires: ["start_lat", "start_lng", "end_lat", "end_lng"],
+    get: (r) => {
+      const d = distanceKm(r);
+      return d == null ? null : round2(d);
+    },
+  },
+  {
+    name: "avg_speed_kmh",
+    type: "number",
+    description: "distance_km divided by duration, km/h",
+    requires: ["started_at", "ended_at", "start_lat", "start_lng", "end_lat", "end_lng"],
+    get: (r) => {
+      const d = distanceKm(r);
+      const m = durationMin(r);
+      return d == null || !(m > 0) ? null : round2(d / (m / 60));
+    },
+  },
+];
+
+const BY_NAME = new Map(DERIVED_COLUMNS.map((c) => [c.name, c]));
+
+export function isDerivedColumn(name) {
+  return BY_NAME.has(name);
+}
+
+// Raw columns a query column depends on: itself, or what a derived column is computed from.
+export function sourceColumns(name) {
+  return BY_NAME.get(name)?.requires || [name];
+}
+
+// Real fields win (so a CSV or a grouped result that already has the key is read as-is).
+export function readColumn(row, name) {
+  if (row == null) return undefined;
+  if (Object.prototype.hasOwnProperty.call(row, name)) return row[name];
+  const def = BY_NAME.get(name);
+  return def ? def.get(row) : undefined;
+}
+
+export function columnDomain(name) {
+  return BY_NAME.get(name)?.domain || null;
+}
+
+// Value to sort by for a column (day names sort Mon..Sun, everything else as-is).
+export function readSortValue(row, name) {
+  const v = readColumn(row, name);
+  const def = BY_NAME.get(name);
+  return def?.sortValue && v != null ? def.sortValue(v) : v;
+}
@@ -0,0 +1,87 @@
+// Chart drill-down and cross-filtering: a clicked chart element → the filter that selects its trips.
+// Charts opt in by carrying drill metadata next to their data:
+//
+// drill: { x, xValues: [raw x per data point], xFilters?: [filter per data point], splitBy?,
+//          splitValues?: { seriesKey: raw value }, filters?, facetBy?, facetValues?: [raw value per data point] }
+// facetBy is a second per-point dimension: a heatmap's grid, a sankey link's destination.
+// xFilters replaces "x = value" for points that stand for more than one value (e.g. every non-member rider).
+import { applyLocalFilters, groupRows } from "./localQuery.js";
+
+export const DRILL_COLUMNS = [
+  "started_at",
+  "start_station_name",
+  "end_station_name",
+  "member_casual",
+  "rideable_type",
+  "duration_min",
+  "distance_km",
+];
+
+function equals(column, value) {
+  return value == null || value === "" ? { column, operator: "is_null" } : { column, operator: "eq", value };
+}
+
+// → { filters, label, value, splitValue, facetValue } for data point index (and the series clicked, for
+// split charts), or null. The values are raw, so the point can be found again after a rebuild.
+export function drillSelection(drill, index, seriesKey) {
+  if (!drill?.x || !Array.isArray(drill.xValues) || index < 0 || index >= drill.xValues.length) return null;
+  const value = drill.xValues[index];
+  const filters = [...(drill.filters || []), drill.xFilters?.[index] || equals(drill.x, value)];
+  const parts = [`${drill.x} = ${value ?? "(empty)"}`];
+  const facet = drill.facetBy && Array.isArray(drill.facetValues) ? drill.facetValues[index] : undefined;
+  if (facet !== undefined) {
+    filters.push(equals(drill.facetBy, facet));
+    parts.push(`${drill.facetBy} = ${facet ?? "(empty)"}`);
+  }
+  const split = drill.splitBy && seriesKey != null ? drill.splitValues?.[seriesKey] : undefined;
+  if (split !== undefined) {
+    filters.push(equals(drill.splitBy, split));
+    parts.push(`${drill.splitBy} = ${split ?? "(empty)"}`);
+  }
+  return { filters, label: parts.join(" · "), value, splitValue: split, facetValue: facet };
+}
+
+// Where a selection sits in a (re)built chart: { index, seriesKey? }, or null when it's gone.
+export function drillHighlight(drill, selection) {
+  if (!drill?.xValues || !selection) return null;
+  const index = drill.xValues.findIndex(
+    (v, i) =>
+      (v ?? null) === (selection.value ?? null) &&
+      (selection.facetValue === undefined || (drill.facetValues?.[i] ?? null) === (selection.facetValue ?? null))
+  );
+  if (index < 0) return null;
+  const seriesKey =
+    selection.splitValue !== undefined
+      ? Object.keys(drill.splitValues || {}).find((k) => drill.splitValues[k] === selection.splitValue)
+      : undefined;
+  return { index, seriesKey };
+}
+
+// The station a selection picks (a clicked map station or station bar), or null.
+export function selectionStation(selection) {
+  const leaf = (selection?.filters || []).find(
+    (f) => f?.operator === "eq" && (f.column === "start_station_name" || f.column === "end_station_name")
+  );
+  return leaf ? String(leaf.value) : null;
+}
+
+export function drillRows(rows, filters) {
+  return applyLocalFilters(rows || [], filters);
+}
+
+// Summary stats for the drilled rows; of = the row count the chart was drawn from.
+export function drillSummary(rows, of) {
+  const [s] = groupRows(rows, [], [
+    { fn: "count", as: "trips" },
+    { fn: "avg", column: "duration_min", as: "avgDuration" },
+    { fn: "median", column: "duration_min", as: "medianDuration" },
+    { fn: "avg", column: "distance_km", as: "avgDistance" },
+    { fn: "count_distinct", column: "start_station_name", as: "stations" },
+  ]);
+  const members = rows.filter((r) => String(r.member_casual).toLowerCase() === "member").length;
+  return {
+    ...s,
+    share: of ? (rows.length / of) * 100 : 0,
+    memberShare: rows.length ? (members / rows.length) * 100 : 0,
+  };
+}
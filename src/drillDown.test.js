@@ -0,0 +1,59 @@
+import { describe, expect, it } from "vitest";
+import { drillHighlight, drillRows, drillSelection, drillSummary } from "./drillDown.js";
+import { buildBuilderPayload } from "./widgetBuilder.js";
+
+const rows = [
+  { started_at: "2024-05-06T08:00:00", ended_at: "2024-05-06T08:10:00", member_casual: "member", start_station_name: "A" },
+  { started_at: "2024-05-06T08:30:00", ended_at: "2024-05-06T08:50:00", member_casual: "casual", start_station_name: "B" },
+  { started_at: "2024-05-07T09:00:00", ended_at: "2024-05-07T09:30:00", member_casual: "member", start_station_name: "" },
+];
+
+describe("drill-down", () => {
+  it("selects the trips behind a split chart element", () => {
+    const p = buildBuilderPayload({ chartType: "stackedBar", x: "start_hour", splitBy: "member_casual" }, rows);
+    const sel = drillSelection(p.drill, 8, "s1");
+    expect(sel.label).toBe("start_hour = 8 · member_casual = casual");
+    expect(drillRows(rows, sel.filters).map((r) => r.start_station_name)).toEqual(["B"]);
+    expect(drillRows(rows, drillSelection(p.drill, 8).filters)).toHaveLength(2);
+    expect(drillSelection(p.drill, 24)).toBeNull();
+  });
+
+  it("drills an empty value as is_null", () => {
+    const p = buildBuilderPayload({ x: "start_station_name" }, rows);
+    const sel = drillSelection(p.drill, p.drill.xValues.indexOf(""));
+    expect(sel.filters.at(-1)).toEqual({ column: "start_station_name", operator: "is_null" });
+    expect(drillRows(rows, sel.filters)).toEqual([rows[2]]);
+  });
+
+  it("uses a point's own filter when it stands for several values", () => {
+    const member = { column: "member_casual", operator: "ilike", value: "member" };
+    const drill = { x: "member_casual", xValues: ["member", "casual"], xFilters: [member, { not: member }] };
+    const others = [...rows, { ...rows[0], member_casual: null }, { ...rows[0], member_casual: "Day pass" }];
+    expect(drillRows(others, drillSelection(drill, 1).filters).map((r) => r.member_casual)).toEqual([
+      "casual",
+      null,
+      "Day pass",
+    ]);
+  });
+
+  it("finds a cross-filter selection again in a rebuilt chart", () => {
+    const spec = { chartType: "stackedBar", x: "start_station_name", splitBy: "member_casual" };
+    const full = buildBuilderPayload(spec, rows);
+    const sel = drillSelection(full.drill, full.drill.xValues.indexOf("B"), "s1");
+    expect(sel).toMatchObject({ value: "B", splitValue: "casual" });
+    const rebuilt = buildBuilderPayload(spec, rows.slice(1)).drill;
+    const casualKey = Object.keys(rebuilt.splitValues).find((k) => rebuilt.splitValues[k] === "casual");
+    expect(drillHighlight(rebuilt, sel)).toEqual({ index: rebuilt.xValues.indexOf("B"), seriesKey: casualKey });
+    expect(drillHighlight(buildBuilderPayload(spec, [rows[0], rows[2]]).drill, sel)).toBeNull();
+  });
+
+  it("summarizes the drilled trips against the chart total", () => {
+    expect(drillSummary(rows.slice(0, 2), 4)).toMatchObject({
+      trips: 2,
+      avgDuration: 15,
+      stations: 2,
+      share: 50,
+      memberShare: 50,
+    });
+  });
+});
@@ -0,0 +1,475 @@
+// Shared by the UI thread and csvWorker.js: row cleaning + dashboard aggregates.
+
+// -------------------- DATE / TEXT HELPERS --------------------
+export const DOW_SHORT = ["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"];
+export const DOW_FULL = ["Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday", "Sunday"];
+
+export function clamp(n, a, b) {
+  return Math.min(b, Math.max(a, n));
+}
+export function safeDate(x) {
+  const d = new Date(x);
+  return Number.isNaN(d.getTime()) ? null : d;
+}
+export function monthKey(d) {
+  const y = d.getFullYear();
+  const m = String(d.getMonth() + 1).padStart(2, "0");
+  return `${y}-${m}`;
+}
+// Local calendar day, YYYY-MM-DD (matches <input type="date"> values)
+export function dateKey(d) {
+  return `${monthKey(d)}-${String(d.getDate()).padStart(2, "0")}`;
+}
+export function dowIndex(d) {
+  // JS: Sun=0..Sat=6 -> Mon=0..Sun=6
+  return (d.getDay() + 6) % 7;
+}
+// A station name as the dashboard shows it: trimmed, "Unknown" when missing.
+export function stationName(v) {
+  return String(v || "Unknown").trim() || "Unknown";
+}
+export function shortText(s, max = 28) {
+  const t = String(s ?? "").trim();
+  if (!t) return "Unknown";
+  return t.length > max ? t.slice(0, max) + "…" : t;
+}
+
+// Duration histogram buckets, minutes (max is exclusive).
+export const DURATION_BUCKETS = [
+  { label: "0–5", min: 0, max: 5 },
+  { label: "5–10", min: 5, max: 10 },
+  { label: "10–15", min: 10, max: 15 },
+  { label: "15–20", min: 15, max: 20 },
+  { label: "20–30", min: 20, max: 30 },
+  { label: "30–60", min: 30, max: 60 },
+  { label: "60–120", min: 60, max: 120 },
+  { label: "120–240", min: 120, max: 240.0001 },
+  { label: "240+", min: 240.0001, max: Infinity },
+];
+
+// -------------------- ROW CLEANING --------------------
+export const DEFAULT_CLEANING_RULES = {
+  minDurationMin: 0,
+  maxDurationMin: 240,
+  requiredColumns: ["ride_id"],
+  dedupeRideId: false,
+  excludedStations: [],
+};
+
+export function normalizeCleaningRules(rules) {
+  const num = (v, fallback) => (v === "" || v == null || !Number.isFinite(Number(v)) ? fallback : Number(v));
+  const list = (v) =>
+    (Array.isArray(v) ? v : String(v ?? "").split("\n")).map((x) => String(x ?? "").trim()).filter(Boolean);
+
+  const minDurationMin = Math.max(0, num(rules?.minDurationMin, DEFAULT_CLEANING_RULES.minDurationMin));
+  const maxDurationMin = Math.max(minDurationMin, num(rules?.maxDurationMin, DEFAULT_CLEANING_RULES.maxDurationMin));
+  return {
+    minDurationMin,
+    maxDurationMin,
+    requiredColumns: rules?.requiredColumns ? list(rules.requiredColumns) : [...DEFAULT_CLEANING_RULES.requiredColumns],
+    dedupeRideId: !!rules?.dedupeRideId,
+    excludedStations: list(rules?.excludedStations),
+  };
+}
+
+export function describeCleaningRules(rules) {
+  const r = normalizeCleaningRules(rules);
+  const parts = [`duration ${r.minDurationMin > 0 ? `≥ ${r.minDurationMin}` : "> 0"} and ≤ ${r.maxDurationMin} min`];
+  if (r.requiredColumns.length) parts.push(`requires ${r.requiredColumns.join(", ")}`);
+  if (r.dedupeRideId) parts.push("deduped by ride_id");
+  if (r.excludedStations.length) parts.push(`${r.excludedStations.length} station(s) excluded`);
+  return parts.join(" · ");
+}
+
+export const DROP_REASONS = [
+  { id: "missing_required", label: "Missing required column" },
+  { id: "bad_started_at", label: "Unparsable started_at" },
+  { id: "bad_ended_at", label: "Unparsable ended_at" },
+  { id: "non_positive_duration", label: "Duration ≤ 0 min" },
+  { id: "duration_below_min", label: "Duration below minimum" },
+  { id: "duration_over_max", label: "Duration above maximum" },
+  { id: "excluded_station", label: "Excluded station" },
+  { id: "duplicate_ride_id", label: "Duplicate ride_id (deduped)" },
+];
+
+// Kept rows are still flagged for these, so they can be fixed upstream.
+export const QUALITY_FLAGS = [
+  { id: "duplicate_ride_id", label: "Duplicate ride_id" },
+  { id: "missing_start_station", label: "Missing start station name" },
+  { id: "missing_end_station", label: "Missing end station name" },
+];
+
+function isBlank(v) {
+  return v == null || String(v).trim() === "";
+}
+
+// Returns { row } with __durMin attached, or { reason, detail? } holding a DROP_REASONS id.
+// rules must already be normalized; duplicates are handled by the pipeline, which sees every row.
+export function classifyTripRow(r, rules = DEFAULT_CLEANING_RULES, excluded = null) {
+  for (const col of rules.requiredColumns) {
+    if (isBlank(r?.[col])) return { reason: "missing_required", detail: col };
+  }
+  const s = safeDate(r?.started_at);
+  if (!s) return { reason: "bad_started_at" };
+  const e = safeDate(r?.ended_at);
+  if (!e) return { reason: "bad_ended_at" };
+
+  const durMin = (e - s) / 60000;
+  if (!(durMin > 0)) return { reason: "non_positive_duration" };
+  if (durMin < rules.minDurationMin) return { reason: "duration_below_min" };
+  if (durMin > rules.maxDurationMin) return { reason: "duration_over_max" };
+
+  if (excluded?.size) {
+    const start = String(r.start_station_name ?? "").trim().toLowerCase();
+    const end = String(r.end_station_name ?? "").trim().toLowerCase();
+    if (excluded.has(start) || excluded.has(end)) return { reason: "excluded_station" };
+  }
+
+  return { row: { ...r, __durMin: durMin } };
+}
+
+// -------------------- DATA QUALITY --------------------
+const QUALITY_SAMPLE_ROWS = 25;
+const MAX_REJECTED_ROWS = 100000;
+
+// Counts drop reasons and flags; keeps a few sample rows per bucket plus the
+// rejected rows (tagged with drop_reason) for CSV download.
+export function createQualityTracker() {
+  const bucketMap = (defs) => new Map(defs.map((d) => [d.id, { count: 0, samples: [] }]));
+  const reasons = bucketMap(DROP_REASONS);
+  const flags = bucketMap(QUALITY_FLAGS);
+  const rejected = [];
+  let parsed = 0;
+  let kept = 0;
+
+  function note(bucket, row) {
+    bucket.count += 1;
+    if (bucket.samples.length < QUALITY_SAMPLE_ROWS) bucket.samples.push(row);
+  }
+
+  const counts = () => ({ rowsParsed: parsed, rowsKept: kept, rowsDropped: parsed - kept });
+
+  return {
+    reject(raw, reason, detail) {
+      parsed += 1;
+      // Every rejected row carries both tags, so the download always has a drop_detail column.
+      const tagged = { drop_reason: reason, drop_detail: detail || "", ...raw };
+      note(reasons.get(reason), tagged);
+      if (rejected.length < MAX_REJECTED_ROWS) rejected.push(tagged);
+    },
+    accept(row, { duplicate = false } = {}) {
+      parsed += 1;
+      kept += 1;
+      if (duplicate) note(flags.get("duplicate_ride_id"), row);
+      if (isBlank(row.start_station_name)) note(flags.get("missing_start_station"), row);
+      if (isBlank(row.end_station_name)) note(flags.get("missing_end_station"), row);
+    },
+    counts,
+    report: () => ({
+      ...counts(),
+      reasons: DROP_REASONS.map((d) => ({ ...d, ...reasons.get(d.id) })),
+      flags: QUALITY_FLAGS.map((d) => ({ ...d, ...flags.get(d.id) })),
+      rejected,
+      rejectedTruncated: parsed - kept > rejected.length,
+    }),
+  };
+}
+
+// -------------------- ROW SAMPLING --------------------
+// full: every valid row · sample: uniform reservoir sample (seeded) · head: first N valid rows
+export const SAMPLING_MODES = [
+  { id: "full", label: "Full data" },
+  { id: "sample", label: "Random sample" },
+  { id: "head", label: "First N rows" },
+];
+export const DEFAULT_SAMPLING = { mode: "full", size: 50000, seed: 42 };
+
+export function normalizeSampling(sampling) {
+  const mode = SAMPLING_MODES.some((m) => m.id === sampling?.mode) ? sampling.mode : DEFAULT_SAMPLING.mode;
+  const size = Math.max(1, Math.floor(Number(sampling?.size) || DEFAULT_SAMPLING.size));
+  const seed = Math.floor(Number(sampling?.seed ?? DEFAULT_SAMPLING.seed)) || 0;
+  return { mode, size, seed };
+}
+
+// mulberry32: tiny deterministic PRNG so the same seed always picks the same sample.
+export function seededRandom(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+// Streaming selector: add() cleaned rows one at a time, then rows() / info().
+export function createRowSampler(sampling) {
+  const cfg = normalizeSampling(sampling);
+  const rand = seededRandom(cfg.seed);
+  const kept = [];
+  let seen = 0;
+
+  return {
+    add(row) {
+      seen += 1;
+      if (cfg.mode === "full" || kept.length < cfg.size) {
+        kept.push(row);
+      } else if (cfg.mode === "sample") {
+        // Algorithm R: row #seen replaces a random slot with probability size/seen.
+        const j = Math.floor(rand() * seen);
+        if (j < cfg.size) kept[j] = row;
+      }
+    },
+    rows: () => kept,
+    info: () => ({ ...cfg, validTotal: seen, used: kept.length }),
+  };
+}
+
+// -------------------- DASHBOARD FILTERS --------------------
+// Global filter bar state. Empty lists / strings mean "no constraint".
+export const EMPTY_DASHBOARD_FILTERS = {
+  dateFrom: "",
+  dateTo: "",
+  days: [], // DOW indices, Mon=0..Sun=6
+  riderTypes: [],
+  rideableTypes: [],
+  startStations: [],
+};
+
+export function normalizeDashboardFilters(f) {
+  const list = (v) => (Array.isArray(v) ? v : v == null || v === "" ? [] : [v]).map((x) => String(x).trim()).filter(Boolean);
+  const day = (v) => (/^\d{4}-\d{2}-\d{2}$/.test(String(v || "")) ? String(v) : "");
+  const days = (Array.isArray(f?.days) ? f.days : []).map(Number).filter((d) => Number.isInteger(d) && d >= 0 && d <= 6);
+  return {
+    dateFrom: day(f?.dateFrom),
+    dateTo: day(f?.dateTo),
+    days: Array.from(new Set(days)).sort((a, b) => a - b),
+    riderTypes: list(f?.riderTypes).map((x) => x.toLowerCase()),
+    rideableTypes: list(f?.rideableTypes),
+    startStations: list(f?.startStations),
+  };
+}
+
+export function hasDashboardFilters(f) {
+  const n = normalizeDashboardFilters(f);
+  return !!(n.dateFrom || n.dateTo || n.days.length || n.riderTypes.length || n.rideableTypes.length || n.startStations.length);
+}
+
+// One chip per constraint: { key, value?, label } (key + value identify what to remove).
+export function describeDashboardFilters(f) {
+  const n = normalizeDashboardFilters(f);
+  const chips = [];
+  if (n.dateFrom || n.dateTo) {
+    chips.push({ key: "date", label: `Date: ${n.dateFrom || "…"} → ${n.dateTo || "…"}` });
+  }
+  if (n.days.length) {
+    const weekend = n.days.length === 2 && n.days[0] === 5 && n.days[1] === 6;
+    const weekdays = n.days.length === 5 && n.days.every((d, i) => d === i);
+    chips.push({
+      key: "days",
+      label: `Days: ${weekend ? "Weekends" : weekdays ? "Weekdays" : n.days.map((d) => DOW_SHORT[d]).join(", ")}`,
+    });
+  }
+  for (const v of n.riderTypes) chips.push({ key: "riderTypes", value: v, label: `Rider: ${v}` });
+  for (const v of n.rideableTypes) chips.push({ key: "rideableTypes", value: v, label: `Bike: ${v}` });
+  for (const v of n.startStations) chips.push({ key: "startStations", value: v, label: `Start: ${v}` });
+  return chips;
+}
+
+export function applyDashboardFilters(rows, f) {
+  const n = normalizeDashboardFilters(f);
+  if (!hasDashboardFilters(n)) return rows;
+  const days = new Set(n.days);
+  const riders = new Set(n.riderTypes);
+  const bikes = new Set(n.rideableTypes);
+  const stations = new Set(n.startStations.map((x) => x.toLowerCase()));
+
+  return rows.filter((r) => {
+    if (n.dateFrom || n.dateTo || days.size) {
+      const s = safeDate(r.started_at);
+      if (!s) return false;
+      const k = dateKey(s);
+      if (n.dateFrom && k < n.dateFrom) return false;
+      if (n.dateTo && k > n.dateTo) return false;
+      if (days.size && !days.has(dowIndex(s))) return false;
+    }
+    if (riders.size && !riders.has(String(r.member_casual ?? "").toLowerCase())) return false;
+    if (bikes.size && !bikes.has(String(r.rideable_type || "unknown").trim() || "unknown")) return false;
+    // The choices come from stationNames, so a missing name is picked as "Unknown".
+    if (stations.size && !stations.has(stationName(r.start_station_name).toLowerCase())) return false;
+    return true;
+  });
+}
+
+// The same constraints as local query filters (an AND list), for a query that has to match the
+// filtered view (e.g. a pinned drill-down). Rider types and start stations match case-insensitively.
+export function dashboardFilterTree(f) {
+  const n = normalizeDashboardFilters(f);
+  const anyOf = (column, values) => ({ or: values.map((value) => ({ column, operator: "ilike", value })) });
+  const out = [];
+  if (n.dateFrom) out.push({ column: "start_date", operator: "gte", value: n.dateFrom });
+  if (n.dateTo) out.push({ column: "start_date", operator: "lte", value: n.dateTo });
+  if (n.days.length) out.push({ column: "start_dow", operator: "in", value: n.days.map((d) => DOW_SHORT[d]) });
+  if (n.riderTypes.length) out.push(anyOf("member_casual", n.riderTypes));
+  if (n.rideableTypes.length) {
+    const bikes = [{ column: "rideable_type", operator: "in", value: n.rideableTypes }];
+    // A missing bike type counts as "unknown".
+    if (n.rideableTypes.includes("unknown")) bikes.push({ column: "rideable_type", operator: "is_null" });
+    out.push({ or: bikes });
+  }
+  if (n.startStations.length) out.push(anyOf("start_station", n.startStations));
+  return out;
+}
+
+// Re-derives every aggregate from the filtered rows; dataset-level facts
+// (quality report, columns, rules, filter options) stay those of the full load.
+export function deriveFilteredAggregates(local, filters) {
+  if (!local || !hasDashboardFilters(filters)) return local;
+  return deriveSubsetAggregates(local, applyDashboardFilters(local.__rows, filters));
+}
+
+// Same, for any subset of local's rows (e.g. a cross-filter selection).
+export function deriveSubsetAggregates(local, rows) {
+  const agg = aggregateCleanRows(rows, local.sampling, local.quality);
+  return {
+    ...agg,
+    columns: local.columns,
+    cleaningRules: local.cleaningRules,
+    stationNames: local.stationNames,
+    dateRange: local.dateRange,
+    filtered: { rows: rows.length, of: local.cleanCount },
+  };
+}
+
+// -------------------- LOCAL AGGREGATION --------------------
+// Row-at-a-time pipeline (clean → quality → sample) shared by computeLocalAggregates and csvWorker.js.
+export function createTripPipeline(sampling = DEFAULT_SAMPLING, cleaningRules = DEFAULT_CLEANING_RULES) {
+  const rules = normalizeCleaningRules(cleaningRules);
+  const excluded = new Set(rules.excludedStations.map((x) => x.toLowerCase()));
+  const sampler = createRowSampler(sampling);
+  const quality = createQualityTracker();
+  const seenIds = new Set();
+  let columns = null;
+
+  return {
+    push(raw) {
+      if (!columns && raw) columns = Object.keys(raw);
+      const { row, reason, detail } = classifyTripRow(raw, rules, excluded);
+      if (!row) {
+        quality.reject(raw, reason, detail);
+        return;
+      }
+
+      const id = isBlank(row.ride_id) ? null : String(row.ride_id);
+      const duplicate = id != null && seenIds.has(id);
+      if (id != null) seenIds.add(id);
+      if (duplicate && rules.dedupeRideId) {
+        quality.reject(raw, "duplicate_ride_id");
+        return;
+      }
+
+      quality.accept(row, { duplicate });
+      sampler.add(row);
+    },
+    counts: quality.counts,
+    finish: () => ({
+      ...aggregateCleanRows(sampler.rows(), sampler.info(), quality.report()),
+      columns: columns || [],
+      cleaningRules: rules,
+    }),
+  };
+}
+
+export function computeLocalAggregates(rows, sampling = DEFAULT_SAMPLING, cleaningRules = DEFAULT_CLEANING_RULES) {
+  const pipeline = createTripPipeline(sampling, cleaningRules);
+  for (const r of rows) pipeline.push(r);
+  return pipeline.finish();
+}
+
+// sampling: createRowSampler().info(); omitted means cleanRows is the full valid set.
+// quality: createQualityTracker().report(), when the rows came through the pipeline.
+export function aggregateCleanRows(cleanRows, sampling, quality) {
+  const total = cleanRows.length;
+  const members = cleanRows.filter((r) => String(r.member_casual).toLowerCase() === "member").length;
+  const casual = total - members;
+
+  // Hourly
+  const hourlyCounts = Array.from({ length: 24 }, (_, h) => ({
+    name: `${String(h).padStart(2, "0")}:00`,
+    value: 0,
+  }));
+  for (const r of cleanRows) {
+    const s = safeDate(r.started_at);
+    if (!s) continue;
+    hourlyCounts[s.getHours()].value += 1;
+  }
+
+  // DOW (+ overall date span for the filter bar)
+  const dowCounts = Array.from({ length: 7 }, (_, i) => ({ name: DOW_SHORT[i], value: 0 }));
+  let firstDay = "";
+  let lastDay = "";
+  for (const r of cleanRows) {
+    const s = safeDate(r.started_at);
+    if (!s) continue;
+    dowCounts[dowIndex(s)].value += 1;
+    const dk = dateKey(s);
+    if (!firstDay || dk < firstDay) firstDay = dk;
+    if (!lastDay || dk > lastDay) lastDay = dk;
+  }
+
+  // Rideable split
+  const rideableMap = new Map();
+  for (const r of cleanRows) {
+    const rt = String(r.rideable_type || "unknown").trim() || "unknown";
+    rideableMap.set(rt, (rideableMap.get(rt) || 0) + 1);
+  }
+  const rideableSplit = Array.from(rideableMap.entries())
+    .sort((a, b) => b[1] - a[1])
+    .map(([name, value]) => ({ name, value }));
+
+  // Stations, busiest first (filter bar suggestions)
+  const stationMap = new Map();
+  for (const r of cleanRows) {
+    const s = stationName(r.start_station_name);
+    stationMap.set(s, (stationMap.get(s) || 0) + 1);
+  }
+  const stationNames = Array.from(stationMap.entries())
+    .sort((a, b) => b[1] - a[1])
+    .map(([name]) => name);
+
+  // Avg duration
+  const avgDur = total ? cleanRows.reduce((acc, r) => acc + Number(r.__durMin || 0), 0) / total : 0;
+
+  // Peak hour
+  let peakHourIdx = 0;
+  for (let i = 1; i < 24; i++) if (hourlyCounts[i].value > hourlyCounts[peakHourIdx].value) peakHourIdx = i;
+
+  // Busiest day
+  let busiestIdx = 0;
+  for (let i = 1; i < 7; i++) if (dowCounts[i].value > dowCounts[busiestIdx].value) busiestIdx = i;
+
+  return {
+    __rows: cleanRows, // <- NEW: store rows for local fallback queries
+
+    cleanCount: total,
+    sampling: sampling || { ...DEFAULT_SAMPLING, validTotal: total, used: total },
+    quality: quality || null,
+    members,
+    casual,
+    memberRatio: total ? (members / total) * 100 : 0,
+    avgDurationMin: avgDur,
+    peakHour: `${String(peakHourIdx).padStart(2, "0")}:00`,
+    busiestDay: DOW_FULL[busiestIdx],
+    topStation: stationNames[0] || "N/A",
+
+    hourly: hourlyCounts,
+    rideableSplit,
+    stationNames,
+    dateRange: { min: firstDay, max: lastDay },
+    riderSplit: [
+      { name: "Member", value: members },
+      { name: "Casual", value: casual },
+    ],
+  };
+}
@@ -0,0 +1,153 @@
+import { describe, expect, it } from "vitest";
+import {
+  applyDashboardFilters,
+  computeLocalAggregates,
+  createRowSampler,
+  dashboardFilterTree,
+} from "./localAggregates.js";
+import { applyLocalFilters } from "./localQuery.js";
+
+function trip(id, start, minutes, extra = {}) {
+  const s = new Date(start);
+  const e = new Date(s.getTime() + minutes * 60000);
+  return {
+    ride_id: id,
+    started_at: start,
+    ended_at: Number.isNaN(e.getTime()) ? "" : e.toISOString(),
+    start_station_name: "A",
+    end_station_name: "B",
+    member_casual: "member",
+    rideable_type: "classic_bike",
+    ...extra,
+  };
+}
+
+describe("createTripPipeline (via computeLocalAggregates)", () => {
+  const rows = [
+    trip("r1", "2024-05-06T08:00:00Z", 10),
+    trip("r2", "2024-05-06T09:00:00Z", 300),
+    trip("r3", "not a date", 10),
+    trip("", "2024-05-06T10:00:00Z", 10),
+    trip("r4", "2024-05-06T11:00:00Z", -5),
+    trip("r1", "2024-05-07T08:00:00Z", 20, { start_station_name: "" }),
+  ];
+
+  it("drops rows into their reason buckets and flags kept rows", () => {
+    const { quality, cleanCount } = computeLocalAggregates(rows);
+    const count = (list, id) => list.find((b) => b.id === id).count;
+    expect(cleanCount).toBe(2);
+    expect(quality).toMatchObject({ rowsParsed: 6, rowsKept: 2, rowsDropped: 4 });
+    expect(count(quality.reasons, "duration_over_max")).toBe(1);
+    expect(count(quality.reasons, "bad_started_at")).toBe(1);
+    expect(count(quality.reasons, "missing_required")).toBe(1);
+    expect(count(quality.reasons, "non_positive_duration")).toBe(1);
+    expect(count(quality.flags, "duplicate_ride_id")).toBe(1);
+    expect(count(quality.flags, "missing_start_station")).toBe(1);
+    expect(quality.rejected.every((r) => "drop_detail" in r)).toBe(true);
+    expect(quality.rejected.map((r) => r.drop_reason)).toEqual([
+      "duration_over_max",
+      "bad_started_at",
+      "missing_required",
+      "non_positive_duration",
+    ]);
+  });
+
+  it("applies cleaning rules: dedupe, limits and excluded stations", () => {
+    const agg = computeLocalAggregates(
+      [
+        trip("r1", "2024-05-06T08:00:00Z", 300),
+        trip("r1", "2024-05-06T09:00:00Z", 10),
+        trip("r2", "2024-05-06T10:00:00Z", 2),
+        trip("r3", "2024-05-06T11:00:00Z", 10, { end_station_name: " x " }),
+        trip("", "2024-05-06T12:00:00Z", 10),
+      ],
+      undefined,
+      { minDurationMin: 5, maxDurationMin: 400, dedupeRideId: true, excludedStations: ["X"], requiredColumns: [] }
+    );
+    const reasons = Object.fromEntries(agg.quality.reasons.map((b) => [b.id, b.count]));
+    expect(agg.cleanCount).toBe(2);
+    expect(reasons).toMatchObject({ duplicate_ride_id: 1, duration_below_min: 1, excluded_station: 1, missing_required: 0 });
+  });
+});
+
+describe("createRowSampler", () => {
+  const feed = (sampling, n) => {
+    const s = createRowSampler(sampling);
+    for (let i = 0; i < n; i++) s.add(i);
+    return s;
+  };
+
+  it("keeps every row in full mode", () => {
+    const s = feed({ mode: "full", size: 3 }, 10);
+    expect(s.rows()).toHaveLength(10);
+    expect(s.info()).toMatchObject({ mode: "full", validTotal: 10, used: 10 });
+  });
+
+  it("keeps the first N in head mode", () => {
+    expect(feed({ mode: "head", size: 3 }, 10).rows()).toEqual([0, 1, 2]);
+  });
+
+  it("samples N rows, the same ones for the same seed", () => {
+    const a = feed({ mode: "sample", size: 20, seed: 7 }, 1000).rows();
+    const b = feed({ mode: "sample", size: 20, seed: 7 }, 1000).rows();
+    const c = feed({ mode: "sample", size: 20, seed: 8 }, 1000).rows();
+    expect(a).toHaveLength(20);
+    expect(new Set(a).size).toBe(20);
+    expect(a).toEqual(b);
+    expect(a).not.toEqual(c);
+    expect(Math.max(...a)).toBeGreaterThan(20);
+  });
+});
+
+describe("applyDashboardFilters", () => {
+  const rows = [
+    trip("a", "2024-05-06 08:00:00", 10),
+    trip("b", "2024-05-07 08:00:00", 10, { member_casual: "Casual", start_station_name: " Grove St " }),
+    trip("c", "2024-05-11 08:00:00", 10, { rideable_type: "" }),
+    trip("d", "2024-05-12 08:00:00", 10, { start_station_name: "" }),
+    trip("e", "2024-05-12 09:00:00", 10, { start_station_name: null }),
+  ];
+  const ids = (f) => applyDashboardFilters(rows, f).map((r) => r.ride_id);
+
+  it("filters by local date range, weekday, rider, bike and station", () => {
+    expect(ids({ dateFrom: "2024-05-07", dateTo: "2024-05-10" })).toEqual(["b"]);
+    expect(ids({ days: [0, 5] })).toEqual(["a", "c"]);
+    expect(ids({ riderTypes: ["casual"] })).toEqual(["b"]);
+    expect(ids({ rideableTypes: ["unknown"] })).toEqual(["c"]);
+    expect(ids({ startStations: ["grove st"] })).toEqual(["b"]);
+    expect(ids({ startStations: ["Unknown"] })).toEqual(["d", "e"]);
+  });
+
+  it("returns the same rows without constraints", () => {
+    expect(applyDashboardFilters(rows, {})).toBe(rows);
+  });
+});
+
+describe("dashboardFilterTree", () => {
+  const riders = ["member", "Casual", "casual", null];
+  const bikes = ["classic_bike", "electric_bike", "", null];
+  const stations = ["A St", "b st", "C", "", null];
+  const rows = Array.from({ length: 120 }, (_, i) => ({
+    started_at: `2024-05-${String(1 + (i % 28)).padStart(2, "0")} ${String(i % 24).padStart(2, "0")}:10:00`,
+    member_casual: riders[Math.floor(i / 2) % 4],
+    rideable_type: bikes[i % 4],
+    start_station_name: stations[i % 3],
+  }));
+
+  it.each([
+    { dateFrom: "2024-05-03", dateTo: "2024-05-20" },
+    { days: [0, 2, 5] },
+    { riderTypes: ["casual"] },
+    { rideableTypes: ["unknown", "classic_bike"] },
+    { startStations: ["B St", "c"], riderTypes: ["member"] },
+    { startStations: ["unknown", "C"] },
+  ])("selects the same rows as the filter bar: %o", (filters) => {
+    const bar = applyDashboardFilters(rows, filters);
+    expect(bar.length).toBeGreaterThan(0);
+    expect(applyLocalFilters(rows, dashboardFilterTree(filters))).toEqual(bar);
+  });
+
+  it("is empty without constraints", () => {
+    expect(dashboardFilterTree({})).toEqual([]);
+  });
+});
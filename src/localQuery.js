@@ -0,0 +1,466 @@
+// Local query engine behind the Analyst's local_select tool (and the Supabase fallback).
+import { clamp, safeDate } from "./localAggregates.js";
+import { readColumn, readSortValue } from "./derivedColumns.js";
+
+// -------------------- LOCAL QUERY ENGINE (FALLBACK) --------------------
+function normalizeOperator(op) {
+  return String(op || "").toLowerCase().trim();
+}
+function isNumeric(v) {
+  return v !== null && v !== "" && typeof v !== "boolean" && !Number.isNaN(Number(v));
+}
+// Date objects and ISO-like strings ("2024-05-01", "2024-05-01 08:15:00.123", "…T08:15Z").
+// Anything looser ("Grove St 1") would go through Date's lenient parse and collide.
+const TIMESTAMP_RE = /^\d{4}-\d{2}-\d{2}(?:[ T]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?)?(?:Z|[+-]\d{2}:?\d{2})?$/;
+const DATE_ONLY_RE = /^(\d{4})-(\d{2})-(\d{2})$/;
+// A bare date is local midnight, like the trip times and dateKey (Date would read it as UTC).
+function asTimestamp(v) {
+  if (v instanceof Date) return Number.isNaN(v.getTime()) ? null : v;
+  if (typeof v !== "string" || !TIMESTAMP_RE.test(v.trim())) return null;
+  const day = DATE_ONLY_RE.exec(v.trim());
+  return day ? new Date(Number(day[1]), Number(day[2]) - 1, Number(day[3])) : safeDate(v.trim());
+}
+// Numbers compare as numbers, timestamps as dates, everything else as text.
+export function compareValues(av, bv) {
+  if (isNumeric(av) && isNumeric(bv)) return Number(av) - Number(bv);
+
+  const ad = asTimestamp(av);
+  const bd = asTimestamp(bv);
+  if (ad && bd) return ad - bd;
+
+  return String(av ?? "").localeCompare(String(bv ?? ""));
+}
+
+// -------------------- FILTER TREES --------------------
+// A filter is a leaf { column, operator, value } or a group { and: [...] } | { or: [...] } | { not: filter }.
+// A plain array is an AND group. Unknown operators are errors, never silently skipped.
+export const FILTER_OPERATORS = [
+  "eq",
+  "neq",
+  "gt",
+  "gte",
+  "lt",
+  "lte",
+  "between",
+  "in",
+  "not_in",
+  "like",
+  "ilike",
+  "startswith",
+  "is_null",
+  "not_null",
+];
+const OPERATOR_ALIASES = {
+  "=": "eq",
+  "==": "eq",
+  "!=": "neq",
+  "<>": "neq",
+  ">": "gt",
+  ">=": "gte",
+  "<": "lt",
+  "<=": "lte",
+  notin: "not_in",
+  isnull: "is_null",
+  null: "is_null",
+  notnull: "not_null",
+  is_not_null: "not_null",
+  starts_with: "startswith",
+};
+
+function canonicalOperator(op) {
+  const o = normalizeOperator(op).replace(/[\s_]+/g, "_");
+  const c = OPERATOR_ALIASES[o] || o;
+  return FILTER_OPERATORS.includes(c) ? c : null;
+}
+
+// Returns a normalized tree, or null when there is nothing to filter on. Throws on bad input.
+export function normalizeFilterTree(node) {
+  if (node == null || (Array.isArray(node) && !node.length)) return null;
+  if (Array.isArray(node)) return { and: node.map(normalizeFilterTree).filter(Boolean) };
+  if (typeof node !== "object") throw new Error(`Malformed filter: ${JSON.stringify(node)}`);
+
+  if (Array.isArray(node.and)) return { and: node.and.map(normalizeFilterTree).filter(Boolean) };
+  if (Array.isArray(node.or)) return { or: node.or.map(normalizeFilterTree).filter(Boolean) };
+  if (node.not != null) {
+    const inner = normalizeFilterTree(node.not);
+    if (!inner) throw new Error("A \"not\" filter group needs a filter inside it.");
+    return { not: inner };
+  }
+
+  if (!node.column) throw new Error(`Filter is missing a column: ${JSON.stringify(node)}`);
+  const operator = canonicalOperator(node.operator);
+  if (!operator) {
+    throw new Error(
+      `Unknown filter operator "${node.operator}" on column "${node.column}". Supported: ${FILTER_OPERATORS.join(", ")}.`
+    );
+  }
+  if (operator === "between") betweenBounds(node.value);
+  return { column: node.column, operator, value: node.value };
+}
+
+function listValues(val) {
+  return Array.isArray(val)
+    ? val.map(String)
+    : typeof val === "string"
+    ? val.split(",").map((x) => x.trim())
+    : val == null
+    ? []
+    : [String(val)];
+}
+function betweenBounds(val) {
+  const pair = Array.isArray(val)
+    ? val
+    : val && typeof val === "object"
+    ? [val.from ?? val.min, val.to ?? val.max]
+    : listValues(val);
+  if (pair.length !== 2 || pair[0] == null || pair[1] == null) {
+    throw new Error(`"between" needs two values, e.g. [low, high]; got ${JSON.stringify(val)}`);
+  }
+  return pair;
+}
+// SQL LIKE: % = any run, _ = one character.
+function likeRegex(pattern, flags) {
+  const escaped = String(pattern ?? "").replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  return new RegExp("^" + escaped.replaceAll("%", ".*").replaceAll("_", ".") + "$", flags);
+}
+function isNull(v) {
+  return v == null || v === "";
+}
+// 5 == "5", and equal timestamps match whatever their formatting; other text must match exactly.
+function valuesEqual(cell, value) {
+  if (isNull(value)) return isNull(cell);
+  if (isNull(cell)) return false;
+  if (isNumeric(cell) && isNumeric(value)) return Number(cell) === Number(value);
+  const cd = asTimestamp(cell);
+  const vd = asTimestamp(value);
+  if (cd && vd) return cd.getTime() === vd.getTime();
+  return String(cell) === String(value);
+}
+
+function compileLeaf({ column, operator, value }) {
+  const cell = (r) => readColumn(r, column);
+
+  switch (operator) {
+    case "eq":
+      return (r) => valuesEqual(cell(r), value);
+    case "neq":
+      return (r) => !valuesEqual(cell(r), value);
+    case "gt":
+      return (r) => !isNull(cell(r)) && compareValues(cell(r), value) > 0;
+    case "gte":
+      return (r) => !isNull(cell(r)) && compareValues(cell(r), value) >= 0;
+    case "lt":
+      return (r) => !isNull(cell(r)) && compareValues(cell(r), value) < 0;
+    case "lte":
+      return (r) => !isNull(cell(r)) && compareValues(cell(r), value) <= 0;
+    case "between": {
+      const [lo, hi] = betweenBounds(value);
+      return (r) => !isNull(cell(r)) && compareValues(cell(r), lo) >= 0 && compareValues(cell(r), hi) <= 0;
+    }
+    case "in": {
+      const set = new Set(listValues(value));
+      return (r) => set.has(String(cell(r)));
+    }
+    case "not_in": {
+      const set = new Set(listValues(value));
+      return (r) => !set.has(String(cell(r)));
+    }
+    case "like": {
+      const re = likeRegex(value, "");
+      return (r) => re.test(String(cell(r) ?? ""));
+    }
+    case "ilike": {
+      const re = likeRegex(value, "i");
+      return (r) => re.test(String(cell(r) ?? ""));
+    }
+    case "startswith": {
+      const prefix = String(value ?? "");
+      return (r) => String(cell(r) ?? "").startsWith(prefix);
+    }
+    case "is_null":
+      return (r) => isNull(cell(r));
+    case "not_null":
+      return (r) => !isNull(cell(r));
+    default:
+      throw new Error(`Unknown filter operator "${operator}".`);
+  }
+}
+
+function compileNode(node) {
+  if (node.and) {
+    const parts = node.and.map(compileNode);
+    return (r) => parts.every((p) => p(r));
+  }
+  if (node.or) {
+    const parts = node.or.map(compileNode);
+    return (r) => parts.some((p) => p(r));
+  }
+  if (node.not) {
+    const inner = compileNode(node.not);
+    return (r) => !inner(r);
+  }
+  return compileLeaf(node);
+}
+
+// Row predicate for a filter tree (or array); throws on unknown operators.
+export function compileFilter(filters) {
+  const tree = normalizeFilterTree(filters);
+  return tree ? compileNode(tree) : () => true;
+}
+
+export function applyLocalFilters(rows, filters) {
+  const tree = normalizeFilterTree(filters);
+  if (!tree) return rows;
+  const keep = compileNode(tree);
+  return rows.filter(keep);
+}
+
+// -------------------- SUPABASE TRANSLATION --------------------
+// Same filter trees, expressed through the PostgREST query builder. Top-level AND leaves
+// become builder filters; nested groups become logic-tree strings passed to .or().
+// Inside logic trees and in() lists, values with reserved characters must be double-quoted.
+function pgQuote(v) {
+  const s = String(v ?? "");
+  return /[,.:()"\\\s]/.test(s) ? `"${s.replace(/["\\]/g, "\\$&")}"` : s;
+}
+function pgPattern(p) {
+  return String(p ?? "").replaceAll("%", "*");
+}
+// -> [{ column, op, value }] (between expands to two conditions)
+function pgConditions({ column, operator, value }, inTree) {
+  const pgValue = inTree ? pgQuote : (v) => String(v ?? "");
+  switch (operator) {
+    case "between": {
+      const [lo, hi] = betweenBounds(value);
+      return [
+        { column, op: "gte", value: pgValue(lo) },
+        { column, op: "lte", value: pgValue(hi) },
+      ];
+    }
+    case "in":
+      return [{ column, op: "in", value: `(${listValues(value).map(pgQuote).join(",")})` }];
+    case "not_in":
+      return [{ column, op: "not.in", value: `(${listValues(value).map(pgQuote).join(",")})` }];
+    case "like":
+    case "ilike":
+      return [{ column, op: operator, value: pgValue(pgPattern(value)) }];
+    case "startswith":
+      return [{ column, op: "like", value: pgValue(`${String(value ?? "").replace(/[%_*]/g, "\\$&")}*`) }];
+    case "is_null":
+      return [{ column, op: "is", value: "null" }];
+    case "not_null":
+      return [{ column, op: "not.is", value: "null" }];
+    default:
+      return [{ column, op: operator, value: pgValue(value) }];
+  }
+}
+function pgExpr(node) {
+  if (node.and) return `and(${node.and.map(pgExpr).join(",")})`;
+  if (node.or) return `or(${node.or.map(pgExpr).join(",")})`;
+  if (node.not) {
+    const inner = node.not;
+    if (inner.and || inner.or || inner.not) return `not.${pgExpr(inner)}`;
+    return `not.${pgExpr({ and: [inner] })}`;
+  }
+  const conds = pgConditions(node, true).map((c) => `${c.column}.${c.op}.${c.value}`);
+  return conds.length === 1 ? conds[0] : `and(${conds.join(",")})`;
+}
+
+export function applySupabaseFilters(q, filters) {
+  const tree = normalizeFilterTree(filters);
+  if (!tree) return q;
+  const top = tree.and || [tree];
+  for (const node of top) {
+    if (node.column) {
+      for (const c of pgConditions(node, false)) q = q.filter(c.column, c.op, c.value);
+    } else if (node.not?.column && pgConditions(node.not, false).length === 1) {
+      const [c] = pgConditions(node.not, false);
+      q = q.filter(c.column, c.op.startsWith("not.") ? c.op.slice(4) : `not.${c.op}`, c.value);
+    } else if (node.or) {
+      q = q.or(node.or.map(pgExpr).join(","));
+    } else {
+      q = q.or(pgExpr(node));
+    }
+  }
+  return q;
+}
+
+// -------------------- ORDER / PROJECTION --------------------
+export function applyLocalOrder(rows, orderBy) {
+  const col = orderBy?.column;
+  if (!col) return rows;
+  const asc = !!orderBy?.ascending;
+
+  const sorted = [...rows].sort((a, b) => compareValues(readSortValue(a, col), readSortValue(b, col)));
+
+  return asc ? sorted : sorted.reverse();
+}
+export function pickColumns(rows, columns) {
+  const cols = Array.isArray(columns) && columns.length ? columns : null;
+  if (!cols) return rows;
+  return rows.map((r) => {
+    const out = {};
+    for (const c of cols) out[c] = readColumn(r, c);
+    return out;
+  });
+}
+
+// -------------------- GROUP BY / AGGREGATES --------------------
+export const AGGREGATE_FNS = ["count", "count_distinct", "sum", "avg", "min", "max", "median"];
+
+function round2(n) {
+  return Number.isInteger(n) ? n : Math.round(n * 100) / 100;
+}
+function numbersOf(values) {
+  const out = [];
+  for (const v of values) if (isNumeric(v)) out.push(Number(v));
+  return out;
+}
+
+// count gets the rows themselves when it names no column; like SQL count(column), it skips null / empty values.
+const AGGREGATORS = {
+  count: (values) => values.filter((v) => !isNull(v)).length,
+  count_distinct: (values) => new Set(values.map((v) => String(v ?? ""))).size,
+  sum: (values) => round2(numbersOf(values).reduce((a, b) => a + b, 0)),
+  avg: (values) => {
+    const nums = numbersOf(values);
+    return nums.length ? round2(nums.reduce((a, b) => a + b, 0) / nums.length) : null;
+  },
+  min: (values) => extreme(values, -1),
+  max: (values) => extreme(values, 1),
+  median: (values) => {
+    const nums = numbersOf(values).sort((a, b) => a - b);
+    if (!nums.length) return null;
+    const mid = Math.floor(nums.length / 2);
+    return round2(nums.length % 2 ? nums[mid] : (nums[mid - 1] + nums[mid]) / 2);
+  },
+};
+function extreme(values, sign) {
+  let best = null;
+  for (const v of values) {
+    if (v == null || v === "") continue;
+    if (best == null || compareValues(v, best) * sign > 0) best = v;
+  }
+  return best;
+}
+
+// { fn, column?, as? } -> { fn, column, as }; count without a column counts rows, with one its non-empty values.
+export function normalizeAggregates(aggregates) {
+  const list = Array.isArray(aggregates) ? aggregates : aggregates ? [aggregates] : [];
+  const out = [];
+  for (const a of list) {
+    const fn = normalizeOperator(a?.fn || a?.function || a?.op);
+    if (!AGGREGATE_FNS.includes(fn)) throw new Error(`Unknown aggregate "${a?.fn}". Use one of: ${AGGREGATE_FNS.join(", ")}.`);
+    const column = a?.column || null;
+    if (!column && fn !== "count") throw new Error(`Aggregate "${fn}" needs a column.`);
+    out.push({ fn, column, as: a?.as || (column ? `${fn}_${column}` : fn) });
+  }
+  return out.length ? out : [{ fn: "count", column: null, as: "count" }];
+}
+
+export function isGroupedAction(action) {
+  return !!((Array.isArray(action?.groupBy) ? action.groupBy.length : action?.groupBy) || action?.aggregates);
+}
+
+export function groupRows(rows, groupBy, aggregates) {
+  const keys = Array.isArray(groupBy) ? groupBy : groupBy ? [groupBy] : [];
+  const aggs = normalizeAggregates(aggregates);
+
+  const groups = new Map();
+  for (const r of rows) {
+    const gk = JSON.stringify(keys.map((k) => readColumn(r, k) ?? null));
+    let g = groups.get(gk);
+    if (!g) {
+      g = { row: r, members: [] };
+      groups.set(gk, g);
+    }
+    g.members.push(r);
+  }
+  // No groupBy = one summary row over everything (even when nothing matched).
+  if (!keys.length && !groups.size) groups.set("[]", { row: {}, members: [] });
+
+  return Array.from(groups.values()).map(({ row, members }) => {
+    const out = {};
+    for (const k of keys) out[k] = readColumn(row, k) ?? null;
+    for (const a of aggs) {
+      const values = a.column ? members.map((m) => readColumn(m, a.column)) : members;
+      out[a.as] = AGGREGATORS[a.fn](values);
+    }
+    return out;
+  });
+}
+
+// Column list for rendering a result: explicit columns, else groupBy + aggregate aliases.
+export function queryResultColumns(action) {
+  if (isGroupedAction(action)) {
+    const keys = Array.isArray(action.groupBy) ? action.groupBy : action.groupBy ? [action.groupBy] : [];
+    return [...keys, ...normalizeAggregates(action.aggregates).map((a) => a.as)].map((c) => ({ key: c, label: c }));
+  }
+  return action?.columns?.map((c) => ({ key: c, label: c })) || null;
+}
+
+// Input columns an action reads (filters, columns, groupBy, aggregates, orderBy); throws like
+// the engine does on a malformed filter or aggregate. Aggregate aliases in orderBy are not columns.
+export function queryColumns(action) {
+  const cols = new Set();
+  const walk = (node) => {
+    if (!node) return;
+    if (node.and || node.or) (node.and || node.or).forEach(walk);
+    else if (node.not) walk(node.not);
+    else cols.add(node.column);
+  };
+  walk(normalizeFilterTree(action?.filters));
+
+  const grouped = isGroupedAction(action);
+  if (grouped) {
+    const keys = Array.isArray(action.groupBy) ? action.groupBy : action.groupBy ? [action.groupBy] : [];
+    keys.forEach((k) => cols.add(k));
+    for (const a of normalizeAggregates(action.aggregates)) if (a.column) cols.add(a.column);
+  } else {
+    (Array.isArray(action?.columns) ? action.columns : []).forEach((c) => cols.add(c));
+  }
+
+  const order = action?.orderBy?.column;
+  const aliases = grouped ? new Set(normalizeAggregates(action.aggregates).map((a) => a.as)) : new Set();
+  if (order && !aliases.has(order)) cols.add(order);
+  return [...cols];
+}
+
+// -------------------- PAGINATION --------------------
+// limit is the page size; the chat re-runs the same action with another offset to browse.
+export const PAGE_LIMITS = { local: 500, supabase: 200 };
+export const LOAD_ALL_MAX = 5000;
+const DEFAULT_PAGE_SIZE = 50;
+
+// page: { offset } for one page, { all: true } for everything (capped at LOAD_ALL_MAX).
+export function resolvePage(action, page, maxPageSize) {
+  if (page?.all) return { offset: 0, pageSize: LOAD_ALL_MAX, all: true };
+  const offset = Math.max(0, Math.floor(Number(page?.offset ?? action?.offset) || 0));
+  const pageSize = action?.limit ? clamp(Number(action.limit) || 10, 1, maxPageSize) : DEFAULT_PAGE_SIZE;
+  return { offset, pageSize, all: false };
+}
+
+// Result: { rows, total, offset, pageSize, all } — total is the full match (or group) count.
+// Filter → group → order for an action, before paging and column picking.
+export function selectLocalRows(rows, action) {
+  const filtered = applyLocalFilters(rows, action.filters);
+  if (isGroupedAction(action)) {
+    const grouped = groupRows(filtered, action.groupBy, action.aggregates);
+    const firstAgg = normalizeAggregates(action.aggregates)[0].as;
+    return applyLocalOrder(grouped, action.orderBy?.column ? action.orderBy : { column: firstAgg, ascending: false });
+  }
+  return applyLocalOrder(filtered, action.orderBy);
+}
+
+export async function executeLocalSelect(action, localAgg, page) {
+  const { offset, pageSize, all } = resolvePage(action, page, PAGE_LIMITS.local);
+  if (!localAgg?.__rows?.length) return { rows: [], total: 0, offset, pageSize, all };
+  let rows = selectLocalRows(localAgg.__rows, action);
+
+  const total = rows.length;
+  rows = rows.slice(offset, offset + pageSize);
+
+  if (!isGroupedAction(action)) rows = pickColumns(rows, action.columns);
+
+  return { rows, total, offset, pageSize, all };
+}
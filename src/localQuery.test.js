@@ -0,0 +1,186 @@
+import { afterEach, describe, expect, it, vi } from "vitest";
+import {
+  applyLocalFilters,
+  applyLocalOrder,
+  compareValues,
+  executeLocalSelect,
+  groupRows,
+  queryResultColumns,
+  resolvePage,
+  selectLocalRows,
+} from "./localQuery.js";
+
+const ROWS = [
+  { id: 1, station: "Grove St 1", rider: "member", started_at: "2024-05-01 08:15:00", minutes: 5 },
+  { id: 2, station: "Hoboken 1", rider: "casual", started_at: "2024-05-01T08:15:00", minutes: "12" },
+  { id: 3, station: "Lab - NYC 1", rider: "Member", started_at: "2024-05-03 17:40:00", minutes: 30 },
+  { id: 4, station: "", rider: null, started_at: "2024-05-06 23:05:00", minutes: null },
+];
+
+const ids = (filters) => applyLocalFilters(ROWS, filters).map((r) => r.id);
+const leaf = (column, operator, value) => [{ column, operator, value }];
+
+describe("applyLocalFilters operators", () => {
+  it("eq matches text exactly, never through a lenient date parse", () => {
+    expect(ids(leaf("station", "eq", "Hoboken 1"))).toEqual([2]);
+    expect(ids(leaf("station", "eq", "X 1"))).toEqual([]);
+    expect(ids(leaf("station", "neq", "Hoboken 1"))).toEqual([1, 3, 4]);
+    expect(ids(leaf("rider", "eq", "member"))).toEqual([1]);
+  });
+
+  it("eq compares numbers as numbers and timestamps as instants", () => {
+    expect(ids(leaf("minutes", "eq", 12))).toEqual([2]);
+    expect(ids(leaf("minutes", "eq", "5"))).toEqual([1]);
+    expect(ids(leaf("started_at", "eq", "2024-05-01T08:15:00"))).toEqual([1, 2]);
+  });
+
+  it("eq / neq on an empty value test for null or blank", () => {
+    expect(ids(leaf("station", "eq", ""))).toEqual([4]);
+    expect(ids(leaf("station", "neq", ""))).toEqual([1, 2, 3]);
+  });
+
+  it("orders numbers, timestamps and text", () => {
+    expect(ids(leaf("minutes", "gt", 5))).toEqual([2, 3]);
+    expect(ids(leaf("minutes", "gte", 5))).toEqual([1, 2, 3]);
+    expect(ids(leaf("minutes", "lt", 30))).toEqual([1, 2]);
+    expect(ids(leaf("minutes", "lte", 30))).toEqual([1, 2, 3]);
+    expect(ids(leaf("started_at", "between", ["2024-05-02", "2024-05-04"]))).toEqual([3]);
+    expect(ids(leaf("minutes", "between", { from: 10, to: 40 }))).toEqual([2, 3]);
+  });
+
+  it("in / not_in take a list or comma-separated text", () => {
+    expect(ids(leaf("rider", "in", ["member", "casual"]))).toEqual([1, 2]);
+    expect(ids(leaf("rider", "in", "member, casual"))).toEqual([1, 2]);
+    expect(ids(leaf("rider", "not_in", ["member"]))).toEqual([2, 3, 4]);
+  });
+
+  it("like / ilike / startswith", () => {
+    expect(ids(leaf("station", "like", "%1"))).toEqual([1, 2, 3]);
+    expect(ids(leaf("station", "like", "Grove St _"))).toEqual([1]);
+    expect(ids(leaf("rider", "ilike", "MEMBER"))).toEqual([1, 3]);
+    expect(ids(leaf("station", "startswith", "Lab"))).toEqual([3]);
+  });
+
+  it("is_null / not_null treat blank text as null", () => {
+    expect(ids(leaf("station", "is_null"))).toEqual([4]);
+    expect(ids(leaf("rider", "not_null"))).toEqual([1, 2, 3]);
+  });
+
+  it("accepts operator aliases", () => {
+    expect(ids(leaf("minutes", ">=", 12))).toEqual([2, 3]);
+    expect(ids(leaf("rider", "!=", "casual"))).toEqual([1, 3, 4]);
+    expect(ids(leaf("station", "is not null"))).toEqual([1, 2, 3]);
+  });
+
+  it("reads derived columns", () => {
+    expect(ids(leaf("start_dow", "eq", "Mon"))).toEqual([4]);
+    expect(ids(leaf("start_hour", "eq", 8))).toEqual([1, 2]);
+  });
+
+  it("nests and / or / not groups", () => {
+    const tree = {
+      or: [
+        { and: [leaf("rider", "ilike", "member")[0], { not: leaf("minutes", "gt", 10)[0] }] },
+        leaf("rider", "eq", "casual")[0],
+      ],
+    };
+    expect(ids(tree)).toEqual([1, 2]);
+    expect(ids([])).toEqual([1, 2, 3, 4]);
+  });
+
+  it("throws on unknown operators and malformed groups", () => {
+    expect(() => ids(leaf("rider", "approx", "m"))).toThrow(/Unknown filter operator "approx"/);
+    expect(() => ids({ not: [] })).toThrow(/needs a filter/);
+    expect(() => ids(leaf("minutes", "between", [1]))).toThrow(/two values/);
+    expect(() => ids([{ operator: "eq", value: 1 }])).toThrow(/missing a column/);
+  });
+});
+
+describe("compareValues", () => {
+  describe("west of UTC", () => {
+    afterEach(() => vi.unstubAllEnvs());
+
+    it("reads a date-only filter bound as local midnight", () => {
+      vi.stubEnv("TZ", "America/New_York");
+      // 23:05 on May 6 is after UTC midnight of May 7 in New York, but still May 6 locally.
+      expect(ids(leaf("started_at", "lt", "2024-05-07"))).toEqual([1, 2, 3, 4]);
+      expect(ids(leaf("started_at", "gte", "2024-05-06"))).toEqual([4]);
+      expect(ids(leaf("started_at", "between", ["2024-05-01", "2024-05-02"]))).toEqual([1, 2]);
+      expect(compareValues("2024-05-07", new Date(2024, 4, 7))).toBe(0);
+    });
+  });
+
+  it("sorts station names as text even when they would parse as dates", () => {
+    expect(compareValues("Grove St 1", "Hoboken 1")).toBeLessThan(0);
+    expect(compareValues("2024-05-01 08:00:00", "2024-05-01T07:00:00")).toBeGreaterThan(0);
+    expect(compareValues("9", 10)).toBeLessThan(0);
+  });
+});
+
+describe("grouping and ordering", () => {
+  it("groups with aggregates", () => {
+    const out = groupRows(ROWS, ["rider"], [{ fn: "count" }, { fn: "sum", column: "minutes" }]);
+    expect(out).toEqual([
+      { rider: "member", count: 1, sum_minutes: 5 },
+      { rider: "casual", count: 1, sum_minutes: 12 },
+      { rider: "Member", count: 1, sum_minutes: 30 },
+      { rider: null, count: 1, sum_minutes: 0 },
+    ]);
+  });
+
+  it("orders weekday names Mon..Sun", () => {
+    const days = ["Sun", "Mon", "Wed"].map((d) => ({ start_dow: d }));
+    expect(applyLocalOrder(days, { column: "start_dow", ascending: true }).map((r) => r.start_dow)).toEqual([
+      "Mon",
+      "Wed",
+      "Sun",
+    ]);
+  });
+
+  it("selects, filters and orders in one action", () => {
+    const rows = selectLocalRows(ROWS, {
+      filters: leaf("minutes", "not_null"),
+      orderBy: { column: "minutes", ascending: false },
+    });
+    expect(rows.map((r) => r.id)).toEqual([3, 2, 1]);
+  });
+
+  it("summarizes everything into one row without a groupBy", () => {
+    const aggs = ["count_distinct", "avg", "min", "max", "median"].map((fn) => ({ fn, column: "minutes" }));
+    expect(groupRows(ROWS, [], aggs)).toEqual([
+      { count_distinct_minutes: 4, avg_minutes: 15.67, min_minutes: 5, max_minutes: 30, median_minutes: 12 },
+    ]);
+    expect(groupRows([], null, [{ fn: "count", as: "n" }])).toEqual([{ n: 0 }]);
+  });
+
+  it("counts only non-empty values when count names a column", () => {
+    const aggs = [{ fn: "count", as: "trips" }, { fn: "count", column: "station" }, { fn: "count", column: "rider" }];
+    expect(groupRows(ROWS, [], aggs)).toEqual([{ trips: 4, count_station: 3, count_rider: 3 }]);
+  });
+
+  it("names result columns after the keys and aggregate aliases", () => {
+    const action = { groupBy: "rider", aggregates: [{ fn: "avg", column: "minutes", as: "avg_min" }] };
+    expect(queryResultColumns(action).map((c) => c.key)).toEqual(["rider", "avg_min"]);
+  });
+
+  it("throws on unknown or column-less aggregates", () => {
+    expect(() => groupRows(ROWS, ["rider"], [{ fn: "mode", column: "minutes" }])).toThrow(/Unknown aggregate "mode"/);
+    expect(() => groupRows(ROWS, ["rider"], [{ fn: "sum" }])).toThrow(/needs a column/);
+  });
+});
+
+describe("paging", () => {
+  it("returns one page with the full match count", async () => {
+    const action = { filters: leaf("minutes", "not_null"), orderBy: { column: "id", ascending: true }, limit: 2 };
+    const first = await executeLocalSelect(action, { __rows: ROWS });
+    expect(first).toMatchObject({ total: 3, offset: 0, pageSize: 2, all: false });
+    expect(first.rows.map((r) => r.id)).toEqual([1, 2]);
+    const next = await executeLocalSelect(action, { __rows: ROWS }, { offset: 2 });
+    expect(next.rows.map((r) => r.id)).toEqual([3]);
+  });
+
+  it("clamps the page size and offset", () => {
+    expect(resolvePage({ limit: 9999, offset: -4 }, null, 500)).toEqual({ offset: 0, pageSize: 500, all: false });
+    expect(resolvePage({}, { offset: "7" }, 500)).toEqual({ offset: 7, pageSize: 50, all: false });
+  });
+});
@@ -0,0 +1,38 @@
+// Origin–destination matrix: one cell per (origin, destination[, split]) with an additive measure,
+// limited to the busiest origins and destinations. Drives the sankey chart type.
+import { groupRows } from "./localQuery.js";
+
+export const OD_MAX_STATIONS = 20;
+export const OD_MEASURE_FNS = ["count", "sum"];
+
+// measure: a normalized aggregate ({ fn, column, as }); top: how many origins / destinations to keep.
+// → { origins: [{ value, total }], destinations: [{ value, total }], cells: [{ from, to, split?, value }], total, kept }
+// Origins / destinations are ordered by total, largest first; kept is the measure inside the top cells.
+export function originDestinationMatrix(rows, { from, to, splitBy = "", measure, top = OD_MAX_STATIONS }) {
+  if (!OD_MEASURE_FNS.includes(measure.fn)) {
+    throw new Error(`Flows need an additive measure (${OD_MEASURE_FNS.join(" or ")}), not ${measure.fn}.`);
+  }
+  const keys = splitBy ? [from, to, splitBy] : [from, to];
+  const grouped = groupRows(rows || [], keys, [measure]);
+
+  const totals = (field) => {
+    const sums = new Map();
+    for (const g of grouped) sums.set(g[field], (sums.get(g[field]) || 0) + (Number(g[measure.as]) || 0));
+    return [...sums.entries()]
+      .map(([value, total]) => ({ value, total }))
+      .sort((a, b) => b.total - a.total)
+      .slice(0, Math.max(1, Math.min(OD_MAX_STATIONS, top)));
+  };
+  const origins = totals(from);
+  const destinations = totals(to);
+  const inOrigins = new Set(origins.map((o) => o.value));
+  const inDestinations = new Set(destinations.map((d) => d.value));
+
+  const cells = grouped
+    .filter((g) => inOrigins.has(g[from]) && inDestinations.has(g[to]))
+    .map((g) => ({ from: g[from], to: g[to], ...(splitBy ? { split: g[splitBy] } : {}), value: Number(g[measure.as]) || 0 }))
+    .sort((a, b) => b.value - a.value);
+
+  const total = grouped.reduce((sum, g) => sum + (Number(g[measure.as]) || 0), 0);
+  return { origins, destinations, cells, total, kept: cells.reduce((sum, c) => sum + c.value, 0) };
+}
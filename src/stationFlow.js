@@ -0,0 +1,226 @@
+// Station flow (rebalancing): departures, arrivals and net flow per station, optionally per hour /
+// weekday / date / month. A trip is a departure at its start station when it starts and an arrival
+// at its end station when it ends, so time windows apply to each event's own time.
+//
+// Behind the Analyst's station_flow tool and the rebalancing catalog widgets:
+// action: { tool: "station_flow", by, hours: [from, to], days: [0..6], stations: [name], filters,
+//           direction: "drain" | "fill" | "both", orderBy, limit, offset }
+// by: "station" (one row per station, with chronic drain / fill stats per day) | "hour" | "dow" | "date" | "month"
+import { DOW_SHORT, dateKey, dowIndex, monthKey, safeDate } from "./localAggregates.js";
+import {
+  applyLocalFilters,
+  applyLocalOrder,
+  normalizeFilterTree,
+  PAGE_LIMITS,
+  queryColumns,
+  resolvePage,
+} from "./localQuery.js";
+
+export const STATION_FLOW_TOOL = "station_flow";
+export const FLOW_PERIODS = ["station", "hour", "dow", "date", "month"];
+export const FLOW_DIRECTIONS = ["both", "drain", "fill"];
+export const STATION_FLOW_COLUMNS = ["start_station_name", "end_station_name", "started_at", "ended_at"];
+// A station drains / fills chronically when at least this share of its active days go that way.
+const CHRONIC_SHARE = 60;
+
+const PERIOD_KEY = {
+  hour: (d) => d.getHours(),
+  dow: (d) => DOW_SHORT[dowIndex(d)],
+  date: (d) => dateKey(d),
+  month: (d) => monthKey(d),
+};
+
+function numberList(v) {
+  return (Array.isArray(v) ? v : []).map(Number).filter(Number.isInteger);
+}
+
+export function normalizeFlowAction(action) {
+  const a = action || {};
+  const hours = numberList(a.hours).slice(0, 2);
+  const direction = FLOW_DIRECTIONS.includes(a.direction) ? a.direction : "both";
+  return {
+    tool: STATION_FLOW_TOOL,
+    by: FLOW_PERIODS.includes(a.by) ? a.by : "station",
+    hours: hours.length === 2 ? hours : null,
+    days: numberList(a.days).filter((d) => d >= 0 && d <= 6),
+    stations: (Array.isArray(a.stations) ? a.stations : []).map(String).filter(Boolean),
+    filters: a.filters ?? [],
+    direction,
+    orderBy: a.orderBy?.column ? a.orderBy : null,
+    limit: a.limit,
+    offset: a.offset,
+  };
+}
+
+export function isStationFlowAction(action) {
+  return action?.tool === STATION_FLOW_TOOL;
+}
+
+// Input columns, for import checks (filters may add more).
+export function stationFlowColumns(action) {
+  const a = normalizeFlowAction(action);
+  return [...new Set([...STATION_FLOW_COLUMNS, ...queryColumns({ filters: a.filters })])];
+}
+
+export function stationFlowResultColumns(action) {
+  const a = normalizeFlowAction(action);
+  const head = a.by === "station" ? ["station"] : ["station", a.by];
+  const tail = a.by === "station" ? ["avg_net_per_day", "days_active", "drain_days", "fill_days", "status"] : [];
+  return [...head, "departures", "arrivals", "net", ...tail].map((k) => ({ key: k, label: k }));
+}
+
+// Hour window [from, to] is inclusive and may wrap midnight ([22, 2]).
+function inWindow(d, a) {
+  if (a.days.length && !a.days.includes(dowIndex(d))) return false;
+  if (!a.hours) return true;
+  const h = d.getHours();
+  const [from, to] = a.hours;
+  return from <= to ? h >= from && h <= to : h >= from || h <= to;
+}
+
+// Calls visit(station, date, "departures" | "arrivals") for each event inside the action's windows.
+function forEachEvent(rows, a, visit) {
+  const only = a.stations.length ? new Set(a.stations) : null;
+  const take = (station, time, field) => {
+    if (station == null || station === "" || (only && !only.has(station))) return;
+    const d = safeDate(time);
+    if (d && inWindow(d, a)) visit(station, d, field);
+  };
+  for (const r of rows) {
+    take(r.start_station_name, r.started_at, "departures");
+    take(r.end_station_name, r.ended_at, "arrivals");
+  }
+}
+
+function statusOf(s) {
+  if (s.days_active && (s.drain_days / s.days_active) * 100 >= CHRONIC_SHARE) return "chronic drain";
+  if (s.days_active && (s.fill_days / s.days_active) * 100 >= CHRONIC_SHARE) return "chronic fill";
+  return s.net < 0 ? "drains" : s.net > 0 ? "fills" : "balanced";
+}
+
+const round2 = (n) => Math.round(n * 100) / 100;
+
+// → rows in stationFlowResultColumns order, sorted by direction (or action.orderBy). Throws on a bad filter.
+export function computeStationFlow(rows, action) {
+  const a = normalizeFlowAction(action);
+  normalizeFilterTree(a.filters);
+  const cells = new Map();
+
+  if (a.by === "station") {
+    forEachEvent(applyLocalFilters(rows || [], a.filters), a, (station, d, field) => {
+      let s = cells.get(station);
+      if (!s) cells.set(station, (s = { station, departures: 0, arrivals: 0, days: new Map() }));
+      s[field] += 1;
+      const day = dateKey(d);
+      s.days.set(day, (s.days.get(day) || 0) + (field === "arrivals" ? 1 : -1));
+    });
+  } else {
+    forEachEvent(applyLocalFilters(rows || [], a.filters), a, (station, d, field) => {
+      const period = PERIOD_KEY[a.by](d);
+      const key = JSON.stringify([station, period]);
+      let c = cells.get(key);
+      if (!c) cells.set(key, (c = { station, [a.by]: period, departures: 0, arrivals: 0 }));
+      c[field] += 1;
+    });
+  }
+
+  let out = [...cells.values()].map((c) => {
+    const row = { ...c, net: c.arrivals - c.departures };
+    if (a.by !== "station") return row;
+    const nets = [...c.days.values()];
+    delete row.days;
+    Object.assign(row, {
+      avg_net_per_day: nets.length ? round2(row.net / nets.length) : 0,
+      days_active: nets.length,
+      drain_days: nets.filter((n) => n < 0).length,
+      fill_days: nets.filter((n) => n > 0).length,
+    });
+    row.status = statusOf(row);
+    return row;
+  });
+
+  if (a.direction === "drain") out = out.filter((r) => r.net < 0);
+  if (a.direction === "fill") out = out.filter((r) => r.net > 0);
+  if (a.orderBy) return applyLocalOrder(out, a.orderBy);
+  const rank =
+    a.direction === "drain" ? (r) => r.net : a.direction === "fill" ? (r) => -r.net : (r) => -Math.abs(r.net);
+  return out.sort((x, y) => rank(x) - rank(y) || String(x.station).localeCompare(String(y.station)));
+}
+
+// Same result shape as executeLocalSelect: { rows, total, offset, pageSize, all }.
+export async function executeStationFlow(action, localAgg, page) {
+  const { offset, pageSize, all } = resolvePage(action, page, PAGE_LIMITS.local);
+  const rows = computeStationFlow(localAgg?.__rows || [], action);
+  return { rows: rows.slice(offset, offset + pageSize), total: rows.length, offset, pageSize, all };
+}
+
+// Every station with a departure or arrival in the rows, by name.
+export function flowStations(rows) {
+  const names = new Set();
+  for (const r of rows || []) {
+    if (r.start_station_name != null && r.start_station_name !== "") names.add(r.start_station_name);
+    if (r.end_station_name != null && r.end_station_name !== "") names.add(r.end_station_name);
+  }
+  return [...names].sort((a, b) => String(a).localeCompare(String(b)));
+}
+
+// The station whose flow swings most (largest |net|) inside the action's windows, or null.
+export function mostImbalancedStation(rows, action) {
+  return computeStationFlow(rows, { ...action, by: "station", direction: "both", orderBy: null })[0]?.station ?? null;
+}
+
+// -------------------- CATALOG WIDGETS --------------------
+// spec: { view: "rank" | "series", by?, direction?, hours?, days?, limit?, station? }
+// rank: the stations table. series: departures / arrivals / net over `by` (default hour) for one
+// station — spec.station, else the one passed in (picked on the widget or selected on the dashboard),
+// else the most imbalanced station in the rows. Without spec.station the series lists every station
+// with events (payload.stations) for a picker.
+const RANK_DEFAULT_LIMIT = 15;
+
+export function normalizeFlowWidgetSpec(spec) {
+  const s = spec || {};
+  const a = normalizeFlowAction({ ...s, by: s.view === "series" ? s.by || "hour" : "station" });
+  return {
+    view: s.view === "series" ? "series" : "rank",
+    by: a.by === "station" && s.view === "series" ? "hour" : a.by,
+    direction: a.direction,
+    hours: a.hours,
+    days: a.days,
+    limit: Math.max(1, Math.min(PAGE_LIMITS.local, Math.floor(Number(s.limit) || RANK_DEFAULT_LIMIT))),
+    station: s.station ? String(s.station) : "",
+  };
+}
+
+export function buildStationFlowWidget(spec, rows, selectedStation) {
+  const s = normalizeFlowWidgetSpec(spec);
+  if (s.view === "rank") {
+    const action = { by: "station", direction: s.direction, hours: s.hours, days: s.days };
+    return { columns: stationFlowResultColumns(action), rows: computeStationFlow(rows, action).slice(0, s.limit) };
+  }
+
+  const station = s.station || selectedStation || mostImbalancedStation(rows, s);
+  const why = s.station ? "" : selectedStation ? " (selected)" : " · most imbalanced";
+  const cells = station ? computeStationFlow(rows, { ...s, stations: [station] }) : [];
+  const byPeriod = new Map(cells.map((c) => [c[s.by], c]));
+  const periods =
+    s.by === "hour"
+      ? Array.from({ length: 24 }, (_, h) => h)
+      : s.by === "dow"
+      ? DOW_SHORT
+      : [...byPeriod.keys()].sort();
+  return {
+    chartType: "line",
+    data: periods.map((p) => {
+      const c = byPeriod.get(p);
+      return { name: String(p), departures: c?.departures ?? 0, arrivals: c?.arrivals ?? 0, net: c?.net ?? 0 };
+    }),
+    xKey: "name",
+    series: [
+      { key: "departures", label: "departures" },
+      { key: "arrivals", label: "arrivals" },
+      { key: "net", label: "net" },
+    ],
+    note: station ? `${station}${why}` : "No station events in these rows.",
+    ...(s.station ? {} : { stations: flowStations(rows) }),
+  };
+}
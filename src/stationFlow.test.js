@@ -0,0 +1,92 @@
+import { describe, expect, it } from "vitest";
+import { buildStationFlowWidget, computeStationFlow, normalizeFlowAction } from "./stationFlow.js";
+
+// Local times; day 6 = Mon 2024-05-06.
+function trip(from, to, day, hour, minutes = 20) {
+  const start = new Date(2024, 4, day, hour, 0);
+  const end = new Date(start.getTime() + minutes * 60000);
+  return { start_station_name: from, end_station_name: to, started_at: start.toISOString(), ended_at: end.toISOString() };
+}
+
+const ROWS = [
+  trip("Hub", "Park", 6, 8),
+  trip("Hub", "Park", 6, 8),
+  trip("Hub", "Lake", 7, 7),
+  trip("Park", "Hub", 7, 18),
+  trip("Lake", "Hub", 11, 9), // Saturday
+  trip("Hub", "Park", 8, 23, 90), // arrives after midnight
+];
+
+describe("normalizeFlowAction", () => {
+  it("defaults and sanitizes", () => {
+    expect(normalizeFlowAction({ by: "week", hours: [6, "10", 3], days: [0, 7, "4"], direction: "up" })).toMatchObject({
+      tool: "station_flow",
+      by: "station",
+      hours: [6, 10],
+      days: [0, 4],
+      direction: "both",
+    });
+  });
+});
+
+describe("computeStationFlow", () => {
+  it("counts departures and arrivals per station with drain / fill days", () => {
+    const hub = computeStationFlow(ROWS, {}).find((r) => r.station === "Hub");
+    expect(hub).toMatchObject({ departures: 4, arrivals: 2, net: -2, days_active: 4, drain_days: 2, fill_days: 1 });
+    // 2 of 4 active days drain: below the chronic share.
+    expect(hub.status).toBe("drains");
+  });
+
+  it("windows each event by its own time, wrapping midnight", () => {
+    const late = computeStationFlow(ROWS, { hours: [23, 1] });
+    expect(late.map((r) => [r.station, r.departures, r.arrivals])).toEqual([
+      ["Hub", 1, 0],
+      ["Park", 0, 1],
+    ]);
+  });
+
+  it("filters weekday mornings and ranks the biggest drain first", () => {
+    const rows = computeStationFlow(ROWS, { hours: [6, 10], days: [0, 1, 2, 3, 4], direction: "drain" });
+    expect(rows.map((r) => [r.station, r.net])).toEqual([["Hub", -3]]);
+  });
+
+  it("breaks down by hour for one station", () => {
+    const rows = computeStationFlow(ROWS, { by: "hour", stations: ["Park"], orderBy: { column: "hour", ascending: true } });
+    expect(rows.map((r) => [r.hour, r.departures, r.arrivals])).toEqual([
+      [0, 0, 1],
+      [8, 0, 2],
+      [18, 1, 0],
+    ]);
+  });
+
+  it("throws on a bad filter", () => {
+    expect(() => computeStationFlow(ROWS, { filters: [{ column: "x", operator: "nope" }] })).toThrow(/Unknown filter/);
+  });
+});
+
+describe("buildStationFlowWidget", () => {
+  it("series: a picked station wins over the most imbalanced one and lists stations for the picker", () => {
+    const auto = buildStationFlowWidget({ view: "series" }, ROWS);
+    expect(auto.note).toBe("Hub · most imbalanced");
+    expect(auto.stations).toEqual(["Hub", "Lake", "Park"]);
+    expect(auto.data).toHaveLength(24);
+
+    const picked = buildStationFlowWidget({ view: "series" }, ROWS, "Lake");
+    expect(picked.note).toBe("Lake (selected)");
+    expect(picked.data[7]).toEqual({ name: "7", departures: 0, arrivals: 1, net: 1 });
+    expect(picked.data[9]).toEqual({ name: "9", departures: 1, arrivals: 0, net: -1 });
+  });
+
+  it("series: a station fixed in the spec has no picker", () => {
+    const fixed = buildStationFlowWidget({ view: "series", station: "Park", by: "dow" }, ROWS, "Lake");
+    expect(fixed.note).toBe("Park");
+    expect(fixed.stations).toBeUndefined();
+    expect(fixed.data.map((d) => d.name)).toEqual(["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"]);
+  });
+
+  it("rank: the stations table, limited", () => {
+    const t = buildStationFlowWidget({ view: "rank", limit: 1 }, ROWS);
+    expect(t.columns[0]).toEqual({ key: "station", label: "station" });
+    expect(t.rows.map((r) => r.station)).toEqual(["Hub"]);
+  });
+});
@@ -0,0 +1,120 @@
+// Station map: stations placed by their CSV coordinates (start_lat / start_lng, end_lat / end_lng),
+// sized by trip volume and colored by net flow, plus the busiest routes as flow lines. Drawn offline:
+// an equirectangular projection scaled by cos(latitude) is accurate enough at city scale.
+//
+// payload: { chartType: "stationMap", data: [{ name, lat, lng, starts, ends, volume, net }], routes:
+//            [{ from, to, trips }], unplaced, xKey, drill }   net = arrivals − departures
+import { coord } from "./derivedColumns.js";
+
+export const STATION_MAP_COLUMNS = [
+  "start_station_name",
+  "end_station_name",
+  "start_lat",
+  "start_lng",
+  "end_lat",
+  "end_lng",
+];
+export const STATION_MAP_FLOWS = 10;
+const STATION_MAP_MAX = 600;
+const FLOWS_MAX = 50;
+const KM_PER_DEGREE = 111.32;
+const SCALE_BAR_KM = [0.1, 0.2, 0.5, 1, 2, 5, 10, 20, 50, 100];
+
+export function normalizeStationMapSpec(spec) {
+  const flows = Number(spec?.flows ?? STATION_MAP_FLOWS);
+  return { flows: Math.max(0, Math.min(FLOWS_MAX, Math.floor(Number.isFinite(flows) ? flows : STATION_MAP_FLOWS))) };
+}
+
+const round5 = (n) => Math.round(n * 1e5) / 1e5;
+
+// Coordinates per station are the mean of every start / end point recorded for it, so the odd
+// GPS-drifted e-bike row barely moves it. Stations with no usable coordinates count as unplaced.
+export function buildStationMap(rows, spec) {
+  const { flows } = normalizeStationMapSpec(spec);
+  const byName = new Map();
+  const routes = new Map();
+  const visit = (name, lat, lng, field) => {
+    if (name == null || name === "") return;
+    let s = byName.get(name);
+    if (!s) byName.set(name, (s = { name, latSum: 0, lngSum: 0, fixes: 0, starts: 0, ends: 0 }));
+    s[field] += 1;
+    const la = coord(lat);
+    const ln = coord(lng);
+    if (la == null || ln == null || (la === 0 && ln === 0)) return;
+    s.latSum += la;
+    s.lngSum += ln;
+    s.fixes += 1;
+  };
+
+  for (const r of rows || []) {
+    visit(r.start_station_name, r.start_lat, r.start_lng, "starts");
+    visit(r.end_station_name, r.end_lat, r.end_lng, "ends");
+    const from = r.start_station_name;
+    const to = r.end_station_name;
+    if (from && to && from !== to) {
+      const key = JSON.stringify([from, to]);
+      routes.set(key, (routes.get(key) || 0) + 1);
+    }
+  }
+
+  const stations = [...byName.values()];
+  const placed = stations
+    .filter((s) => s.fixes)
+    .map((s) => ({
+      name: s.name,
+      lat: round5(s.latSum / s.fixes),
+      lng: round5(s.lngSum / s.fixes),
+      starts: s.starts,
+      ends: s.ends,
+      volume: s.starts + s.ends,
+      net: s.ends - s.starts,
+    }))
+    .sort((a, b) => b.volume - a.volume)
+    .slice(0, STATION_MAP_MAX);
+  const shown = new Set(placed.map((s) => s.name));
+
+  const topRoutes = [...routes.entries()]
+    .map(([key, trips]) => {
+      const [from, to] = JSON.parse(key);
+      return { from, to, trips };
+    })
+    .filter((r) => shown.has(r.from) && shown.has(r.to))
+    .sort((a, b) => b.trips - a.trips)
+    .slice(0, flows);
+
+  return {
+    chartType: "stationMap",
+    data: placed,
+    routes: topRoutes,
+    unplaced: stations.length - placed.length,
+    xKey: "name",
+    drill: { x: "start_station_name", xValues: placed.map((s) => s.name) },
+  };
+}
+
+// Screen frame for the stations: → { points: [{ x, y }], width, height, scaleBar: { km, px } }.
+// Height follows the stations' aspect ratio within [minHeight, maxHeight].
+export function projectStations(stations, { width = 760, minHeight = 240, maxHeight = 520, pad = 28 } = {}) {
+  if (!stations.length) return { points: [], width, height: minHeight, scaleBar: null };
+  const lat0 = stations.reduce((sum, s) => sum + s.lat, 0) / stations.length;
+  const k = Math.cos((lat0 * Math.PI) / 180);
+  const xs = stations.map((s) => s.lng * k);
+  const ys = stations.map((s) => -s.lat);
+  const [minX, maxX, minY, maxY] = [Math.min(...xs), Math.max(...xs), Math.min(...ys), Math.max(...ys)];
+  // A lone station (or a line of them) still gets a ~1 km frame.
+  const spanX = Math.max(maxX - minX, 0.01);
+  const spanY = Math.max(maxY - minY, 0.01);
+  const height = Math.round(Math.min(maxHeight, Math.max(minHeight, (spanY / spanX) * (width - pad * 2) + pad * 2)));
+  const scale = Math.min((width - pad * 2) / spanX, (height - pad * 2) / spanY);
+  const offX = (width - spanX * scale) / 2 - (minX - (spanX - (maxX - minX)) / 2) * scale;
+  const offY = (height - spanY * scale) / 2 - (minY - (spanY - (maxY - minY)) / 2) * scale;
+
+  const kmPerPx = KM_PER_DEGREE / scale;
+  const km = [...SCALE_BAR_KM].reverse().find((d) => d / kmPerPx <= width * 0.2) ?? SCALE_BAR_KM[0];
+  return {
+    points: xs.map((x, i) => ({ x: offX + x * scale, y: offY + ys[i] * scale })),
+    width,
+    height,
+    scaleBar: { km, px: km / kmPerPx },
+  };
+}
@@ -0,0 +1,63 @@
+import { describe, expect, it } from "vitest";
+import { buildStationMap, normalizeStationMapSpec, projectStations } from "./stationMap.js";
+
+const trip = (from, to, [flat, flng], [tlat, tlng]) => ({
+  start_station_name: from,
+  end_station_name: to,
+  start_lat: flat,
+  start_lng: flng,
+  end_lat: tlat,
+  end_lng: tlng,
+});
+const HUB = [40.72, -74.04];
+const PARK = [40.74, -74.03];
+
+describe("buildStationMap", () => {
+  const rows = [
+    trip("Hub", "Park", HUB, PARK),
+    trip("Hub", "Park", [40.7202, -74.0402], PARK),
+    trip("Park", "Hub", PARK, HUB),
+    trip("Hub", "Nowhere", HUB, ["", ""]),
+    trip("Hub", "Hub", HUB, HUB),
+  ];
+
+  it("places stations at their mean coordinates with volume and net flow", () => {
+    const map = buildStationMap(rows);
+    expect(map.data).toEqual([
+      { name: "Hub", lat: 40.72003, lng: -74.04003, starts: 4, ends: 2, volume: 6, net: -2 },
+      { name: "Park", lat: 40.74, lng: -74.03, starts: 1, ends: 2, volume: 3, net: 1 },
+    ]);
+    expect(map.unplaced).toBe(1);
+    expect(map.drill.xValues).toEqual(["Hub", "Park"]);
+  });
+
+  it("keeps the busiest routes between placed stations, no round trips", () => {
+    expect(buildStationMap(rows).routes).toEqual([
+      { from: "Hub", to: "Park", trips: 2 },
+      { from: "Park", to: "Hub", trips: 1 },
+    ]);
+    expect(buildStationMap(rows, { flows: 1 }).routes).toHaveLength(1);
+    expect(normalizeStationMapSpec({ flows: 999 }).flows).toBe(50);
+  });
+});
+
+describe("projectStations", () => {
+  it("fits the stations inside the padded frame, north up", () => {
+    const { points, width, height, scaleBar } = projectStations(
+      [
+        { lat: HUB[0], lng: HUB[1] },
+        { lat: PARK[0], lng: PARK[1] },
+      ],
+      { width: 400 }
+    );
+    expect(width).toBe(400);
+    for (const p of points) {
+      expect(p.x).toBeGreaterThanOrEqual(28);
+      expect(p.x).toBeLessThanOrEqual(372);
+      expect(p.y).toBeGreaterThanOrEqual(28);
+      expect(p.y).toBeLessThanOrEqual(height - 28);
+    }
+    expect(points[1].y).toBeLessThan(points[0].y);
+    expect(scaleBar.px).toBeLessThanOrEqual(80);
+  });
+});
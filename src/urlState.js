@@ -0,0 +1,67 @@
+// Shareable view state in the URL hash (no server needed, so it works on GitHub Pages):
+//   #view=analyst&board=Marketing&from=2024-06-01&to=2024-06-30&days=5,6&rider=casual&bike=…&station=…&spec=…
+// spec (optional) is a base64url dashboard spec, so a link can carry its widgets too.
+import { EMPTY_DASHBOARD_FILTERS, normalizeDashboardFilters } from "./localAggregates.js";
+
+export const URL_VIEWS = ["dashboard", "analyst"];
+
+function toBase64Url(text) {
+  const bytes = new TextEncoder().encode(text);
+  let bin = "";
+  for (const b of bytes) bin += String.fromCharCode(b);
+  return btoa(bin).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+function fromBase64Url(s) {
+  const bin = atob(s.replace(/-/g, "+").replace(/_/g, "/"));
+  return new TextDecoder().decode(Uint8Array.from(bin, (c) => c.charCodeAt(0)));
+}
+
+// state: { view, board, filters, spec? } → "#…" (empty values are left out).
+export function encodeUrlState({ view, board, filters, spec }) {
+  const f = normalizeDashboardFilters(filters);
+  const p = new URLSearchParams();
+  if (view && view !== "dashboard") p.set("view", view);
+  if (board) p.set("board", board);
+  if (f.dateFrom) p.set("from", f.dateFrom);
+  if (f.dateTo) p.set("to", f.dateTo);
+  if (f.days.length) p.set("days", f.days.join(","));
+  if (f.riderTypes.length) p.set("rider", f.riderTypes.join(","));
+  if (f.rideableTypes.length) p.set("bike", f.rideableTypes.join(","));
+  for (const s of f.startStations) p.append("station", s);
+  if (spec) p.set("spec", toBase64Url(JSON.stringify(spec)));
+  const q = p.toString();
+  return q ? `#${q}` : "";
+}
+
+// → { view, board, filters (null when the hash sets none), spec (JSON text or null) }
+export function decodeUrlState(hash) {
+  const p = new URLSearchParams(String(hash || "").replace(/^#/, ""));
+  const list = (k) => (p.get(k) || "").split(",").filter(Boolean);
+  const hasFilters = ["from", "to", "days", "rider", "bike", "station"].some((k) => p.has(k));
+
+  let spec = null;
+  if (p.get("spec")) {
+    try {
+      spec = fromBase64Url(p.get("spec"));
+    } catch {
+      spec = null;
+    }
+  }
+
+  return {
+    view: URL_VIEWS.includes(p.get("view")) ? p.get("view") : "dashboard",
+    board: p.get("board") || "",
+    filters: hasFilters
+      ? normalizeDashboardFilters({
+          ...EMPTY_DASHBOARD_FILTERS,
+          dateFrom: p.get("from") || "",
+          dateTo: p.get("to") || "",
+          days: list("days").map(Number),
+          riderTypes: list("rider"),
+          rideableTypes: list("bike"),
+          startStations: p.getAll("station"),
+        })
+      : null,
+    spec,
+  };
+}
@@ -0,0 +1,46 @@
+import { describe, expect, it } from "vitest";
+import { decodeUrlState, encodeUrlState } from "./urlState.js";
+import { EMPTY_DASHBOARD_FILTERS } from "./localAggregates.js";
+
+describe("urlState", () => {
+  it("round-trips view, board and every filter", () => {
+    const state = {
+      view: "analyst",
+      board: "Marketing & Ops",
+      filters: {
+        dateFrom: "2024-06-01",
+        dateTo: "2024-06-30",
+        days: [6, 5],
+        riderTypes: ["Casual"],
+        rideableTypes: ["electric_bike"],
+        startStations: ["W 21 St & 6 Ave", "Grove St PATH"],
+      },
+    };
+    const out = decodeUrlState(encodeUrlState(state));
+    expect(out).toEqual({
+      view: "analyst",
+      board: "Marketing & Ops",
+      filters: { ...state.filters, days: [5, 6], riderTypes: ["casual"] },
+      spec: null,
+    });
+  });
+
+  it("round-trips a spec with non-ASCII text", () => {
+    const spec = { format: "dashpilot.dashboard", dashboard: { name: "Réseau → Süd", widgets: [] } };
+    const hash = encodeUrlState({ view: "dashboard", board: "", filters: EMPTY_DASHBOARD_FILTERS, spec });
+    expect(hash).toMatch(/^#spec=[\w-]+$/);
+    expect(JSON.parse(decodeUrlState(hash).spec)).toEqual(spec);
+  });
+
+  it("leaves defaults out of the hash", () => {
+    expect(encodeUrlState({ view: "dashboard", board: "", filters: EMPTY_DASHBOARD_FILTERS })).toBe("");
+    expect(decodeUrlState("")).toEqual({ view: "dashboard", board: "", filters: null, spec: null });
+  });
+
+  it("ignores unknown views, bad days and an undecodable spec", () => {
+    const out = decodeUrlState("#view=admin&days=1,9,x&spec=%%%");
+    expect(out.view).toBe("dashboard");
+    expect(out.filters.days).toEqual([1]);
+    expect(out.spec).toBeNull();
+  });
+});
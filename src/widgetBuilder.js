@@ -0,0 +1,310 @@
+// Widget builder: a small declarative spec (chart type, x dimension, measures, split-by, filters,
+// sort, top-N) turned into a ChartRenderer config or a table payload by the local query engine.
+// Pinned builder widgets keep the spec and are rebuilt from the current rows like catalog widgets.
+//
+// spec: { chartType, x, y, measures: [{ fn, column }], splitBy, filters: [leaf], sort: { by: "x" | "value", ascending }, topN }
+// y is the heatmap's column dimension (x gives its rows); a heatmap's split-by draws one grid per value.
+// A sankey draws flows from x (origins) to y (destinations) for the top-N of each, colored by split-by.
+import { columnDomain } from "./derivedColumns.js";
+import { OD_MAX_STATIONS, originDestinationMatrix } from "./originDestination.js";
+import {
+  applyLocalFilters,
+  applyLocalOrder,
+  groupRows,
+  normalizeAggregates,
+  normalizeFilterTree,
+  queryColumns,
+} from "./localQuery.js";
+
+export const BUILDER_CHART_TYPES = [
+  { id: "bar", label: "Bar" },
+  { id: "line", label: "Line" },
+  { id: "area", label: "Area" },
+  { id: "stackedBar", label: "Stacked bar" },
+  { id: "pie", label: "Pie" },
+  { id: "heatmap", label: "Heatmap" },
+  { id: "sankey", label: "Sankey" },
+  { id: "table", label: "Table" },
+];
+const SPLIT_MAX_SERIES = 8;
+const HEATMAP_MAX_FACETS = 4;
+const SANKEY_DEFAULT_TOP = 8;
+// Chart types that read a second (y) dimension.
+export const Y_CHART_TYPES = ["heatmap", "sankey"];
+const TOP_N_MAX = 500;
+
+export const DEFAULT_BUILDER_SPEC = {
+  chartType: "bar",
+  x: "start_hour",
+  y: "",
+  measures: [{ fn: "count", column: null }],
+  splitBy: "",
+  filters: [],
+  sort: { by: "x", ascending: true },
+  topN: 0,
+};
+
+export function normalizeBuilderSpec(spec) {
+  const s = { ...DEFAULT_BUILDER_SPEC, ...(spec || {}) };
+  const measures = (Array.isArray(s.measures) && s.measures.length ? s.measures : DEFAULT_BUILDER_SPEC.measures).map(
+    (m) => ({ fn: m?.fn || "count", column: m?.column || null })
+  );
+  const chartType = BUILDER_CHART_TYPES.some((t) => t.id === s.chartType) ? s.chartType : "bar";
+  const y = Y_CHART_TYPES.includes(chartType) && s.y && s.y !== s.x ? String(s.y) : "";
+  return {
+    chartType,
+    x: String(s.x || ""),
+    y,
+    measures,
+    splitBy: s.splitBy && s.splitBy !== s.x && s.splitBy !== y ? String(s.splitBy) : "",
+    filters: (Array.isArray(s.filters) ? s.filters : []).filter((f) => f?.column),
+    sort: { by: s.sort?.by === "value" ? "value" : "x", ascending: !!s.sort?.ascending },
+    topN: Math.max(0, Math.min(TOP_N_MAX, Math.floor(Number(s.topN) || 0))),
+  };
+}
+
+export function builderKind(spec) {
+  return spec?.chartType === "table" ? "table" : "chart";
+}
+
+function measureAggregates(spec) {
+  return normalizeAggregates(spec.measures.map((m) => ({ fn: m.fn, column: m.column })));
+}
+
+// Equivalent local_select action (what the builder runs; also used to check columns on import).
+export function builderAction(spec) {
+  const s = normalizeBuilderSpec(spec);
+  return {
+    tool: "local_select",
+    action: "select",
+    filters: s.filters,
+    groupBy: [s.x, s.y, s.splitBy].filter(Boolean),
+    aggregates: measureAggregates(s),
+  };
+}
+
+export function builderColumns(spec) {
+  return queryColumns(builderAction(spec));
+}
+
+export function describeBuilder(spec) {
+  const s = normalizeBuilderSpec(spec);
+  const what = s.measures.map((m) => (m.fn === "count" && !m.column ? "Trips" : `${m.fn} ${m.column}`)).join(", ");
+  return `${what} by ${s.x}${s.y ? ` × ${s.y}` : ""}${s.splitBy ? ` and ${s.splitBy}` : ""}`;
+}
+
+const label = (v) => (v == null || v === "" ? "(empty)" : String(v));
+// What an empty slot reads as: additive measures are 0 there, others have no value.
+const ADDITIVE_FNS = ["count", "sum"];
+const emptyValue = (agg) => (ADDITIVE_FNS.includes(agg.fn) ? 0 : null);
+
+// Split values ranked by total measure, largest first, at most SPLIT_MAX_SERIES.
+// → [{ label, value, total }]: value is the raw split value (for drill filters), label its display text.
+function topSplits(cells, splitOf, measureOf) {
+  const totals = new Map();
+  for (const c of cells) {
+    const k = label(splitOf(c));
+    const t = totals.get(k) || { label: k, value: splitOf(c), total: 0 };
+    t.total += Number(measureOf(c)) || 0;
+    totals.set(k, t);
+  }
+  return [...totals.values()]
+    .sort((a, b) => b.total - a.total)
+    .slice(0, SPLIT_MAX_SERIES);
+}
+
+// x values the column has a domain for (hours, weekdays, duration buckets) all get a row, even when empty.
+function withDomain(grouped, x, aggs) {
+  const domain = columnDomain(x);
+  if (!domain) return grouped;
+  const seen = new Set(grouped.map((r) => r[x]));
+  const empty = domain
+    .filter((v) => !seen.has(v))
+    .map((v) => ({ [x]: v, ...Object.fromEntries(aggs.map((a) => [a.as, emptyValue(a)])) }));
+  return [...grouped, ...empty];
+}
+
+// Throws (with the engine's message) on an unknown operator / aggregate or a missing x (or heatmap / sankey y).
+// Charts carry drill metadata (see drillDown.js) so a clicked element can list its trips.
+export function buildBuilderPayload(spec, rows) {
+  const s = normalizeBuilderSpec(spec);
+  if (!s.x) throw new Error("Pick an x dimension.");
+  if (s.chartType === "heatmap" && !s.y) throw new Error("Pick a y (column) dimension for the heatmap.");
+  if (s.chartType === "sankey" && !s.y) throw new Error("Pick a destination (y) dimension for the sankey.");
+  normalizeFilterTree(s.filters);
+
+  const aggs = measureAggregates(s);
+  const filtered = applyLocalFilters(rows || [], s.filters);
+
+  if (s.chartType === "sankey") return sankeyPayload(s, filtered, aggs[0]);
+
+  // One row per x value: ordering and top-N are decided here, before any split.
+  let byX = withDomain(groupRows(filtered, [s.x], aggs), s.x, aggs);
+  byX = applyLocalOrder(byX, { column: s.sort.by === "value" ? aggs[0].as : s.x, ascending: s.sort.ascending });
+  if (s.topN) byX = byX.slice(0, s.topN);
+
+  if (s.chartType === "heatmap") return heatmapPayload(s, filtered, byX, aggs[0]);
+
+  if (s.chartType === "table") {
+    const keys = s.splitBy ? [s.x, s.splitBy] : [s.x];
+    let out = byX;
+    if (s.splitBy) {
+      const rank = new Map(byX.map((r, i) => [r[s.x], i]));
+      out = groupRows(filtered, keys, aggs)
+        .filter((r) => rank.has(r[s.x]))
+        .sort((a, b) => rank.get(a[s.x]) - rank.get(b[s.x]));
+    }
+    return {
+      columns: [...keys, ...aggs.map((a) => a.as)].map((k) => ({ key: k, label: k })),
+      rows: out,
+    };
+  }
+
+  const drill = { x: s.x, xValues: byX.map((r) => r[s.x]), filters: s.filters };
+
+  if (s.chartType === "pie") {
+    return {
+      chartType: "pie",
+      data: byX.map((r) => ({ name: label(r[s.x]), value: r[aggs[0].as] })),
+      donut: true,
+      nameKey: "name",
+      valueKey: "value",
+      drill,
+    };
+  }
+
+  if (!s.splitBy) {
+    return {
+      chartType: s.chartType,
+      data: byX.map((r) => ({ name: label(r[s.x]), ...Object.fromEntries(aggs.map((a) => [a.as, r[a.as]])) })),
+      xKey: "name",
+      series: aggs.map((a) => ({ key: a.as, label: a.as })),
+      drill,
+    };
+  }
+
+  // Split-by: the first measure, one series per split value (the largest SPLIT_MAX_SERIES).
+  const measure = aggs[0];
+  const cells = groupRows(filtered, [s.x, s.splitBy], [measure]);
+  const splits = topSplits(cells, (c) => c[s.splitBy], (c) => c[measure.as]);
+  // Split values can be any text (station names…), so series get safe keys and keep the value as label.
+  const seriesKey = new Map(splits.map((sp, i) => [sp.label, `s${i}`]));
+
+  const zero = emptyValue(measure);
+  const data = byX.map((r) => ({
+    name: label(r[s.x]),
+    ...Object.fromEntries(splits.map((sp) => [seriesKey.get(sp.label), zero])),
+  }));
+  const at = new Map(byX.map((r, i) => [label(r[s.x]), data[i]]));
+  for (const c of cells) {
+    const point = at.get(label(c[s.x]));
+    const key = seriesKey.get(label(c[s.splitBy]));
+    if (point && key) point[key] = c[measure.as];
+  }
+
+  return {
+    chartType: s.chartType,
+    data,
+    xKey: "name",
+    series: splits.map((sp) => ({ key: seriesKey.get(sp.label), label: sp.label })),
+    drill: {
+      ...drill,
+      splitBy: s.splitBy,
+      splitValues: Object.fromEntries(splits.map((sp) => [seriesKey.get(sp.label), sp.value])),
+    },
+  };
+}
+
+// Heatmap: one data row per x value (per facet when split), one series per y value, first measure
+// only. y values the column has a domain for (hours, weekdays) all get a column, even when empty.
+function heatmapPayload(s, filtered, byX, measure) {
+  const seen = applyLocalOrder(groupRows(filtered, [s.y], []), { column: s.y, ascending: true }).map((r) => r[s.y]);
+  const domain = columnDomain(s.y);
+  const yValues = domain ? [...domain, ...seen.filter((v) => !domain.includes(v))] : seen;
+  const series = yValues.map((v, i) => ({ key: `c${i}`, label: label(v) }));
+  const colKey = new Map(yValues.map((v, i) => [label(v), `c${i}`]));
+
+  let facets = [null];
+  if (s.splitBy) {
+    facets = applyLocalOrder(groupRows(filtered, [s.splitBy], [measure]), { column: measure.as, ascending: false })
+      .slice(0, HEATMAP_MAX_FACETS)
+      .map((r) => r[s.splitBy]);
+  }
+
+  const keys = [s.x, s.y, ...(s.splitBy ? [s.splitBy] : [])];
+  const cells = new Map(
+    groupRows(filtered, keys, [measure]).map((c) => [JSON.stringify(keys.map((k) => label(c[k]))), c[measure.as]])
+  );
+
+  const data = [];
+  const xValues = [];
+  const facetValues = [];
+  for (const f of facets) {
+    for (const r of byX) {
+      const point = s.splitBy ? { facet: label(f), name: label(r[s.x]) } : { name: label(r[s.x]) };
+      for (const v of yValues) {
+        const at = [label(r[s.x]), label(v), ...(s.splitBy ? [label(f)] : [])];
+        const value = cells.get(JSON.stringify(at));
+        if (value != null) point[colKey.get(label(v))] = value;
+      }
+      data.push(point);
+      xValues.push(r[s.x]);
+      facetValues.push(f);
+    }
+  }
+
+  return {
+    chartType: "heatmap",
+    data,
+    xKey: "name",
+    series,
+    measure: measure.as,
+    drill: {
+      x: s.x,
+      xValues,
+      filters: s.filters,
+      splitBy: s.y,
+      splitValues: Object.fromEntries(yValues.map((v, i) => [`c${i}`, v])),
+      ...(s.splitBy ? { facetBy: s.splitBy, facetValues } : {}),
+    },
+  };
+}
+
+// Sankey: origin → destination flows for the busiest OD_MAX_STATIONS of each (the chart shows the
+// top `top` and can widen that), one link per split value when split. Sort doesn't apply.
+function sankeyPayload(s, filtered, measure) {
+  const m = originDestinationMatrix(filtered, { from: s.x, to: s.y, splitBy: s.splitBy, measure });
+  const splits = s.splitBy ? topSplits(m.cells, (c) => c.split, (c) => c.value) : [];
+  const splitKey = new Map(splits.map((sp, i) => [sp.label, `s${i}`]));
+  const cells = s.splitBy ? m.cells.filter((c) => splitKey.has(label(c.split))) : m.cells;
+  const seriesKey = (c) => (s.splitBy ? splitKey.get(label(c.split)) : measure.as);
+
+  return {
+    chartType: "sankey",
+    data: cells.map((c) => ({
+      from: label(c.from),
+      to: label(c.to),
+      ...(s.splitBy ? { [s.splitBy]: label(c.split) } : {}),
+      [measure.as]: c.value,
+    })),
+    linkSeries: cells.map(seriesKey),
+    valueKey: measure.as,
+    origins: m.origins.map((o) => label(o.value)),
+    destinations: m.destinations.map((d) => label(d.value)),
+    top: Math.min(OD_MAX_STATIONS, s.topN || SANKEY_DEFAULT_TOP),
+    total: m.total,
+    series: s.splitBy
+      ? splits.map((sp, i) => ({ key: `s${i}`, label: sp.label }))
+      : [{ key: measure.as, label: measure.as }],
+    drill: {
+      x: s.x,
+      xValues: cells.map((c) => c.from),
+      facetBy: s.y,
+      facetValues: cells.map((c) => c.to),
+      filters: s.filters,
+      ...(s.splitBy
+        ? { splitBy: s.splitBy, splitValues: Object.fromEntries(splits.map((sp, i) => [`s${i}`, sp.value])) }
+        : {}),
+    },
+  };
+}
@@ -0,0 +1,124 @@
+import { describe, expect, it } from "vitest";
+import { buildBuilderPayload, normalizeBuilderSpec } from "./widgetBuilder.js";
+
+// started_at on Mon 2024-05-06 (+ day offset) at hour; 10 min long.
+function trip(day, hour, rider, from = "A", to = "B") {
+  const start = `2024-05-${String(6 + day).padStart(2, "0")}T${String(hour).padStart(2, "0")}:00:00`;
+  const end = `2024-05-${String(6 + day).padStart(2, "0")}T${String(hour).padStart(2, "0")}:10:00`;
+  return { started_at: start, ended_at: end, member_casual: rider, start_station_name: from, end_station_name: to };
+}
+
+const ROWS = [
+  trip(0, 8, "casual"),
+  trip(0, 8, "member"),
+  trip(0, 9, "member"),
+  trip(1, 8, "member"),
+  trip(1, 17, "member", "B", "C"),
+  trip(1, 17, "casual", "B", "C"),
+  trip(2, 17, "member", "C", "A"),
+];
+
+describe("normalizeBuilderSpec", () => {
+  it("fills defaults and drops a split-by equal to x", () => {
+    const s = normalizeBuilderSpec({ x: "start_dow", splitBy: "start_dow", topN: "9999" });
+    expect(s).toMatchObject({ chartType: "bar", x: "start_dow", y: "", splitBy: "", topN: 500 });
+  });
+});
+
+describe("buildBuilderPayload", () => {
+  it("gives every weekday a bar, empty days as 0", () => {
+    const p = buildBuilderPayload({ x: "start_dow" }, ROWS);
+    expect(p.data.map((d) => [d.name, d.count])).toEqual([
+      ["Mon", 3],
+      ["Tue", 3],
+      ["Wed", 1],
+      ["Thu", 0],
+      ["Fri", 0],
+      ["Sat", 0],
+      ["Sun", 0],
+    ]);
+    expect(p.series).toEqual([{ key: "count", label: "count" }]);
+    expect(p.drill.xValues).toEqual(["Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"]);
+  });
+
+  it("splits into one series per value, largest first, with readable labels", () => {
+    const p = buildBuilderPayload({ chartType: "stackedBar", x: "start_dow", splitBy: "member_casual" }, ROWS);
+    expect(p.series).toEqual([
+      { key: "s0", label: "member" },
+      { key: "s1", label: "casual" },
+    ]);
+    expect(p.data[0]).toEqual({ name: "Mon", s0: 2, s1: 1 });
+    expect(p.data[2]).toEqual({ name: "Wed", s0: 1, s1: 0 });
+    expect(p.data[3]).toEqual({ name: "Thu", s0: 0, s1: 0 });
+    expect(p.drill.splitValues).toEqual({ s0: "member", s1: "casual" });
+  });
+
+  it("applies sort by value and top-N before splitting", () => {
+    const p = buildBuilderPayload(
+      { x: "start_station_name", sort: { by: "value", ascending: false }, topN: 2 },
+      ROWS
+    );
+    expect(p.data).toEqual([
+      { name: "A", count: 4 },
+      { name: "B", count: 2 },
+    ]);
+  });
+
+  it("builds a table with the split as a second key", () => {
+    const p = buildBuilderPayload({ chartType: "table", x: "start_station_name", splitBy: "member_casual" }, ROWS);
+    expect(p.columns.map((c) => c.key)).toEqual(["start_station_name", "member_casual", "count"]);
+    expect(p.rows[0]).toEqual({ start_station_name: "A", member_casual: "casual", count: 1 });
+  });
+
+  it("builds a weekday × hour heatmap with every hour as a column", () => {
+    const p = buildBuilderPayload({ chartType: "heatmap", x: "start_dow", y: "start_hour" }, ROWS);
+    expect(p.series).toHaveLength(24);
+    expect(p.series[8]).toEqual({ key: "c8", label: "8" });
+    expect(p.data[0]).toEqual({ name: "Mon", c8: 2, c9: 1 });
+    expect(p.drill).toMatchObject({ x: "start_dow", splitBy: "start_hour" });
+    expect(p.drill.splitValues.c17).toBe(17);
+    expect(() => buildBuilderPayload({ chartType: "heatmap", x: "start_dow" }, ROWS)).toThrow(/Pick a y/);
+  });
+
+  it("throws the engine's message on a bad filter", () => {
+    expect(() => buildBuilderPayload({ x: "start_dow", filters: [{ column: "x", operator: "nope" }] }, ROWS)).toThrow(
+      /Unknown filter operator/
+    );
+  });
+});
+
+describe("sankey payload", () => {
+  const spec = { chartType: "sankey", x: "start_station_name", y: "end_station_name" };
+
+  it("links top origins to destinations", () => {
+    const p = buildBuilderPayload(spec, ROWS);
+    expect(p.origins).toEqual(["A", "B", "C"]);
+    expect(p.data[0]).toEqual({ from: "A", to: "B", count: 4 });
+    expect(p.total).toBe(7);
+    expect(p.drill).toMatchObject({ x: "start_station_name", facetBy: "end_station_name" });
+  });
+
+  it("splits each link by rider type", () => {
+    const p = buildBuilderPayload({ ...spec, splitBy: "member_casual" }, ROWS);
+    expect(p.series.map((s) => s.label)).toEqual(["member", "casual"]);
+    expect(p.linkSeries).toHaveLength(p.data.length);
+    expect(p.data.filter((d) => d.from === "A" && d.to === "B").map((d) => d.count)).toEqual([3, 1]);
+  });
+
+  it("ranks split values by total, not by the order cells appear", () => {
+    // Nine rider types: "rare" shows up first but carries the least, so it is the one dropped.
+    const rows = [trip(0, 8, "rare")];
+    for (let i = 0; i < 8; i++) for (let n = 0; n <= i + 1; n++) rows.push(trip(0, 9, `t${i}`));
+    const p = buildBuilderPayload({ ...spec, splitBy: "member_casual" }, rows);
+    expect(p.series.map((s) => s.label)).toEqual(["t7", "t6", "t5", "t4", "t3", "t2", "t1", "t0"]);
+    expect(p.data.some((d) => d.member_casual === "rare")).toBe(false);
+    expect(p.linkSeries).toHaveLength(p.data.length);
+    expect(p.drill.splitValues.s0).toBe("t7");
+  });
+
+  it("rejects non-additive measures", () => {
+    expect(() => buildBuilderPayload({ ...spec, measures: [{ fn: "avg", column: "duration_min" }] }, ROWS)).toThrow(
+      /additive measure/
+    );
+  });
+});
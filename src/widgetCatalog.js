@@ -0,0 +1,334 @@
+// Declarative widget catalog: each entry is a widget builder spec (dimension, measures, chart type,
+// filters, sort, top-N), a local_select-style row query, a station map or a station flow (rebalancing)
+// view, evaluated against the loaded rows.
+// The built-ins below ship with the app; public/widget-catalog.json can add entries or override one
+// by id, so a team can ship catalog widgets without a code change.
+//
+// file:  { format: "dashpilot.catalog", version: 1, widgets: [entry] }
+// entry: { id, title, icon?, labels?, builder } | { id, title, icon?, labels?, query: { columns, filters, orderBy, limit } }
+//        | { id, title, icon?, map: { flows } }   (flows: how many top routes get a flow line)
+//        | { id, title, icon?, labels?, flow: { view: "rank" | "series", by, direction, hours, days, limit, station } }
+// A series flow without a station shows the one picked on the pinned widget, else the dashboard's
+// selected station (see stationFlow.js).
+// labels maps a series / column key (or split value, or heatmap grid) to its display label.
+import { PAGE_LIMITS, pickColumns, queryColumns, selectLocalRows } from "./localQuery.js";
+import { STATION_MAP_COLUMNS, buildStationMap, normalizeStationMapSpec } from "./stationMap.js";
+import { STATION_FLOW_COLUMNS, buildStationFlowWidget, normalizeFlowWidgetSpec } from "./stationFlow.js";
+import { buildBuilderPayload, builderColumns, builderKind, normalizeBuilderSpec } from "./widgetBuilder.js";
+
+export const CATALOG_FORMAT = "dashpilot.catalog";
+export const CATALOG_VERSION = 1;
+const QUERY_DEFAULT_LIMIT = 12;
+
+export const BUILTIN_CATALOG = [
+  // Charts
+  {
+    id: "w_trips_by_month",
+    title: "Trips by Month (Area)",
+    icon: "TrendingUp",
+    labels: { count: "Trips" },
+    builder: { chartType: "area", x: "month", filters: [{ column: "month", operator: "not_null" }] },
+  },
+  {
+    id: "w_trips_by_dow",
+    title: "Trips by Day of Week (Bar)",
+    icon: "Calendar",
+    labels: { count: "Trips" },
+    builder: { chartType: "bar", x: "start_dow", filters: [{ column: "start_dow", operator: "not_null" }] },
+  },
+  {
+    id: "w_duration_dist",
+    title: "Duration Distribution (Histogram)",
+    icon: "BarChart3",
+    labels: { count: "Trips" },
+    builder: { chartType: "bar", x: "duration_bucket", filters: [{ column: "duration_bucket", operator: "not_null" }] },
+  },
+  {
+    id: "w_bike_type_split",
+    title: "Bike Type Split (Donut)",
+    icon: "Layers",
+    builder: { chartType: "pie", x: "rideable_type", sort: { by: "value", ascending: false } },
+  },
+  {
+    id: "w_top_routes",
+    title: "Top Routes (Bar)",
+    icon: "Route",
+    labels: { count: "Trips" },
+    builder: { chartType: "bar", x: "route", sort: { by: "value", ascending: false }, topN: 12 },
+  },
+  {
+    id: "w_member_vs_casual_dow",
+    title: "Member vs Casual by Day (Stacked)",
+    icon: "Sparkles",
+    labels: { member: "Member", casual: "Casual" },
+    builder: {
+      chartType: "stackedBar",
+      x: "start_dow",
+      splitBy: "member_casual",
+      filters: [{ column: "start_dow", operator: "not_null" }],
+    },
+  },
+  {
+    id: "w_speed_by_hour",
+    title: "Avg Speed by Start Hour (Line)",
+    icon: "TrendingUp",
+    labels: { avg_avg_speed_kmh: "Avg km/h", median_distance_km: "Median km" },
+    builder: {
+      chartType: "line",
+      x: "start_hour",
+      measures: [
+        { fn: "avg", column: "avg_speed_kmh" },
+        { fn: "median", column: "distance_km" },
+      ],
+      filters: [{ column: "start_hour", operator: "not_null" }],
+    },
+  },
+  {
+    id: "w_demand_heatmap",
+    title: "Demand by Weekday × Hour (Heatmap)",
+    icon: "Grid3x3",
+    builder: {
+      chartType: "heatmap",
+      x: "start_dow",
+      y: "start_hour",
+      filters: [{ column: "start_dow", operator: "not_null" }],
+    },
+  },
+  {
+    id: "w_member_casual_heatmap",
+    title: "Member vs Casual by Weekday × Hour (Heatmap)",
+    icon: "Grid3x3",
+    labels: { member: "Member", casual: "Casual" },
+    builder: {
+      chartType: "heatmap",
+      x: "start_dow",
+      y: "start_hour",
+      splitBy: "member_casual",
+      filters: [{ column: "start_dow", operator: "not_null" }],
+    },
+  },
+  {
+    id: "w_route_flow",
+    title: "Route Flow: Top Origins → Destinations (Sankey)",
+    icon: "Waypoints",
+    labels: { count: "Trips" },
+    builder: {
+      chartType: "sankey",
+      x: "start_station_name",
+      y: "end_station_name",
+      topN: 8,
+      filters: [
+        { column: "start_station_name", operator: "not_null" },
+        { column: "end_station_name", operator: "not_null" },
+      ],
+    },
+  },
+  {
+    id: "w_route_flow_rider",
+    title: "Route Flow by Rider Type (Sankey)",
+    icon: "Waypoints",
+    labels: { member: "Member", casual: "Casual" },
+    builder: {
+      chartType: "sankey",
+      x: "start_station_name",
+      y: "end_station_name",
+      splitBy: "member_casual",
+      topN: 8,
+      filters: [
+        { column: "start_station_name", operator: "not_null" },
+        { column: "end_station_name", operator: "not_null" },
+      ],
+    },
+  },
+  {
+    id: "w_station_map",
+    title: "Station Map (Volume & Net Flow)",
+    icon: "MapPinned",
+    map: { flows: 10 },
+  },
+  {
+    id: "w_station_flow_by_hour",
+    title: "Station Flow by Hour (Selected Station)",
+    icon: "ArrowLeftRight",
+    labels: { departures: "Departures", arrivals: "Arrivals", net: "Net (arrivals − departures)" },
+    flow: { view: "series", by: "hour" },
+  },
+  // Tables
+  {
+    id: "t_latest_local_trips",
+    title: "Latest Trips (Local CSV)",
+    icon: "Table2",
+    labels: {
+      started_at: "Started",
+      start_station_name: "Start",
+      end_station_name: "End",
+      member_casual: "Rider",
+      rideable_type: "Bike",
+    },
+    query: {
+      columns: ["started_at", "start_station_name", "end_station_name", "member_casual", "rideable_type"],
+      orderBy: { column: "started_at", ascending: false },
+      limit: 12,
+    },
+  },
+  {
+    id: "t_top_stations_local",
+    title: "Top Stations (Local CSV)",
+    icon: "Table2",
+    labels: { start_station: "Station", count: "Trips" },
+    builder: { chartType: "table", x: "start_station", sort: { by: "value", ascending: false }, topN: 12 },
+  },
+  {
+    id: "t_station_imbalance",
+    title: "Stations that Drain or Fill (Rebalancing)",
+    icon: "ArrowLeftRight",
+    labels: {
+      station: "Station",
+      departures: "Departures",
+      arrivals: "Arrivals",
+      net: "Net",
+      avg_net_per_day: "Net / day",
+      days_active: "Days",
+      drain_days: "Drain days",
+      fill_days: "Fill days",
+      status: "Status",
+    },
+    flow: { view: "rank", direction: "both", limit: 15 },
+  },
+  {
+    id: "t_weekday_morning_drains",
+    title: "Weekday Morning Drains (6–10am)",
+    icon: "ArrowLeftRight",
+    labels: {
+      station: "Station",
+      departures: "Departures",
+      arrivals: "Arrivals",
+      net: "Net",
+      avg_net_per_day: "Net / day",
+      days_active: "Days",
+      drain_days: "Drain days",
+      fill_days: "Fill days",
+      status: "Status",
+    },
+    flow: { view: "rank", direction: "drain", hours: [6, 9], days: [0, 1, 2, 3, 4], limit: 15 },
+  },
+];
+
+// → { id, title, icon, kind, labels, builder, query, map, flow, columns } — columns are the inputs it reads
+// (derived names included), for import checks. Throws on an entry the engine can't run.
+export function normalizeCatalogEntry(raw) {
+  if (!raw || typeof raw !== "object") throw new Error("Catalog entry is not an object.");
+  const id = String(raw.id || "").trim();
+  if (!id) throw new Error("Catalog entry is missing an id.");
+  const base = {
+    id,
+    title: String(raw.title || id),
+    icon: raw.icon ? String(raw.icon) : null,
+    labels: raw.labels && typeof raw.labels === "object" ? raw.labels : {},
+    builder: null,
+    query: null,
+    map: null,
+    flow: null,
+  };
+
+  if (raw.builder && typeof raw.builder === "object") {
+    const builder = normalizeBuilderSpec(raw.builder);
+    if (!builder.x) throw new Error(`"${id}": builder needs an x dimension.`);
+    return { ...base, kind: builderKind(builder), builder, columns: builderColumns(builder) };
+  }
+  if (raw.query && typeof raw.query === "object") {
+    const { columns, filters, orderBy, limit } = raw.query;
+    const query = { columns, filters, orderBy, limit };
+    if (!Array.isArray(query.columns) || !query.columns.length) throw new Error(`"${id}": query needs a columns list.`);
+    return { ...base, kind: "table", query, columns: queryColumns(query) };
+  }
+  if (raw.map && typeof raw.map === "object") {
+    const map = normalizeStationMapSpec(raw.map);
+    return { ...base, kind: "chart", map, columns: STATION_MAP_COLUMNS };
+  }
+  if (raw.flow && typeof raw.flow === "object") {
+    const flow = normalizeFlowWidgetSpec(raw.flow);
+    return { ...base, kind: flow.view === "series" ? "chart" : "table", flow, columns: STATION_FLOW_COLUMNS };
+  }
+  throw new Error(`"${id}": entry needs a builder, a query, a map or a flow.`);
+}
+
+// → { entries, problems: [message] }. Throws when the file isn't a catalog at all.
+export function parseWidgetCatalog(raw) {
+  if (raw?.format !== CATALOG_FORMAT) throw new Error(`Not a widget catalog (expected "format": "${CATALOG_FORMAT}").`);
+  if (Number(raw.version) !== CATALOG_VERSION) {
+    throw new Error(`Unsupported catalog version ${raw.version}; this build reads version ${CATALOG_VERSION}.`);
+  }
+  const entries = [];
+  const problems = [];
+  for (const w of Array.isArray(raw.widgets) ? raw.widgets : []) {
+    try {
+      entries.push(normalizeCatalogEntry(w));
+    } catch (e) {
+      problems.push(e?.message || String(e));
+    }
+  }
+  return { entries, problems };
+}
+
+// Extra entries replace a built-in with the same id (in place) or are appended.
+export function mergeCatalogs(base, extra) {
+  const byId = new Map(extra.map((e) => [e.id, e]));
+  const merged = base.map((e) => byId.get(e.id) || e);
+  const known = new Set(base.map((e) => e.id));
+  return [...merged, ...extra.filter((e) => !known.has(e.id))];
+}
+
+export const DEFAULT_CATALOG = BUILTIN_CATALOG.map(normalizeCatalogEntry);
+
+// Built-ins plus the optional catalog file at url; a missing file is not an error.
+// → { catalog, problems }
+export async function loadWidgetCatalog(url) {
+  let res;
+  try {
+    res = await fetch(url);
+  } catch {
+    return { catalog: DEFAULT_CATALOG, problems: [] };
+  }
+  // Dev servers answer a missing file with index.html, so only JSON counts as a catalog.
+  if (!res.ok || !/json/i.test(res.headers.get("content-type") || "")) return { catalog: DEFAULT_CATALOG, problems: [] };
+  try {
+    const { entries, problems } = parseWidgetCatalog(await res.json());
+    return { catalog: mergeCatalogs(DEFAULT_CATALOG, entries), problems };
+  } catch (e) {
+    return { catalog: DEFAULT_CATALOG, problems: [`widget-catalog.json: ${e?.message || String(e)}`] };
+  }
+}
+
+function relabel(payload, labels) {
+  if (payload.chartType === "heatmap") {
+    const facet = (d) => (d.facet != null && labels[d.facet] != null ? { ...d, facet: labels[d.facet] } : d);
+    return { ...payload, data: payload.data.map(facet) };
+  }
+  if (payload.series) return { ...payload, series: payload.series.map((s) => ({ ...s, label: labels[s.label] ?? s.label })) };
+  if (payload.columns) return { ...payload, columns: payload.columns.map((c) => ({ ...c, label: labels[c.key] ?? c.label })) };
+  return payload;
+}
+
+// Widgets that show a picked or the dashboard's selected station (rather than the rows the selection filters to).
+export function followsSelectedStation(def) {
+  return !!def?.flow && def.flow.view === "series" && !def.flow.station;
+}
+
+// Payload for ChartRenderer / TableRenderer from the (filtered) rows in local.__rows.
+// station: the widget's picked (or the dashboard's selected) station, for widgets that follow it.
+export function buildCatalogWidget(def, local, station = null) {
+  const rows = local?.__rows ?? [];
+  if (def.builder) return relabel(buildBuilderPayload(def.builder, rows), def.labels);
+  if (def.map) return buildStationMap(rows, def.map);
+  if (def.flow) return relabel(buildStationFlowWidget(def.flow, rows, station), def.labels);
+
+  const limit = Math.min(PAGE_LIMITS.local, Number(def.query.limit) || QUERY_DEFAULT_LIMIT);
+  return relabel(
+    {
+      columns: def.query.columns.map((c) => ({ key: c, label: c })),
+      rows: pickColumns(selectLocalRows(rows, def.query).slice(0, limit), def.query.columns),
+    },
+    def.labels
+  );
+}
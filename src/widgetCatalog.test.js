@@ -0,0 +1,85 @@
+import { readFileSync } from "node:fs";
+import { describe, expect, it } from "vitest";
+import { DURATION_BUCKETS } from "./localAggregates.js";
+import {
+  DEFAULT_CATALOG,
+  buildCatalogWidget,
+  mergeCatalogs,
+  normalizeCatalogEntry,
+  parseWidgetCatalog,
+} from "./widgetCatalog.js";
+
+const rows = [
+  { started_at: "2024-05-06T08:00:00", ended_at: "2024-05-06T08:10:00", start_station_name: "A" },
+  { started_at: "2024-05-06T09:00:00", ended_at: "2024-05-06T09:30:00", start_station_name: "A" },
+  { started_at: "2024-05-07T09:00:00", ended_at: "2024-05-07T09:05:00", start_station_name: "B" },
+];
+
+describe("widget catalog", () => {
+  it("parses the shipped catalog file", () => {
+    const file = JSON.parse(readFileSync(new URL("../public/widget-catalog.json", import.meta.url), "utf8"));
+    const { entries, problems } = parseWidgetCatalog(file);
+    expect(problems).toEqual([]);
+    expect(entries.map((e) => e.id)).toContain("w_trips_by_hour");
+  });
+
+  it("keeps good entries and reports bad ones", () => {
+    const { entries, problems } = parseWidgetCatalog({
+      format: "dashpilot.catalog",
+      version: 1,
+      widgets: [
+        { id: "ok", builder: { x: "start_hour" } },
+        { id: "noX", builder: { x: "" } },
+        { id: "bad", builder: { x: "start_hour", filters: [{ column: "x", operator: "nope" }] } },
+        { title: "no id", query: { columns: ["a"] } },
+      ],
+    });
+    expect(entries.map((e) => e.id)).toEqual(["ok"]);
+    expect(problems).toHaveLength(3);
+    expect(() => parseWidgetCatalog({ format: "dashpilot.catalog", version: 2 })).toThrow(/Unsupported catalog version/);
+  });
+
+  it("overrides a built-in by id in place and appends new entries", () => {
+    const override = normalizeCatalogEntry({ id: DEFAULT_CATALOG[1].id, title: "Mine", builder: { x: "start_hour" } });
+    const extra = normalizeCatalogEntry({ id: "w_new", query: { columns: ["start_station_name"] } });
+    const merged = mergeCatalogs(DEFAULT_CATALOG, [extra, override]);
+    expect(merged).toHaveLength(DEFAULT_CATALOG.length + 1);
+    expect(merged[1].title).toBe("Mine");
+    expect(merged.at(-1)).toMatchObject({ id: "w_new", kind: "table", columns: ["start_station_name"] });
+  });
+
+  it("keeps fixed slots in the built-in charts and labels missing stations Unknown", () => {
+    const byId = new Map(DEFAULT_CATALOG.map((e) => [e.id, e]));
+    const local = { __rows: [...rows, { ...rows[2], start_station_name: "  " }] };
+    const durations = buildCatalogWidget(byId.get("w_duration_dist"), local).data;
+    expect(durations.map((d) => d.name)).toEqual(DURATION_BUCKETS.map((b) => b.label));
+    expect(durations.reduce((n, d) => n + d.count, 0)).toBe(4);
+    expect(buildCatalogWidget(byId.get("w_trips_by_dow"), local).data.map((d) => d.count)).toEqual([2, 2, 0, 0, 0, 0, 0]);
+    const stations = buildCatalogWidget(byId.get("t_top_stations_local"), local).rows;
+    expect(stations[0]).toEqual({ start_station: "A", count: 2 });
+    expect(stations).toContainEqual({ start_station: "Unknown", count: 1 });
+  });
+
+  it("builds payloads with labels applied", () => {
+    const chart = normalizeCatalogEntry({ id: "c", labels: { count: "Trips" }, builder: { x: "start_station_name" } });
+    expect(buildCatalogWidget(chart, { __rows: rows })).toMatchObject({
+      data: [
+        { name: "A", count: 2 },
+        { name: "B", count: 1 },
+      ],
+      series: [{ key: "count", label: "Trips" }],
+    });
+    const table = normalizeCatalogEntry({
+      id: "t",
+      labels: { duration_min: "Minutes" },
+      query: { columns: ["start_station_name", "duration_min"], orderBy: { column: "duration_min" }, limit: 1 },
+    });
+    expect(buildCatalogWidget(table, { __rows: rows })).toEqual({
+      columns: [
+        { key: "start_station_name", label: "start_station_name" },
+        { key: "duration_min", label: "Minutes" },
+      ],
+      rows: [{ start_station_name: "A", duration_min: 30 }],
+    });
+  });
+});
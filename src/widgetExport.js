@@ -0,0 +1,177 @@
+// Widget export: a chart's payload.data / a table's payload.rows as CSV or JSON, and the
+// rendered Recharts SVG as a standalone SVG (or PNG) with the title and source caption baked in.
+import Papa from "papaparse";
+
+export const EXPORT_FORMATS = [
+  { id: "csv", label: "CSV", data: true },
+  { id: "json", label: "JSON", data: true },
+  { id: "svg", label: "SVG", chart: true },
+  { id: "png", label: "PNG", chart: true },
+];
+
+const SVG_NS = "http://www.w3.org/2000/svg";
+const HEADER_H = 58;
+const LEGEND_ROW_H = 22;
+const PAD = 18;
+const FONT = "system-ui, -apple-system, Segoe UI, Roboto, sans-serif";
+
+export function exportFileName(title, ext) {
+  const slug = String(title || "widget")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "_")
+    .replace(/^_+|_+$/g, "");
+  return `${slug || "widget"}.${ext}`;
+}
+
+// -------------------- DATA --------------------
+// Sankey links pivoted to one row per origin → destination, one value per series (split).
+function sankeyRows(payload) {
+  const byPair = new Map();
+  (payload.data || []).forEach((d, i) => {
+    const pair = JSON.stringify([d.from, d.to]);
+    if (!byPair.has(pair)) byPair.set(pair, { from: d.from, to: d.to });
+    byPair.get(pair)[payload.linkSeries?.[i] ?? payload.valueKey] = d[payload.valueKey];
+  });
+  return [...byPair.values()];
+}
+
+export function exportRows(kind, payload) {
+  if (kind === "chart" && payload?.chartType === "sankey") return sankeyRows(payload);
+  return (kind === "chart" ? payload?.data : payload?.rows) || [];
+}
+
+// → [{ key, label }]. Table columns keep their order. Charts with series export the x column (headed
+// by its dimension) and one column per series, headed by the series label — split and heatmap keys
+// (s0, c0…) are internal. Other charts (or tables without columns) use every key seen.
+function exportFields(kind, payload, rows) {
+  if (kind === "table" && payload?.columns?.length) return payload.columns;
+  const drill = payload?.drill || {};
+  if (payload?.chartType === "sankey") {
+    return [
+      { key: "from", label: drill.x || "from" },
+      { key: "to", label: drill.facetBy || "to" },
+      ...(payload.series || []),
+    ];
+  }
+  if (kind === "chart" && payload?.xKey && payload.series?.length) {
+    const facet = rows.some((r) => r?.facet != null) ? [{ key: "facet", label: drill.facetBy || "facet" }] : [];
+    return [...facet, { key: payload.xKey, label: drill.x || payload.xKey }, ...payload.series];
+  }
+  const keys = new Set();
+  for (const r of rows) for (const k of Object.keys(r || {})) keys.add(k);
+  return [...keys].map((k) => ({ key: k, label: k }));
+}
+
+export function rowsToCsv(kind, payload) {
+  const rows = exportRows(kind, payload);
+  const fields = exportFields(kind, payload, rows);
+  return Papa.unparse({
+    fields: fields.map((f) => f.label),
+    data: rows.map((r) => fields.map((f) => r?.[f.key] ?? "")),
+  });
+}
+
+export function rowsToJson(kind, payload) {
+  const rows = exportRows(kind, payload);
+  const fields = exportFields(kind, payload, rows);
+  return JSON.stringify(
+    rows.map((r) => Object.fromEntries(fields.map((f) => [f.label, r?.[f.key] ?? null]))),
+    null,
+    2
+  );
+}
+
+// -------------------- SVG / PNG --------------------
+function legendItems(config, palette) {
+  if (!config || ["heatmap", "stationMap"].includes(config.chartType)) return []; // draw their own legends
+  if (config.chartType === "sankey" && !config.drill?.splitBy) return [];
+  if (config.chartType === "pie") {
+    const nameKey = config.nameKey || "name";
+    return (config.data || []).map((d, i) => ({ label: String(d?.[nameKey] ?? ""), color: palette[i % palette.length] }));
+  }
+  return (config.series || []).map((s, i) => ({ label: s.label || s.name || s.key, color: palette[i % palette.length] }));
+}
+
+function escapeXml(s) {
+  return String(s ?? "").replace(/[<>&"']/g, (c) => `&#${c.charCodeAt(0)};`);
+}
+
+// Recharts styles tick labels partly through CSS; copy the computed values so the file stands alone.
+function inlineTextStyles(live, clone) {
+  const liveTexts = live.querySelectorAll("text");
+  const cloneTexts = clone.querySelectorAll("text");
+  liveTexts.forEach((t, i) => {
+    const cs = getComputedStyle(t);
+    const c = cloneTexts[i];
+    if (!c) return;
+    c.setAttribute("fill", cs.fill);
+    c.setAttribute("font-size", cs.fontSize);
+    c.setAttribute("font-family", FONT);
+  });
+}
+
+// Wraps the live chart svg in a titled card. Returns { svg, width, height }.
+export function buildStandaloneSvg(liveSvg, { title, caption, config, palette, background, text, muted }) {
+  const rect = liveSvg.getBoundingClientRect();
+  const chartW = Math.round(rect.width) || Number(liveSvg.getAttribute("width")) || 600;
+  const chartH = Math.round(rect.height) || Number(liveSvg.getAttribute("height")) || 300;
+
+  const clone = liveSvg.cloneNode(true);
+  inlineTextStyles(liveSvg, clone);
+  clone.setAttribute("xmlns", SVG_NS);
+  clone.setAttribute("width", chartW);
+  clone.setAttribute("height", chartH);
+  clone.setAttribute("x", PAD);
+  clone.setAttribute("y", HEADER_H);
+  clone.removeAttribute("style");
+
+  const width = chartW + PAD * 2;
+  const legend = legendItems(config, palette);
+  const perRow = Math.max(1, Math.floor((width - PAD * 2) / 150));
+  const legendRows = Math.ceil(legend.length / perRow);
+  const height = HEADER_H + chartH + (legendRows ? legendRows * LEGEND_ROW_H + 8 : 0) + PAD;
+
+  const legendSvg = legend
+    .map((item, i) => {
+      const x = PAD + (i % perRow) * 150;
+      const y = HEADER_H + chartH + 8 + Math.floor(i / perRow) * LEGEND_ROW_H;
+      return (
+        `<rect x="${x}" y="${y + 4}" width="10" height="10" rx="2" fill="${item.color}"/>` +
+        `<text x="${x + 16}" y="${y + 13}" fill="${muted}" font-size="12">${escapeXml(item.label.slice(0, 20))}</text>`
+      );
+    })
+    .join("");
+
+  const svg =
+    `<svg xmlns="${SVG_NS}" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" font-family="${FONT}">` +
+    `<rect width="100%" height="100%" rx="14" fill="${background}"/>` +
+    `<text x="${PAD}" y="28" fill="${text}" font-size="16" font-weight="800">${escapeXml(title)}</text>` +
+    `<text x="${PAD}" y="46" fill="${muted}" font-size="12">${escapeXml(caption)}</text>` +
+    new XMLSerializer().serializeToString(clone) +
+    legendSvg +
+    `</svg>`;
+
+  return { svg, width, height };
+}
+
+export function svgToPngBlob(svg, width, height, scale = 2) {
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(new Blob([svg], { type: "image/svg+xml;charset=utf-8" }));
+    const img = new Image();
+    img.onload = () => {
+      const canvas = document.createElement("canvas");
+      canvas.width = width * scale;
+      canvas.height = height * scale;
+      const ctx = canvas.getContext("2d");
+      ctx.scale(scale, scale);
+      ctx.drawImage(img, 0, 0, width, height);
+      URL.revokeObjectURL(url);
+      canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error("PNG encoding failed."))), "image/png");
+    };
+    img.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error("Could not rasterize chart SVG."));
+    };
+    img.src = url;
+  });
+}
@@ -0,0 +1,73 @@
+import { describe, expect, it } from "vitest";
+import { exportFileName, rowsToCsv, rowsToJson } from "./widgetExport.js";
+import { buildBuilderPayload } from "./widgetBuilder.js";
+
+const trip = (hour, rider, from = "A", to = "B") => ({
+  started_at: `2024-05-06T${String(hour).padStart(2, "0")}:00:00`,
+  member_casual: rider,
+  start_station_name: from,
+  end_station_name: to,
+});
+const ROWS = [trip(8, "member"), trip(8, "member"), trip(8, "casual"), trip(9, "member", "B", "C")];
+
+describe("widget data exports", () => {
+  it("keep table column order and labels", () => {
+    const csv = rowsToCsv("table", { columns: [{ key: "b", label: "Bee" }, { key: "a", label: "A" }], rows: [{ a: 1, b: 2 }] });
+    expect(csv.split(/\r?\n/)).toEqual(["Bee,A", "2,1"]);
+  });
+
+  it("use every key a chart point carries, blanks for gaps", () => {
+    const payload = { chartType: "bar", data: [{ name: "Mon", count: 3 }, { name: "Tue", extra: "x, y" }] };
+    expect(rowsToCsv("chart", payload).split(/\r?\n/)).toEqual(["name,count,extra", "Mon,3,", 'Tue,,"x, y"']);
+    expect(JSON.parse(rowsToJson("chart", payload))).toEqual([
+      { name: "Mon", count: 3, extra: null },
+      { name: "Tue", count: null, extra: "x, y" },
+    ]);
+  });
+
+  it("head heatmap columns with their y values", () => {
+    const payload = {
+      chartType: "heatmap",
+      xKey: "name",
+      data: [{ name: "Mon", c1: 4 }],
+      series: [
+        { key: "c0", label: "0" },
+        { key: "c1", label: "1" },
+      ],
+    };
+    expect(rowsToCsv("chart", payload).split(/\r?\n/)).toEqual(["name,0,1", "Mon,,4"]);
+  });
+
+  it("head split series with their labels, not their keys", () => {
+    const p = buildBuilderPayload({ chartType: "stackedBar", x: "start_hour", splitBy: "member_casual" }, ROWS);
+    const lines = rowsToCsv("chart", p).split(/\r?\n/);
+    expect(lines[0]).toBe("start_hour,member,casual");
+    expect(lines[9]).toBe("8,2,1");
+    expect(JSON.parse(rowsToJson("chart", p))[9]).toEqual({ start_hour: "9", member: 1, casual: 0 });
+  });
+
+  it("pivot sankey links to one row per pair", () => {
+    const p = buildBuilderPayload(
+      { chartType: "sankey", x: "start_station_name", y: "end_station_name", splitBy: "member_casual" },
+      ROWS
+    );
+    const lines = rowsToCsv("chart", p).split(/\r?\n/);
+    expect(lines[0]).toBe("start_station_name,end_station_name,member,casual");
+    expect(lines).toContain("A,B,2,1");
+    expect(lines).toContain("B,C,1,");
+  });
+
+  it("head a table without columns with every key any row has", () => {
+    const rows = [{ drop_reason: "bad_started_at", ride_id: "a" }, { drop_reason: "missing_required", drop_detail: "ride_id" }];
+    expect(rowsToCsv("table", { rows }).split(/\r?\n/)).toEqual([
+      "drop_reason,ride_id,drop_detail",
+      "bad_started_at,a,",
+      "missing_required,,ride_id",
+    ]);
+  });
+
+  it("name files after the widget title", () => {
+    expect(exportFileName("Trips by Hour (local)", "csv")).toBe("trips_by_hour_local.csv");
+    expect(exportFileName("", "png")).toBe("widget.png");
+  });
+});
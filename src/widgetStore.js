@@ -0,0 +1,102 @@
+// Named dashboards (pinned widgets, grid layout, filters) persisted per dataset in localStorage,
+// versioned so older saves migrate forward.
+//
+// Stored: { [datasetKey]: { version, savedAt, activeId, dashboards: [{ id, name, widgets, layout, filters }] } }
+// widget: { id, kind, title, source, catalogId, payload, query, builder, station, createdAt } — query is
+// the chat action behind a pinned query table (kept so the dashboard can be exported as a spec); builder
+// is the widget builder spec; station is the one picked on a station-following catalog widget.
+// Catalog and builder widgets are saved without a payload and rebuilt on load.
+import { DEFAULT_DASHBOARD_NAME, normalizeDashboards } from "./dashboards.js";
+
+const WIDGETS_STORAGE = "dashpilot_widgets";
+export const WIDGET_STORE_VERSION = 3;
+
+// MIGRATIONS[n] upgrades a saved record from version n to n + 1. Add one per shape change.
+const MIGRATIONS = {
+  // v0: a bare widget array with no envelope; catalog widgets were referenced by widgetId.
+  0: (saved) => ({
+    widgets: (Array.isArray(saved) ? saved : saved?.widgets || []).map(({ widgetId, ...w }) => ({
+      ...w,
+      catalogId: w.catalogId ?? widgetId ?? null,
+    })),
+  }),
+  // v1 → v2: grid layout saved alongside the widgets (empty = default order and sizes).
+  1: (saved) => ({ ...saved, layout: [] }),
+  // v2 → v3: the single widget list + layout becomes the first of several named dashboards.
+  2: ({ widgets, layout, ...rest }) => ({
+    ...rest,
+    activeId: "main",
+    dashboards: [{ id: "main", name: DEFAULT_DASHBOARD_NAME, widgets: widgets || [], layout: layout || [], filters: {} }],
+  }),
+};
+
+export function migrateWidgetRecord(saved) {
+  let version = Array.isArray(saved) ? 0 : Number(saved?.version) || 0;
+  if (version > WIDGET_STORE_VERSION) return null; // written by a newer build; leave it alone
+  let record = saved;
+  while (version < WIDGET_STORE_VERSION) {
+    record = MIGRATIONS[version](record);
+    version += 1;
+  }
+  return { ...record, version };
+}
+
+function normalizeWidget(w) {
+  if (!w || typeof w !== "object" || !w.id) return null;
+  if (w.kind !== "chart" && w.kind !== "table") return null;
+  if (!w.catalogId && !w.builder && !w.payload) return null;
+  return {
+    id: String(w.id),
+    kind: w.kind,
+    title: String(w.title || "Pinned Widget"),
+    source: w.source || "custom",
+    catalogId: w.catalogId || null,
+    payload: w.catalogId || w.builder ? null : w.payload,
+    query: w.query || null,
+    builder: w.builder || null,
+    station: w.station ? String(w.station) : null,
+    createdAt: w.createdAt || new Date().toISOString(),
+  };
+}
+
+function readAll() {
+  try {
+    const all = JSON.parse(localStorage.getItem(WIDGETS_STORAGE) || "{}");
+    return all && typeof all === "object" && !Array.isArray(all) ? all : {};
+  } catch {
+    return {};
+  }
+}
+
+function normalizeWidgets(widgets) {
+  return (widgets || []).map(normalizeWidget).filter(Boolean);
+}
+
+// Returns normalized dashboards state (a single empty "Main" dashboard when nothing is saved).
+export function getDashboardsFromStorage(key) {
+  const record = migrateWidgetRecord(readAll()[key]);
+  const state = normalizeDashboards(record);
+  return {
+    ...state,
+    dashboards: state.dashboards.map((d) => ({ ...d, widgets: normalizeWidgets(d.widgets) })),
+  };
+}
+
+export function saveDashboardsToStorage(key, { activeId, dashboards }) {
+  const all = readAll();
+  const current = all[key];
+  // Don't clobber a save from a newer build that this one can't read.
+  if (current && !Array.isArray(current) && Number(current.version) > WIDGET_STORE_VERSION) return;
+
+  all[key] = {
+    version: WIDGET_STORE_VERSION,
+    savedAt: new Date().toISOString(),
+    activeId,
+    dashboards: (dashboards || []).map((d) => ({ ...d, widgets: normalizeWidgets(d.widgets) })),
+  };
+  try {
+    localStorage.setItem(WIDGETS_STORAGE, JSON.stringify(all));
+  } catch {
+    // ignore (quota: large pinned tables)
+  }
+}
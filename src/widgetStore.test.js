@@ -0,0 +1,89 @@
+import { afterEach, beforeEach, describe, expect, it, vi } from "vitest";
+import {
+  WIDGET_STORE_VERSION,
+  getDashboardsFromStorage,
+  migrateWidgetRecord,
+  saveDashboardsToStorage,
+} from "./widgetStore.js";
+
+const chart = { id: "w1", kind: "chart", title: "Hourly", source: "local", payload: { chartType: "line", data: [] } };
+
+describe("migrateWidgetRecord", () => {
+  it("v0: wraps a bare widget array and renames widgetId to catalogId", () => {
+    const out = migrateWidgetRecord([{ id: "w2", kind: "chart", widgetId: "w_trips_by_dow" }]);
+    expect(out.version).toBe(WIDGET_STORE_VERSION);
+    expect(out.activeId).toBe("main");
+    expect(out.dashboards).toEqual([
+      { id: "main", name: "Main", widgets: [{ id: "w2", kind: "chart", catalogId: "w_trips_by_dow" }], layout: [], filters: {} },
+    ]);
+  });
+
+  it("v0 without a version field but with an envelope", () => {
+    const out = migrateWidgetRecord({ widgets: [chart] });
+    expect(out.dashboards[0].widgets).toEqual([{ ...chart, catalogId: null }]);
+  });
+
+  it("v1: adds an empty layout, then moves into the first dashboard", () => {
+    const out = migrateWidgetRecord({ version: 1, savedAt: "x", widgets: [chart] });
+    expect(out).toMatchObject({ version: WIDGET_STORE_VERSION, savedAt: "x", activeId: "main" });
+    expect(out.dashboards[0]).toMatchObject({ widgets: [chart], layout: [] });
+  });
+
+  it("v2: keeps the saved layout in the first dashboard", () => {
+    const layout = [{ id: "w1", w: 2, h: "l" }];
+    const out = migrateWidgetRecord({ version: 2, widgets: [chart], layout });
+    expect(out.dashboards).toEqual([{ id: "main", name: "Main", widgets: [chart], layout, filters: {} }]);
+    expect(out).not.toHaveProperty("widgets");
+  });
+
+  it("v3: passes through unchanged", () => {
+    const saved = { version: 3, activeId: "b", dashboards: [{ id: "b", name: "B", widgets: [], layout: [], filters: {} }] };
+    expect(migrateWidgetRecord(saved)).toEqual(saved);
+  });
+
+  it("leaves a record from a newer build alone", () => {
+    expect(migrateWidgetRecord({ version: WIDGET_STORE_VERSION + 1, dashboards: [] })).toBeNull();
+  });
+});
+
+describe("dashboard storage", () => {
+  beforeEach(() => {
+    const data = new Map();
+    vi.stubGlobal("localStorage", {
+      getItem: (k) => (data.has(k) ? data.get(k) : null),
+      setItem: (k, v) => data.set(k, String(v)),
+    });
+  });
+  afterEach(() => vi.unstubAllGlobals());
+
+  it("starts with one empty Main dashboard", () => {
+    const state = getDashboardsFromStorage("ds");
+    expect(state.dashboards).toHaveLength(1);
+    expect(state.dashboards[0]).toMatchObject({ name: "Main", widgets: [] });
+  });
+
+  it("round-trips dashboards, dropping catalog payloads and invalid widgets", () => {
+    const catalogWidget = { id: "w3", kind: "chart", title: "Flow", catalogId: "w_station_flow_by_hour", payload: { x: 1 }, station: "A" };
+    saveDashboardsToStorage("ds", {
+      activeId: "b",
+      dashboards: [
+        { id: "a", name: "A", widgets: [chart], layout: [], filters: {} },
+        { id: "b", name: "B", widgets: [catalogWidget, { id: "bad", kind: "map" }], layout: [], filters: { days: [5, 6] } },
+      ],
+    });
+    const state = getDashboardsFromStorage("ds");
+    expect(state.activeId).toBe("b");
+    expect(state.dashboards[0].widgets[0]).toMatchObject({ ...chart, catalogId: null, station: null });
+    expect(state.dashboards[1].widgets).toEqual([
+      expect.objectContaining({ id: "w3", catalogId: "w_station_flow_by_hour", payload: null, station: "A" }),
+    ]);
+    expect(state.dashboards[1].filters.days).toEqual([5, 6]);
+    expect(getDashboardsFromStorage("other").dashboards[0].widgets).toEqual([]);
+  });
+
+  it("does not overwrite a save from a newer build", () => {
+    localStorage.setItem("dashpilot_widgets", JSON.stringify({ ds: { version: WIDGET_STORE_VERSION + 1, dashboards: [] } }));
+    saveDashboardsToStorage("ds", { activeId: "a", dashboards: [] });
+    expect(JSON.parse(localStorage.getItem("dashpilot_widgets")).ds.version).toBe(WIDGET_STORE_VERSION + 1);
+  });
+});